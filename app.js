@@ -3,6 +3,16 @@ const storageKeys = {
 };
 
 const API_BASE = window.__KANDID_API_BASE__ || '';
+const FEED_PAGE_SIZE = 12;
+const FEED_PREFETCH_PX = 600;
+const MAX_DROP_PHOTOS = 6;
+const MAX_CLIP_MS = 10 * 1000;
+const RECORD_CLIP_MS = 8 * 1000;
+const LIVE_PHOTO_MS = 3 * 1000;
+const CLIP_BITS_PER_SECOND = 2500000;
+const CLIP_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'];
+const REALTIME_RECONNECT_DELAY_MS = 3000;
+const API_CACHE_NAME = 'kandid-api';
 
 const sessionStore = {
   load() {
@@ -30,7 +40,89 @@ const sessionStore = {
   },
 };
 
-async function apiRequest(path, options = {}) {
+// Drops captured without a connection wait here until the server can be reached.
+// Each entry keeps the album (photos as data URLs, clips as Blobs with a poster)
+// plus the createPost payload, and the media ids uploaded so far so a retry
+// does not upload them twice.
+const dropOutbox = {
+  dbPromise: null,
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open('kandid', 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('outbox', { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  },
+  async run(mode, action) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('outbox', mode);
+      const request = action(transaction.objectStore('outbox'));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+  async list(userId) {
+    if (!('indexedDB' in window) || !userId) return [];
+    const entries = await this.run('readonly', (store) => store.getAll());
+    return entries.filter((entry) => entry.userId === userId).sort((a, b) => a.createdAt - b.createdAt);
+  },
+  put(entry) {
+    return this.run('readwrite', (store) => store.put(entry));
+  },
+  remove(id) {
+    return this.run('readwrite', (store) => store.delete(id));
+  },
+  async clear(userId) {
+    const entries = await this.list(userId);
+    await Promise.all(entries.map((entry) => this.remove(entry.id)));
+  },
+};
+
+let pendingRefresh = null;
+
+// Exchanges the refresh token for a new token pair. Concurrent 401s share one
+// request, and a token already rotated by another tab is picked up from storage
+// instead of being replayed (the server treats a replayed token as stolen).
+function refreshSession() {
+  if (pendingRefresh) return pendingRefresh;
+  pendingRefresh = (async () => {
+    const session = state.session;
+    if (!session?.refreshToken) return false;
+    const stored = sessionStore.load();
+    if (stored?.userId === session.userId && stored.refreshToken && stored.refreshToken !== session.refreshToken) {
+      state.session = stored;
+      return true;
+    }
+    let response;
+    try {
+      response = await fetch(`${API_BASE}/api/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: session.refreshToken }),
+      });
+    } catch (networkError) {
+      console.error('Network error during token refresh', networkError);
+      const offlineError = new Error('Unable to reach the server. Please try again.');
+      offlineError.offline = true;
+      throw offlineError;
+    }
+    if (!response.ok || state.session !== session) return false;
+    const result = await response.json();
+    state.session = { ...session, token: result.token, refreshToken: result.refreshToken };
+    sessionStore.save(state.session);
+    return true;
+  })().finally(() => {
+    pendingRefresh = null;
+  });
+  return pendingRefresh;
+}
+
+async function apiRequest(path, options = {}, { retryOnUnauthorized = true, blob = false } = {}) {
   const config = { ...options };
   config.headers = new Headers(config.headers || {});
 
@@ -50,27 +142,40 @@ async function apiRequest(path, options = {}) {
     response = await fetch(`${API_BASE}${path}`, config);
   } catch (networkError) {
     console.error('Network error during request', networkError);
-    throw new Error('Unable to reach the server. Please try again.');
+    const offlineError = new Error('Unable to reach the server. Please try again.');
+    offlineError.offline = true;
+    throw offlineError;
   }
-  if (response.status === 401) {
+  if (response.status === 401 && state.session) {
+    if (retryOnUnauthorized && (await refreshSession())) {
+      return apiRequest(path, options, { retryOnUnauthorized: false, blob });
+    }
     performLogout(true);
     throw new Error('Session expired. Please log in again.');
   }
   if (!response.ok) {
     let message = 'Request failed.';
+    let payload = null;
     try {
-      const payload = await response.json();
+      payload = await response.json();
       if (payload?.error) {
         message = payload.error;
       }
     } catch (error) {
       console.error('Failed to parse error payload', error);
     }
-    throw new Error(message);
+    const requestError = new Error(message);
+    requestError.status = response.status;
+    requestError.code = payload?.code || null;
+    requestError.payload = payload;
+    throw requestError;
   }
   if (response.status === 204) {
     return null;
   }
+  if (blob) {
+    return response.blob();
+  }
   try {
     return await response.json();
   } catch (error) {
@@ -78,6 +183,183 @@ async function apiRequest(path, options = {}) {
   }
 }
 
+// Uploaded media is served by the API as a root-relative path; prefix it when
+// the API lives on another origin.
+function resolveMediaUrl(url) {
+  if (url && url.startsWith('/api/')) {
+    return `${API_BASE}${url}`;
+  }
+  return url;
+}
+
+// Media that is not public (private and pending drops, reported photos) is
+// only served with the viewer's token. Image and video tags cannot send the
+// Authorization header, so it goes in the URL as it does for the event stream.
+function authorizedMediaUrl(url) {
+  const token = state.session?.token;
+  if (!url || !token || !url.includes('/api/media/')) return url;
+  return `${url}?${new URLSearchParams({ token })}`;
+}
+
+function postMediaUrl(post, url) {
+  const resolved = resolveMediaUrl(url);
+  return post.visibility === 'public' ? resolved : authorizedMediaUrl(resolved);
+}
+
+// Posts carry small/medium/full renditions; grids and previews ask for the
+// smallest one that fits so tiles do not download full-size photos.
+function postImageUrl(post, variant = 'full') {
+  return postMediaUrl(post, post.images?.[variant] || post.image);
+}
+
+// Every item in the post's album, in order, as `{ type, image, video }` where
+// `image` is the photo or a clip's poster frame. Posts from older servers only
+// carry `images`, which is the same as a one-photo album.
+function postAlbum(post, variant = 'full') {
+  const media = post.media?.length ? post.media : [{ type: 'image', images: post.images }];
+  return media.map((item) => ({
+    type: item.type || 'image',
+    image: postMediaUrl(post, item.images?.[variant] || post.image),
+    video: item.video ? postMediaUrl(post, item.video) : null,
+    durationMs: item.durationMs || null,
+  }));
+}
+
+function formatClipLength(durationMs) {
+  const seconds = Math.max(1, Math.round((durationMs || 0) / 1000));
+  return `0:${String(seconds).padStart(2, '0')}`;
+}
+
+// Photos become an <img>. Clips get their poster frame and a badge: video
+// drops play with controls, while live photos (and every clip when `preview`
+// is set, as in the profile grid) play muted while pressed or hovered.
+function createMediaElement(item, { className = '', alt = '', preview = false } = {}) {
+  if (item.type === 'image' || !item.video) {
+    const img = document.createElement('img');
+    img.className = className;
+    img.src = item.image;
+    img.alt = alt;
+    img.loading = 'lazy';
+    return img;
+  }
+  const frame = document.createElement('div');
+  frame.className = 'media-clip';
+  const video = document.createElement('video');
+  video.className = className;
+  video.poster = item.image;
+  video.src = item.video;
+  video.preload = 'none';
+  video.muted = true;
+  video.playsInline = true;
+  video.setAttribute('aria-label', alt);
+  const badge = document.createElement('span');
+  badge.className = 'media-clip__badge';
+  badge.textContent = item.type === 'live' ? 'LIVE' : `▶ ${formatClipLength(item.durationMs)}`;
+  frame.append(video, badge);
+
+  if (item.type === 'video' && !preview) {
+    video.controls = true;
+    video.loop = true;
+    return frame;
+  }
+  const play = () => {
+    video.play().catch(() => {});
+  };
+  const stop = () => {
+    video.pause();
+    video.currentTime = 0;
+  };
+  frame.addEventListener('pointerenter', play);
+  frame.addEventListener('pointerdown', play);
+  frame.addEventListener('pointerleave', stop);
+  frame.addEventListener('pointercancel', stop);
+  video.addEventListener('ended', stop);
+  return frame;
+}
+
+// Lays the album out in a scroll-snapped track so touch screens swipe through
+// it natively; the arrows and dots are for mouse and keyboard users.
+function renderCarousel(container, items, { alt = 'Kandid photo', imageClass = '', onSelect } = {}) {
+  container.innerHTML = '';
+  container.classList.add('carousel');
+  const track = document.createElement('div');
+  track.className = 'carousel__track';
+  items.forEach((item, index) => {
+    const element = createMediaElement(item, {
+      className: imageClass,
+      alt: items.length > 1 ? `${alt} (${index + 1} of ${items.length})` : alt,
+    });
+    // Video drops keep clicks for their own controls.
+    if (onSelect && item.type !== 'video') {
+      element.addEventListener('click', () => onSelect(index));
+    }
+    track.appendChild(element);
+  });
+  container.appendChild(track);
+
+  let current = 0;
+  const controls = {
+    goTo(index, behavior = 'smooth') {
+      current = Math.min(Math.max(index, 0), items.length - 1);
+      track.scrollTo({ left: current * track.clientWidth, behavior });
+    },
+    step(delta) {
+      controls.goTo(current + delta);
+    },
+  };
+  if (items.length < 2) return controls;
+
+  const prev = document.createElement('button');
+  prev.type = 'button';
+  prev.className = 'carousel__nav carousel__nav--prev';
+  prev.textContent = '‹';
+  prev.setAttribute('aria-label', 'Previous photo');
+  prev.addEventListener('click', () => controls.step(-1));
+  const next = document.createElement('button');
+  next.type = 'button';
+  next.className = 'carousel__nav carousel__nav--next';
+  next.textContent = '›';
+  next.setAttribute('aria-label', 'Next photo');
+  next.addEventListener('click', () => controls.step(1));
+  const dots = document.createElement('div');
+  dots.className = 'carousel__dots';
+  const dotButtons = items.map((item, index) => {
+    const dot = document.createElement('button');
+    dot.type = 'button';
+    dot.className = 'carousel__dot';
+    dot.setAttribute('aria-label', `Photo ${index + 1} of ${items.length}`);
+    dot.addEventListener('click', () => controls.goTo(index));
+    dots.appendChild(dot);
+    return dot;
+  });
+  container.append(prev, next, dots);
+
+  const updateControls = () => {
+    prev.disabled = current === 0;
+    next.disabled = current === items.length - 1;
+    dotButtons.forEach((dot, index) => dot.classList.toggle('is-active', index === current));
+  };
+  track.addEventListener(
+    'scroll',
+    () => {
+      if (!track.clientWidth) return;
+      const index = Math.round(track.scrollLeft / track.clientWidth);
+      if (index !== current) {
+        track.querySelectorAll('video').forEach((video) => video.pause());
+      }
+      current = index;
+      updateControls();
+    },
+    { passive: true }
+  );
+  updateControls();
+  return controls;
+}
+
+function avatarUrl(user) {
+  return resolveMediaUrl(user.avatar) || generateAvatar(user.displayName);
+}
+
 const api = {
   login(email, password) {
     return apiRequest('/api/auth/login', {
@@ -91,12 +373,116 @@ const api = {
       body: payload,
     });
   },
+  verifyEmail(token) {
+    return apiRequest('/api/auth/verify', {
+      method: 'POST',
+      body: { token },
+    });
+  },
+  resendVerification(email) {
+    return apiRequest('/api/auth/verify/resend', {
+      method: 'POST',
+      body: { email },
+    });
+  },
+  requestPasswordReset(email) {
+    return apiRequest('/api/auth/forgot', {
+      method: 'POST',
+      body: { email },
+    });
+  },
+  resetPassword(token, password) {
+    return apiRequest('/api/auth/reset', {
+      method: 'POST',
+      body: { token, password },
+    });
+  },
+  logout(refreshToken) {
+    return apiRequest('/api/auth/logout', {
+      method: 'POST',
+      body: { refreshToken },
+    });
+  },
+  logoutEverywhere() {
+    return apiRequest('/api/auth/logout-all', { method: 'POST' });
+  },
+  fetchSessions() {
+    return apiRequest('/api/auth/sessions');
+  },
+  revokeSession(sessionId) {
+    return apiRequest(`/api/auth/sessions/${sessionId}`, { method: 'DELETE' });
+  },
   fetchState() {
     return apiRequest('/api/state');
   },
+  fetchFeed({ filter = 'all', cursor = null, limit = FEED_PAGE_SIZE } = {}) {
+    const params = new URLSearchParams({ filter, limit: String(limit) });
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+    return apiRequest(`/api/feed?${params.toString()}`);
+  },
   toggleFollow(userId) {
     return apiRequest(`/api/follows/${userId}/toggle`, { method: 'POST' });
   },
+  toggleBlock(userId) {
+    return apiRequest(`/api/blocks/${userId}/toggle`, { method: 'POST' });
+  },
+  toggleMute(userId) {
+    return apiRequest(`/api/mutes/${userId}/toggle`, { method: 'POST' });
+  },
+  report(targetType, targetId, reason) {
+    return apiRequest('/api/reports', {
+      method: 'POST',
+      body: { targetType, targetId, reason },
+    });
+  },
+  fetchContests(cursor = null) {
+    return apiRequest(`/api/contests${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ''}`);
+  },
+  fetchContest(contestId) {
+    return apiRequest(`/api/contests/${contestId}`);
+  },
+  fetchContestLeaderboard(scope = 'season') {
+    return apiRequest(`/api/contests/leaderboard?scope=${encodeURIComponent(scope)}`);
+  },
+  fetchReports(status = 'open') {
+    return apiRequest(`/api/admin/reports?status=${encodeURIComponent(status)}`);
+  },
+  resolveReport(reportId, action) {
+    return apiRequest(`/api/admin/reports/${reportId}/resolve`, {
+      method: 'POST',
+      body: { action },
+    });
+  },
+  // `source` is a data URL, a file, or a clip ({ video, poster, live }) whose
+  // poster frame is a data URL.
+  // `shotAt` is when the in-app camera's shutter was pressed. It goes up as an
+  // age so the server can place it on its own clock.
+  uploadMedia(source, { shotAt = null } = {}) {
+    const shotAgeMs = shotAt === null ? undefined : Date.now() - shotAt;
+    let body = { dataUrl: source, shotAgeMs };
+    if (source instanceof Blob) {
+      body = new FormData();
+      body.append('file', source);
+    } else if (source?.video) {
+      body = new FormData();
+      body.append('file', source.video);
+      body.append('poster', source.poster);
+      body.append('live', String(Boolean(source.live)));
+      if (shotAgeMs !== undefined) body.append('shotAgeMs', String(shotAgeMs));
+    }
+    return apiRequest('/api/media', {
+      method: 'POST',
+      body,
+    });
+  },
+  respondToDrop(postId, decision) {
+    return apiRequest(`/api/posts/${postId}/consent`, {
+      method: 'POST',
+      body: { decision },
+    });
+  },
   createPost(payload) {
     return apiRequest('/api/posts', {
       method: 'POST',
@@ -106,12 +492,33 @@ const api = {
   toggleLike(postId) {
     return apiRequest(`/api/posts/${postId}/like`, { method: 'POST' });
   },
-  addComment(postId, text) {
+  addComment(postId, text, parentCommentId = null) {
     return apiRequest(`/api/posts/${postId}/comments`, {
       method: 'POST',
+      body: { text, parentCommentId },
+    });
+  },
+  toggleCommentLike(postId, commentId) {
+    return apiRequest(`/api/posts/${postId}/comments/${commentId}/like`, { method: 'POST' });
+  },
+  editComment(postId, commentId, text) {
+    return apiRequest(`/api/posts/${postId}/comments/${commentId}`, {
+      method: 'PATCH',
       body: { text },
     });
   },
+  deleteComment(postId, commentId) {
+    return apiRequest(`/api/posts/${postId}/comments/${commentId}`, { method: 'DELETE' });
+  },
+  updatePost(postId, updates) {
+    return apiRequest(`/api/posts/${postId}`, {
+      method: 'PATCH',
+      body: updates,
+    });
+  },
+  deletePost(postId) {
+    return apiRequest(`/api/posts/${postId}`, { method: 'DELETE' });
+  },
   toggleRepost(postId) {
     return apiRequest(`/api/posts/${postId}/repost`, { method: 'POST' });
   },
@@ -127,6 +534,84 @@ const api = {
       body: { lat, lng },
     });
   },
+  updateProfile(payload) {
+    return apiRequest('/api/users/me', {
+      method: 'PATCH',
+      body: payload,
+    });
+  },
+  fetchPushKey() {
+    return apiRequest('/api/push/public-key');
+  },
+  subscribePush(subscription) {
+    return apiRequest('/api/push/subscribe', {
+      method: 'POST',
+      body: { subscription },
+    });
+  },
+  unsubscribePush(endpoint) {
+    return apiRequest('/api/push/unsubscribe', {
+      method: 'POST',
+      body: { endpoint },
+    });
+  },
+  enrollFace(embedding) {
+    return apiRequest('/api/users/me/faces', {
+      method: 'POST',
+      body: { embedding },
+    });
+  },
+  deleteFace(id) {
+    return apiRequest(`/api/users/me/faces/${id}`, { method: 'DELETE' });
+  },
+  acceptCapture(captureId) {
+    return apiRequest(`/api/contest/captures/${captureId}/accept`, { method: 'POST' });
+  },
+  disputeCapture(captureId, reason) {
+    return apiRequest(`/api/contest/captures/${captureId}/dispute`, {
+      method: 'POST',
+      body: { reason },
+    });
+  },
+  matchFaces(embeddings) {
+    return apiRequest('/api/faces/match', {
+      method: 'POST',
+      body: { embeddings },
+    });
+  },
+  updateNotificationPreferences(preferences) {
+    return apiRequest('/api/users/me/notifications', {
+      method: 'PATCH',
+      body: preferences,
+    });
+  },
+  changeEmail(email, currentPassword) {
+    return apiRequest('/api/users/me/email', {
+      method: 'POST',
+      body: { email, currentPassword },
+    });
+  },
+  confirmEmailChange(token) {
+    return apiRequest('/api/auth/confirm-email', {
+      method: 'POST',
+      body: { token },
+    });
+  },
+  changePassword(currentPassword, newPassword) {
+    return apiRequest('/api/users/me/password', {
+      method: 'POST',
+      body: { currentPassword, newPassword },
+    });
+  },
+  deleteAccount(password) {
+    return apiRequest('/api/users/me', {
+      method: 'DELETE',
+      body: { password },
+    });
+  },
+  exportAccount() {
+    return apiRequest('/api/users/me/export', {}, { blob: true });
+  },
   toggleBeKandid(enabled) {
     return apiRequest('/api/users/me/bekandid', {
       method: 'POST',
@@ -144,20 +629,94 @@ const state = {
   view: 'nearby',
   profileUserId: null,
   cameraStream: null,
-  cameraImage: null,
+  clipRecording: null,
+  captureMedia: [],
+  feed: createEmptyFeed(),
+  events: null,
+  deviceSessions: [],
+  moderation: { status: 'open', reports: [] },
+  contestHistory: createEmptyContestHistory(),
+  focusedComment: null,
 };
 
+function createEmptyFeed() {
+  return {
+    posts: [],
+    nextCursor: null,
+    loaded: false,
+    loading: false,
+    requestId: 0,
+  };
+}
+
+function createEmptyContestHistory() {
+  return {
+    scope: 'season',
+    season: null,
+    records: [],
+    weeks: [],
+    nextCursor: null,
+    loading: false,
+    details: {},
+    expandedId: null,
+  };
+}
+
 function applyServerState(payload, { skipRender = false } = {}) {
   if (!payload) return;
   state.users = Array.isArray(payload.users) ? payload.users : [];
   state.posts = Array.isArray(payload.posts) ? payload.posts : [];
   state.inbox = payload.inbox && typeof payload.inbox === 'object' ? payload.inbox : {};
   state.contest = payload.contest || null;
+  syncFeedPosts();
   if (!skipRender) {
     updateAllViews();
   }
 }
 
+// Mutations return a fresh state snapshot; swap in the updated copies of the
+// posts already paged into the feed and drop any that are no longer visible.
+function syncFeedPosts() {
+  const freshPosts = new Map(state.posts.map((post) => [post.id, post]));
+  state.feed.posts = state.feed.posts
+    .filter((post) => freshPosts.has(post.id))
+    .map((post) => freshPosts.get(post.id));
+}
+
+async function loadFeedPage({ reset = false } = {}) {
+  const feed = state.feed;
+  if (!state.session) return;
+  if (!reset && (feed.loading || (feed.loaded && !feed.nextCursor))) return;
+  const filter = document.querySelector('#feed-filter')?.value || 'all';
+  const requestId = feed.requestId + 1;
+  feed.requestId = requestId;
+  feed.loading = true;
+  renderFeedStatus();
+  try {
+    const page = await api.fetchFeed({ filter, cursor: reset ? null : feed.nextCursor });
+    if (requestId !== feed.requestId) return;
+    const posts = Array.isArray(page?.posts) ? page.posts : [];
+    feed.posts = reset ? posts : [...feed.posts, ...posts];
+    feed.nextCursor = page?.nextCursor || null;
+    feed.loaded = true;
+  } finally {
+    if (requestId === feed.requestId) {
+      feed.loading = false;
+      renderFeed();
+      requestAnimationFrame(loadMoreFeedIfNeeded);
+    }
+  }
+}
+
+function loadMoreFeedIfNeeded() {
+  const grid = document.querySelector('#feed-grid');
+  if (!grid || state.view !== 'feed' || !state.feed.nextCursor || state.feed.loading) return;
+  const remaining = grid.scrollHeight - grid.scrollTop - grid.clientHeight;
+  if (remaining < FEED_PREFETCH_PX) {
+    loadFeedPage().catch((error) => console.error('Failed to load more posts', error));
+  }
+}
+
 async function refreshState(options = {}) {
   const data = await api.fetchState();
   applyServerState(data, options);
@@ -177,6 +736,225 @@ async function updateStateFrom(requestPromise, { preserveFeedScroll = false } =
   return data;
 }
 
+function findLoadedPosts(postId) {
+  const copies = new Set();
+  state.posts.forEach((post) => post.id === postId && copies.add(post));
+  state.feed.posts.forEach((post) => post.id === postId && copies.add(post));
+  return [...copies];
+}
+
+function toggleMembership(list, value, present) {
+  const without = (list || []).filter((entry) => entry !== value);
+  return present ? [...without, value] : without;
+}
+
+// Server-sent deltas. Each handler is idempotent because the acting client
+// may already hold the change from its own mutation response.
+const realtimeHandlers = {
+  inbox({ message, post }) {
+    const current = getCurrentUser();
+    if (!current || !message) return;
+    if (post) {
+      const copies = findLoadedPosts(post.id);
+      if (copies.length) {
+        copies.forEach((copy) => Object.assign(copy, post));
+      } else {
+        state.posts.push(post);
+      }
+    }
+    const messages = state.inbox[current.id] || [];
+    if (!messages.some((existing) => existing.id === message.id)) {
+      state.inbox[current.id] = [message, ...messages];
+    }
+    return ['inbox', 'profile'];
+  },
+  // An aggregated like/comment/repost item gained or lost someone; it moves to
+  // the top with its latest activity time.
+  inbox_updated({ message }) {
+    const current = getCurrentUser();
+    if (!current || !message) return;
+    const others = (state.inbox[current.id] || []).filter((existing) => existing.id !== message.id);
+    state.inbox[current.id] = [message, ...others].sort((a, b) => b.createdAt - a.createdAt);
+    return ['inbox', 'profile'];
+  },
+  inbox_removed({ messageId }) {
+    const current = getCurrentUser();
+    if (!current) return;
+    state.inbox[current.id] = (state.inbox[current.id] || []).filter((message) => message.id !== messageId);
+    return ['inbox', 'profile'];
+  },
+  like({ postId, userId, liked }) {
+    findLoadedPosts(postId).forEach((post) => {
+      post.likes = toggleMembership(post.likes, userId, liked);
+    });
+    return ['feed', 'profile'];
+  },
+  comment({ postId, comment }) {
+    findLoadedPosts(postId).forEach((post) => {
+      if (!post.comments.some((existing) => existing.id === comment.id)) {
+        post.comments = [...post.comments, comment];
+      }
+    });
+    return ['feed'];
+  },
+  comment_updated({ postId, comment }) {
+    findLoadedPosts(postId).forEach((post) => {
+      post.comments = post.comments.map((existing) =>
+        existing.id === comment.id ? { ...existing, ...comment } : existing
+      );
+    });
+    return ['feed'];
+  },
+  comment_like({ postId, commentId, userId, liked }) {
+    findLoadedPosts(postId).forEach((post) => {
+      post.comments.forEach((comment) => {
+        if (comment.id === commentId) comment.likes = toggleMembership(comment.likes, userId, liked);
+      });
+    });
+    return ['feed'];
+  },
+  post_updated({ post }) {
+    const copies = findLoadedPosts(post.id);
+    if (copies.length) {
+      copies.forEach((copy) => Object.assign(copy, post));
+    } else {
+      state.posts.push(post);
+    }
+    return ['feed', 'profile', 'inbox'];
+  },
+  follow({ followerId, followingId, following }) {
+    const follower = state.users.find((user) => user.id === followerId);
+    const followed = state.users.find((user) => user.id === followingId);
+    if (follower) follower.following = toggleMembership(follower.following, followingId, following);
+    if (followed) followed.followers = toggleMembership(followed.followers, followerId, following);
+    return ['nearby', 'feed', 'profile'];
+  },
+  user({ user }) {
+    const existing = state.users.find((candidate) => candidate.id === user.id);
+    if (!existing) return [];
+    Object.assign(existing, user);
+    return ['nearby', 'feed', 'profile', 'inbox'];
+  },
+  post_removed({ postIds }) {
+    const removed = new Set(postIds);
+    state.posts = state.posts.filter((post) => !removed.has(post.id));
+    state.feed.posts = state.feed.posts.filter((post) => !removed.has(post.id));
+    return ['feed', 'profile', 'inbox'];
+  },
+  comment_removed({ postId, commentId }) {
+    findLoadedPosts(postId).forEach((post) => {
+      // Replies are deleted along with the comment they answer.
+      post.comments = post.comments.filter(
+        (comment) => comment.id !== commentId && comment.parentCommentId !== commentId
+      );
+    });
+    return ['feed', 'profile'];
+  },
+  user_removed({ userId }) {
+    state.users = state.users.filter((user) => user.id !== userId);
+    state.posts = state.posts.filter((post) => post.authorId !== userId);
+    state.feed.posts = state.feed.posts.filter((post) => post.authorId !== userId);
+    [...state.posts, ...state.feed.posts].forEach((post) => {
+      post.comments = post.comments.filter((comment) => comment.authorId !== userId);
+    });
+    if (state.profileUserId === userId) {
+      state.profileUserId = state.session?.userId || null;
+    }
+    return ['nearby', 'feed', 'profile', 'inbox'];
+  },
+  contest_capture({ contestId, capture }) {
+    const contest = state.contest;
+    if (!contest || contest.id !== contestId) return [];
+    // Sent once a capture is confirmed; it may already be listed as pending.
+    if (contest.captures.some((existing) => existing.id === capture.id && existing.status === 'confirmed')) return [];
+    contest.captures = [...contest.captures.filter((existing) => existing.id !== capture.id), capture];
+    contest.survivingGhosts = contest.survivingGhosts.filter((id) => id !== capture.ghostId);
+    contest.hunterLeaderboard = contest.hunterLeaderboard
+      .map((entry) => (entry.userId === capture.hunterId ? { ...entry, captures: entry.captures + 1 } : entry))
+      .sort((a, b) => b.captures - a.captures);
+    const hunter = state.users.find((user) => user.id === capture.hunterId);
+    const ghost = state.users.find((user) => user.id === capture.ghostId);
+    if (hunter?.contestStats) hunter.contestStats.captures += 1;
+    if (ghost?.contestStats) ghost.contestStats.survivor = false;
+    window.__refreshContestCaptureUI?.();
+    return ['feed', 'profile'];
+  },
+};
+
+const viewRenderers = {
+  nearby: () => renderNearby(),
+  feed: () => renderFeed(),
+  profile: () => renderProfile(),
+  inbox: () => renderInbox(),
+  moderation: () => renderModeration(),
+  contests: () => renderContestHistory(),
+};
+
+function connectRealtime() {
+  disconnectRealtime();
+  if (!state.session?.token || typeof EventSource === 'undefined') return;
+  const params = new URLSearchParams({ token: state.session.token });
+  const events = new EventSource(`${API_BASE}/api/events?${params.toString()}`);
+  Object.entries(realtimeHandlers).forEach(([type, handler]) => {
+    events.addEventListener(type, (event) => {
+      let affectedViews = [];
+      try {
+        affectedViews = handler(JSON.parse(event.data)) || [];
+      } catch (error) {
+        console.error(`Failed to apply ${type} event`, error);
+        return;
+      }
+      updateInboxBadge();
+      if (affectedViews.includes(state.view)) {
+        viewRenderers[state.view]?.();
+      }
+    });
+  });
+  // A closed stream usually means the access token in the URL expired; refresh
+  // it and reconnect. A revoked session fails the refresh and logs out instead.
+  events.addEventListener('error', () => {
+    if (events.readyState !== EventSource.CLOSED || state.events !== events) return;
+    state.events = null;
+    setTimeout(async () => {
+      if (!state.session || state.events) return;
+      try {
+        if (await refreshSession()) {
+          connectRealtime();
+        } else {
+          performLogout(true);
+        }
+      } catch (error) {
+        console.warn('Realtime reconnect failed, retrying', error);
+        connectRealtime();
+      }
+    }, REALTIME_RECONNECT_DELAY_MS);
+  });
+  state.events = events;
+}
+
+function disconnectRealtime() {
+  state.events?.close();
+  state.events = null;
+}
+
+function updateInboxBadge() {
+  const button = document.querySelector('.nav-btn[data-view="inbox"]');
+  const current = getCurrentUser();
+  if (!button) return;
+  const unread = current ? (state.inbox[current.id] || []).filter((message) => !message.read).length : 0;
+  let badge = button.querySelector('.nav-badge');
+  if (!unread) {
+    badge?.remove();
+    return;
+  }
+  if (!badge) {
+    badge = document.createElement('span');
+    badge.className = 'nav-badge';
+    button.appendChild(badge);
+  }
+  badge.textContent = unread > 99 ? '99+' : String(unread);
+}
+
 const selectors = {
   authMount: document.querySelector('#auth'),
   appMount: document.querySelector('#app'),
@@ -186,11 +964,13 @@ const selectors = {
     capture: document.querySelector('#view-capture'),
     profile: document.querySelector('#view-profile'),
     inbox: document.querySelector('#view-inbox'),
+    moderation: document.querySelector('#view-moderation'),
+    contests: document.querySelector('#view-contests'),
   },
   navButtons: [...document.querySelectorAll('.nav-btn[data-view]')],
   modal: {
     root: document.querySelector('#photo-modal'),
-    image: document.querySelector('#lightbox-image'),
+    media: document.querySelector('#lightbox-media'),
     caption: document.querySelector('#lightbox-caption'),
     meta: document.querySelector('#lightbox-meta'),
     dialog: document.querySelector('#photo-modal .lightbox__dialog'),
@@ -201,10 +981,10 @@ const selectors = {
 function closePhotoModal() {
   if (!selectors.modal?.root) return;
   selectors.modal.root.classList.add('hidden');
-  if (selectors.modal.image) {
-    selectors.modal.image.src = '';
-    selectors.modal.image.alt = 'Kandid drop';
+  if (selectors.modal.media) {
+    selectors.modal.media.innerHTML = '';
   }
+  modalCarousel = null;
   if (selectors.modal.caption) {
     selectors.modal.caption.textContent = '';
   }
@@ -218,20 +998,32 @@ function closePhotoModal() {
 function handleModalKeydown(event) {
   if (event.key === 'Escape') {
     closePhotoModal();
+  } else if (event.key === 'ArrowLeft') {
+    modalCarousel?.step(-1);
+  } else if (event.key === 'ArrowRight') {
+    modalCarousel?.step(1);
   }
 }
 
-function openPhotoModal({ image, caption, meta }) {
-  if (!selectors.modal?.root || !selectors.modal.image) return;
-  selectors.modal.image.src = image;
-  selectors.modal.image.alt = caption || 'Kandid drop';
+let modalCarousel = null;
+
+// `media` (from postAlbum) opens an album at `startIndex`; a single `image`
+// still works.
+function openPhotoModal({ image, media, startIndex = 0, caption, meta }) {
+  if (!selectors.modal?.root || !selectors.modal.media) return;
+  selectors.modal.root.classList.remove('hidden');
+  const items = media || [{ type: 'image', image: resolveMediaUrl(image) }];
+  modalCarousel = renderCarousel(selectors.modal.media, items, {
+    alt: caption || 'Kandid drop',
+    imageClass: 'lightbox__image',
+  });
+  modalCarousel.goTo(startIndex, 'instant');
   if (selectors.modal.caption) {
     selectors.modal.caption.textContent = caption || 'Shared a candid moment';
   }
   if (selectors.modal.meta) {
     selectors.modal.meta.textContent = meta || '';
   }
-  selectors.modal.root.classList.remove('hidden');
   document.body.style.overflow = 'hidden';
   document.addEventListener('keydown', handleModalKeydown);
 }
@@ -257,6 +1049,8 @@ const templates = {
   capture: document.querySelector('#capture-template'),
   profile: document.querySelector('#profile-template'),
   inbox: document.querySelector('#inbox-template'),
+  moderation: document.querySelector('#moderation-template'),
+  contests: document.querySelector('#contests-template'),
   post: document.querySelector('#post-template'),
 };
 
@@ -308,14 +1102,27 @@ function getCurrentUser() {
 }
 
 function performLogout(sessionExpired = false) {
+  const userId = state.session?.userId;
+  disconnectRealtime();
   stopCamera(document.querySelector('#camera-stream'));
   closePhotoModal();
+  closePhotoEditor(null);
   state.session = null;
   state.profileUserId = null;
   state.users = [];
   state.posts = [];
   state.inbox = {};
+  state.feed = createEmptyFeed();
+  state.deviceSessions = [];
+  state.moderation = { status: 'open', reports: [] };
+  state.contestHistory = createEmptyContestHistory();
+  state.captureMedia = [];
+  renderCaptureAlbum();
   sessionStore.clear();
+  if ('caches' in window) {
+    caches.delete(API_CACHE_NAME).catch((error) => console.warn('Failed to clear cached responses', error));
+  }
+  forgetDevice(userId);
   selectors.appMount.classList.add('hidden');
   selectors.authMount.classList.remove('hidden');
   renderAuth();
@@ -324,22 +1131,89 @@ function performLogout(sessionExpired = false) {
   }
 }
 
-function renderAuth() {
+// Whoever signs in next on this browser should neither get the previous
+// person's pushes nor send their queued drops. The session is already gone
+// (possibly expired), so the subscription is dropped locally and the server
+// prunes it once the push service reports it gone.
+function forgetDevice(userId) {
+  getPushSubscription()
+    .then((subscription) => subscription?.unsubscribe())
+    .catch((error) => console.warn('Failed to turn off push notifications', error));
+  if (userId) {
+    dropOutbox.clear(userId).catch((error) => console.warn('Failed to clear queued Kandids', error));
+  }
+}
+
+async function signOut() {
+  const refreshToken = state.session?.refreshToken;
+  // Stop pushes to this browser before the session goes away, so the next
+  // person to sign in here does not get them.
+  try {
+    await disablePush();
+  } catch (error) {
+    console.warn('Failed to turn off push notifications', error);
+  }
+  performLogout();
+  if (!refreshToken) return;
+  try {
+    await api.logout(refreshToken);
+  } catch (error) {
+    console.warn('Failed to revoke session on the server', error);
+  }
+}
+
+async function startSession(result) {
+  state.session = { userId: result.userId, token: result.token, refreshToken: result.refreshToken };
+  sessionStore.save(state.session);
+  applyServerState(result.state, { skipRender: true });
+  await showApp({ ensureFreshState: false });
+}
+
+function renderAuth({ screen = 'login', resetToken = null, notice = null } = {}) {
   selectors.authMount.innerHTML = '';
   const clone = templates.auth.content.cloneNode(true);
   selectors.authMount.appendChild(clone);
 
   const loginForm = document.querySelector('#login-form');
   const signupForm = document.querySelector('#signup-form');
+  const forgotForm = document.querySelector('#forgot-form');
+  const resetForm = document.querySelector('#reset-form');
+  const resendBtn = document.querySelector('#verify-resend');
+  const noticeEl = document.querySelector('#auth-notice');
+  const tabsEl = document.querySelector('#auth-tabs');
   const tabs = [...document.querySelectorAll('.tab')];
+  const screens = [...selectors.authMount.querySelectorAll('[data-auth-screen]')];
+  let pendingEmail = '';
+
+  const showNotice = (message) => {
+    noticeEl.textContent = message || '';
+    noticeEl.classList.toggle('hidden', !message);
+  };
+
+  const showScreen = (name) => {
+    screens.forEach((el) => el.classList.toggle('hidden', el.dataset.authScreen !== name));
+    tabsEl.classList.toggle('hidden', name !== 'login' && name !== 'signup');
+    tabs.forEach((tab) => tab.classList.toggle('active', tab.dataset.tab === name));
+  };
+
+  const showVerify = (email) => {
+    pendingEmail = email;
+    document.querySelector('#verify-email-address').textContent = email;
+    showNotice(null);
+    showScreen('verify');
+  };
 
   tabs.forEach((tab) => {
     tab.addEventListener('click', () => {
-      tabs.forEach((t) => t.classList.remove('active'));
-      tab.classList.add('active');
-      const isLogin = tab.dataset.tab === 'login';
-      loginForm.classList.toggle('hidden', !isLogin);
-      signupForm.classList.toggle('hidden', isLogin);
+      showNotice(null);
+      showScreen(tab.dataset.tab);
+    });
+  });
+
+  selectors.authMount.querySelectorAll('[data-show-screen]').forEach((button) => {
+    button.addEventListener('click', () => {
+      showNotice(null);
+      showScreen(button.dataset.showScreen);
     });
   });
 
@@ -356,12 +1230,16 @@ function renderAuth() {
     submitBtn?.setAttribute('disabled', 'true');
     try {
       const result = await api.login(email, password);
-      state.session = { userId: result.userId, token: result.token };
-      sessionStore.save(state.session);
-      applyServerState(result.state, { skipRender: true });
-      await showApp({ ensureFreshState: false });
+      await startSession(result);
+      if (result.deletionCancelled) {
+        alert('Welcome back! Your account is no longer scheduled for deletion.');
+      }
     } catch (error) {
-      alert(error.message || 'Failed to log in.');
+      if (error.code === 'EMAIL_UNVERIFIED') {
+        showVerify(error.payload?.email || email);
+        return;
+      }
+      alert(error.message || 'Failed to log in.');
     } finally {
       submitBtn?.removeAttribute('disabled');
     }
@@ -398,16 +1276,96 @@ function renderAuth() {
         avatar,
       };
       const result = await api.signup(payload);
-      state.session = { userId: result.userId, token: result.token };
-      sessionStore.save(state.session);
-      applyServerState(result.state, { skipRender: true });
-      await showApp({ ensureFreshState: false });
+      signupForm.reset();
+      showVerify(result.email);
     } catch (error) {
       alert(error.message || 'Failed to create account.');
     } finally {
       submitBtn?.removeAttribute('disabled');
     }
   });
+
+  forgotForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const email = (new FormData(forgotForm).get('email') || '').toString().trim().toLowerCase();
+    if (!email) {
+      alert('Enter your account email.');
+      return;
+    }
+    const submitBtn = forgotForm.querySelector('button[type="submit"]');
+    submitBtn?.setAttribute('disabled', 'true');
+    try {
+      await api.requestPasswordReset(email);
+      forgotForm.reset();
+      showScreen('login');
+      showNotice(`If ${email} has an account, a reset link is on its way.`);
+    } catch (error) {
+      alert(error.message || 'Failed to send reset email.');
+    } finally {
+      submitBtn?.removeAttribute('disabled');
+    }
+  });
+
+  resetForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const formData = new FormData(resetForm);
+    const password = (formData.get('password') || '').toString();
+    if (password.length < 6) {
+      alert('Password must be at least 6 characters.');
+      return;
+    }
+    if (password !== (formData.get('confirmPassword') || '').toString()) {
+      alert('Passwords do not match.');
+      return;
+    }
+    const submitBtn = resetForm.querySelector('button[type="submit"]');
+    submitBtn?.setAttribute('disabled', 'true');
+    try {
+      await api.resetPassword(resetToken, password);
+      // The reset signed out every device, this one included.
+      sessionStore.clear();
+      resetForm.reset();
+      showScreen('login');
+      showNotice('Password updated. Log in with your new password.');
+    } catch (error) {
+      alert(error.message || 'Failed to reset password.');
+    } finally {
+      submitBtn?.removeAttribute('disabled');
+    }
+  });
+
+  resendBtn.addEventListener('click', async () => {
+    if (!pendingEmail) return;
+    resendBtn.setAttribute('disabled', 'true');
+    try {
+      await api.resendVerification(pendingEmail);
+      showNotice(`A new verification link was sent to ${pendingEmail}.`);
+    } catch (error) {
+      alert(error.message || 'Failed to send verification email.');
+    } finally {
+      resendBtn.removeAttribute('disabled');
+    }
+  });
+
+  showScreen(screen);
+  showNotice(notice);
+}
+
+// Verification, reset, and email change links come back to the app with a
+// one-time token in the query string; strip it so a reload or shared URL does
+// not replay it.
+function takeAuthLinkParams() {
+  const params = new URLSearchParams(window.location.search);
+  const verifyToken = params.get('verify');
+  const resetToken = params.get('reset');
+  const confirmEmailToken = params.get('confirmEmail');
+  if (!verifyToken && !resetToken && !confirmEmailToken) return {};
+  params.delete('verify');
+  params.delete('reset');
+  params.delete('confirmEmail');
+  const query = params.toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  return { verifyToken, resetToken, confirmEmailToken };
 }
 
 async function showApp({ ensureFreshState = true } = {}) {
@@ -418,12 +1376,16 @@ async function showApp({ ensureFreshState = true } = {}) {
   selectors.view.capture.innerHTML = '';
   selectors.view.profile.innerHTML = '';
   selectors.view.inbox.innerHTML = '';
+  selectors.view.moderation.innerHTML = '';
+  selectors.view.contests.innerHTML = '';
 
   selectors.view.nearby.appendChild(templates.nearby.content.cloneNode(true));
   selectors.view.feed.appendChild(templates.feed.content.cloneNode(true));
   selectors.view.capture.appendChild(templates.capture.content.cloneNode(true));
   selectors.view.profile.appendChild(templates.profile.content.cloneNode(true));
   selectors.view.inbox.appendChild(templates.inbox.content.cloneNode(true));
+  selectors.view.moderation.appendChild(templates.moderation.content.cloneNode(true));
+  selectors.view.contests.appendChild(templates.contests.content.cloneNode(true));
 
   selectors.navButtons.forEach((btn) =>
     btn.addEventListener('click', () => {
@@ -437,13 +1399,15 @@ async function showApp({ ensureFreshState = true } = {}) {
   );
 
   const topLogout = document.querySelector('#logout-nav');
-  topLogout?.addEventListener('click', performLogout);
+  topLogout?.addEventListener('click', () => signOut());
 
   setupCaptureView();
   setupFeedView();
   setupNearbyView();
   setupProfileView();
   setupInboxView();
+  setupModerationView();
+  setupContestHistoryView();
   if (ensureFreshState) {
     try {
       await refreshState({ skipRender: true });
@@ -454,6 +1418,9 @@ async function showApp({ ensureFreshState = true } = {}) {
   const sessionUser = getCurrentUser();
   state.profileUserId = sessionUser?.id || null;
   updateAllViews();
+  loadFeedPage({ reset: true }).catch((error) => console.error('Failed to load feed', error));
+  connectRealtime();
+  flushDropOutbox();
 
   if (sessionUser) {
     attemptGeolocation();
@@ -476,9 +1443,23 @@ function switchView(view) {
   }
 
   if (view === 'nearby') renderNearby();
-  if (view === 'feed') renderFeed();
-  if (view === 'profile') renderProfile();
+  if (view === 'feed') {
+    renderFeed();
+    requestAnimationFrame(loadMoreFeedIfNeeded);
+  }
+  if (view === 'profile') {
+    renderProfile();
+    if (state.profileUserId && state.profileUserId === state.session?.userId) {
+      loadDeviceSessions();
+    }
+  }
   if (view === 'inbox') renderInbox();
+  if (view === 'moderation') loadReports();
+  if (view === 'contests') {
+    renderContestHistory();
+    loadContestLeaderboard();
+    loadContestWeeks({ reset: true });
+  }
 }
 
 function showUserProfile(userId) {
@@ -487,6 +1468,27 @@ function showUserProfile(userId) {
   switchView('profile');
 }
 
+// Opens the feed with the post's comments expanded and the comment highlighted.
+// Posts that are not in the loaded feed pages open in the photo modal instead.
+function showComment(postId, commentId) {
+  const post = state.feed.posts.find((candidate) => candidate.id === postId);
+  if (!post) {
+    const known = state.posts.find((candidate) => candidate.id === postId);
+    const comment = known?.comments.find((candidate) => candidate.id === commentId);
+    if (known) {
+      const author = state.users.find((user) => user.id === comment?.authorId);
+      openPhotoModal({
+        media: postAlbum(known),
+        caption: comment ? comment.text : known.caption || 'Shared a candid moment',
+        meta: author ? `${author.displayName} • ${timeAgo(comment.createdAt)}` : '',
+      });
+    }
+    return;
+  }
+  state.focusedComment = { postId, commentId };
+  switchView('feed');
+}
+
 function bindProfileNavigation(element, userId, variant = 'text') {
   if (!element || !userId) return;
   const isText = variant === 'text';
@@ -532,15 +1534,24 @@ function setupNearbyView() {
 function setupFeedView() {
   const filter = document.querySelector('#feed-filter');
   const refresh = document.querySelector('#refresh-feed');
-  filter?.addEventListener('change', () => {
-    renderFeed();
-    document.querySelector('#feed-grid')?.scrollTo({ top: 0, behavior: 'smooth' });
+  const grid = document.querySelector('#feed-grid');
+  filter?.addEventListener('change', async () => {
+    grid?.scrollTo({ top: 0 });
+    try {
+      await loadFeedPage({ reset: true });
+    } catch (error) {
+      console.error('Failed to load feed', error);
+      alert(error.message || 'Could not load the feed. Try again.');
+    }
   });
+  grid?.addEventListener('scroll', loadMoreFeedIfNeeded, { passive: true });
+  document.querySelector('#contest-history-link')?.addEventListener('click', () => switchView('contests'));
   refresh?.addEventListener('click', async () => {
     refresh.setAttribute('disabled', 'true');
     try {
       await refreshState();
-      document.querySelector('#feed-grid')?.scrollTo({ top: 0, behavior: 'smooth' });
+      await loadFeedPage({ reset: true });
+      grid?.scrollTo({ top: 0, behavior: 'smooth' });
     } catch (error) {
       console.error('Failed to refresh feed', error);
       alert('Could not refresh the feed. Try again.');
@@ -577,7 +1588,7 @@ function setupCaptureView() {
       contestSection.classList.add('hidden');
       contestCheckbox.checked = false;
       contestCheckbox.disabled = true;
-      contestNote.textContent = 'Contest captures are reserved for weekly hunters.';
+      contestNote.textContent = 'Contest captures are reserved for hunters.';
       return;
     }
     contestSection.classList.remove('hidden');
@@ -628,28 +1639,19 @@ function setupCaptureView() {
       return;
     }
 
-    const imageData = state.cameraImage;
-    if (!imageData) {
-      alert('Use the camera to capture a photo before sending.');
+    const images = state.captureMedia.slice();
+    if (!images.length) {
+      alert('Take or choose a photo or clip before sending.');
+      return;
+    }
+    if (contestCaptureRequested && !images.every((item) => cameraShots.has(item))) {
+      alert('Contest captures must be taken with the camera, not picked from your device.');
       return;
     }
 
-    submitBtn?.setAttribute('disabled', 'true');
-    try {
-      const payload = {
-        recipientId: targetId,
-        image: imageData,
-        caption,
-        visibility: contestCaptureRequested || repost ? 'public' : 'private',
-      };
-      if (contestCaptureRequested) {
-        payload.contestCapture = true;
-        payload.contestChallenge = contest?.challenge || '';
-      }
-      await updateStateFrom(
-        api.createPost(payload)
-      );
-      state.cameraImage = null;
+    const resetCaptureForm = () => {
+      state.captureMedia = [];
+      renderCaptureAlbum();
       if (captionField) captionField.value = '';
       form.reset();
       if (canvas) {
@@ -657,8 +1659,68 @@ function setupCaptureView() {
       }
       populateTargetSelect(targetSelect);
       refreshContestCaptureUI();
-      alert('Kandid sent!');
+    };
+
+    const payload = {
+      recipientId: targetId,
+      caption,
+      visibility: contestCaptureRequested || repost ? 'public' : 'private',
+    };
+    if (contestCaptureRequested) {
+      payload.contestCapture = true;
+      payload.contestChallenge = contest?.challenge || '';
+      if (captureFaces.source === images[0] && captureFaces.embeddings.length) {
+        payload.faceEmbeddings = captureFaces.embeddings;
+      }
+    }
+    const entry = {
+      id: crypto.randomUUID(),
+      userId: currentUser.id,
+      images,
+      cameraShots: images.map((item) => cameraShots.get(item) ?? null),
+      payload,
+      mediaIds: [],
+      createdAt: Date.now(),
+      error: null,
+    };
+
+    submitBtn?.setAttribute('disabled', 'true');
+    try {
+      // The server checks that hunter and ghost were recently close, so send a fresh fix first.
+      if (contestCaptureRequested) {
+        try {
+          const { coords } = await getCurrentPosition();
+          await api.updateLocation(coords.latitude, coords.longitude);
+        } catch (error) {
+          console.warn('Could not share location for the capture', error);
+        }
+      }
+      const result = await sendQueuedDrop(entry);
+      const created = result?.posts?.find((post) => post.mediaId === entry.mediaIds[0] && !post.originalPostId);
+      loadFeedPage({ reset: true }).catch((error) => console.error('Failed to reload feed', error));
+      resetCaptureForm();
+      if (created?.visibility === 'pending_consent') {
+        const subject = state.users.find((user) => user.id === targetId);
+        alert(`Kandid sent! It goes public once ${subject?.displayName || 'they'} approve${subject ? 's' : ''} it.`);
+      } else {
+        alert('Kandid sent!');
+      }
     } catch (error) {
+      if (error.offline && contestCaptureRequested) {
+        alert('You are offline. Contest captures only count while the ghost is still nearby, so this one cannot wait in the outbox.');
+        return;
+      }
+      if (error.offline) {
+        try {
+          await dropOutbox.put(entry);
+          resetCaptureForm();
+          renderDropOutbox();
+          alert('You are offline. This Kandid will send as soon as you are back online.');
+          return;
+        } catch (storeError) {
+          console.error('Failed to queue Kandid', storeError);
+        }
+      }
       console.error('Failed to send Kandid', error);
       alert(error.message || 'Failed to send Kandid.');
     } finally {
@@ -666,6 +1728,31 @@ function setupCaptureView() {
     }
   });
 
+  document.querySelector('#capture-outbox-retry')?.addEventListener('click', () => flushDropOutbox());
+  renderDropOutbox();
+
+  const fileInput = document.querySelector('#capture-file');
+  const dropzone = document.querySelector('#capture-dropzone');
+  fileInput?.addEventListener('change', async () => {
+    await addCapturePhotos([...fileInput.files]);
+    fileInput.value = '';
+  });
+  form.addEventListener('dragover', (event) => {
+    if (!event.dataTransfer?.types.includes('Files')) return;
+    event.preventDefault();
+    dropzone?.classList.add('is-dragging');
+  });
+  form.addEventListener('dragleave', (event) => {
+    if (!form.contains(event.relatedTarget)) dropzone?.classList.remove('is-dragging');
+  });
+  form.addEventListener('drop', (event) => {
+    if (!event.dataTransfer?.files.length) return;
+    event.preventDefault();
+    dropzone?.classList.remove('is-dragging');
+    addCapturePhotos([...event.dataTransfer.files]);
+  });
+  renderCaptureAlbum();
+
   cameraBtn?.addEventListener('click', async () => {
     if (state.cameraStream) {
       stopCamera(video);
@@ -683,23 +1770,80 @@ function setupCaptureView() {
       }
       cameraBtn.textContent = 'Stop Camera';
 
-      const shutter = document.createElement('button');
-      shutter.textContent = 'Capture Photo';
-      shutter.className = 'primary';
-      shutter.id = 'camera-shutter';
-      shutter.style.marginTop = '1rem';
-      cameraBtn.parentElement.appendChild(shutter);
-
-      shutter.addEventListener('click', () => {
-        if (!video || !canvas) return;
+      const cameraControls = document.createElement('div');
+      cameraControls.className = 'camera-controls';
+      cameraControls.id = 'camera-controls';
+      cameraBtn.parentElement.appendChild(cameraControls);
+      const addControl = (label, className) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.className = className;
+        cameraControls.appendChild(button);
+        return button;
+      };
+      const grabFrame = () => {
         canvas.width = video.videoWidth;
         canvas.height = video.videoHeight;
         canvas.getContext('2d').drawImage(video, 0, 0);
-        state.cameraImage = canvas.toDataURL('image/png');
-        canvas.classList.remove('hidden');
-        video.classList.add('hidden');
+        return canvas.toDataURL('image/png');
+      };
+      const hasRoom = () => {
+        if (state.captureMedia.length < MAX_DROP_PHOTOS) return true;
+        alert(`A drop can have at most ${MAX_DROP_PHOTOS} photos or clips.`);
+        return false;
+      };
+      const finish = (item) => {
+        state.captureMedia.push(item);
+        renderCaptureAlbum();
         stopCamera(video);
-        shutter.remove();
+      };
+
+      const shutter = addControl('Capture Photo', 'primary');
+      shutter.addEventListener('click', () => {
+        if (!video || !canvas || !hasRoom()) return;
+        const photo = grabFrame();
+        cameraShots.set(photo, Date.now());
+        finish(photo);
+        editCapturePhoto(photo);
+      });
+
+      if (!window.MediaRecorder) return;
+      // A live photo is the still from the moment the shutter is pressed plus
+      // the next few seconds of motion; a clip records until stopped.
+      const record = async (button, { live, maxMs }) => {
+        const poster = grabFrame();
+        const shotAt = Date.now();
+        const recording = startClipRecording(stream, maxMs);
+        state.clipRecording = recording;
+        cameraControls.querySelectorAll('button').forEach((control) => {
+          control.disabled = control !== button || live;
+        });
+        button.textContent = live ? 'Recording…' : 'Stop Recording';
+        try {
+          const clip = await recording.done;
+          const item = { ...clip, poster, live };
+          cameraShots.set(item, shotAt);
+          finish(item);
+        } catch (error) {
+          console.error('Recording failed', error);
+          alert('Could not record a clip on this device.');
+          stopCamera(video);
+        } finally {
+          state.clipRecording = null;
+        }
+      };
+      const liveBtn = addControl('Live Photo', 'secondary');
+      liveBtn.addEventListener('click', () => {
+        if (video && canvas && hasRoom()) record(liveBtn, { live: true, maxMs: LIVE_PHOTO_MS });
+      });
+      const clipBtn = addControl('Record Clip', 'secondary');
+      clipBtn.addEventListener('click', () => {
+        if (state.clipRecording) {
+          state.clipRecording.stop();
+        } else if (video && canvas && hasRoom()) {
+          record(clipBtn, { live: false, maxMs: RECORD_CLIP_MS });
+        }
       });
     } catch (err) {
       console.error(err);
@@ -708,136 +1852,1444 @@ function setupCaptureView() {
   });
 }
 
-function stopCamera(video) {
-  if (state.cameraStream) {
-    state.cameraStream.getTracks().forEach((track) => track.stop());
-    state.cameraStream = null;
-  }
-  if (video) {
-    video.srcObject = null;
-    video.classList.add('hidden');
-  }
-  const shutter = document.querySelector('#camera-shutter');
-  if (shutter) {
-    shutter.remove();
-  }
-  const cameraBtn = document.querySelector('#capture-camera');
-  if (cameraBtn) {
-    cameraBtn.textContent = 'Use Camera';
-  }
+// Records the camera stream until stop() is called or `maxMs` runs out.
+// `done` resolves with the clip as a Blob and how long it ran.
+function startClipRecording(stream, maxMs) {
+  const mimeType = CLIP_MIME_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: CLIP_BITS_PER_SECOND });
+  const chunks = [];
+  const startedAt = Date.now();
+  const done = new Promise((resolve, reject) => {
+    recorder.addEventListener('dataavailable', (event) => {
+      if (event.data.size) chunks.push(event.data);
+    });
+    recorder.addEventListener('stop', () => {
+      const type = (recorder.mimeType || 'video/webm').split(';')[0];
+      resolve({ video: new Blob(chunks, { type }), durationMs: Date.now() - startedAt });
+    });
+    recorder.addEventListener('error', (event) => reject(event.error));
+  });
+  const stop = () => {
+    clearTimeout(timer);
+    if (recorder.state !== 'inactive') recorder.stop();
+  };
+  const timer = setTimeout(stop, maxMs);
+  recorder.start();
+  return { done, stop };
 }
 
-function setupProfileView() {
-  const logoutBtn = document.querySelector('#logout');
-  logoutBtn?.addEventListener('click', performLogout);
-  const followToggle = document.querySelector('#profile-follow-toggle');
-  if (followToggle) {
-    followToggle.addEventListener('click', () => {
-      const targetId = followToggle.dataset.userId;
-      if (!targetId) return;
-      toggleFollow(targetId, followToggle);
+// Reads a picked video's length and grabs an early frame as its poster.
+function clipFromFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.addEventListener(
+      'loadeddata',
+      () => {
+        video.currentTime = Math.min(0.1, video.duration / 2 || 0);
+      },
+      { once: true }
+    );
+    video.addEventListener(
+      'seeked',
+      () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        URL.revokeObjectURL(url);
+        resolve({
+          video: file,
+          poster: canvas.toDataURL('image/jpeg', 0.9),
+          live: false,
+          durationMs: Math.round(video.duration * 1000),
+        });
+      },
+      { once: true }
+    );
+    video.addEventListener('error', () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not read that clip.'));
     });
+    video.src = url;
+  });
+}
+
+// Adds picked, dropped or pasted files to the album being captured, keeping
+// their order and the per-drop limit. Photos are kept as data URLs and clips
+// as `{ video, poster, live, durationMs }`.
+// Album items taken with the in-app camera, as opposed to picked from the
+// device, mapped to when the shutter was pressed. Only these can count as
+// contest captures.
+const cameraShots = new Map();
+
+async function addCapturePhotos(files) {
+  const accepted = files.filter((file) => file.type.startsWith('image/') || file.type.startsWith('video/'));
+  if (!accepted.length) {
+    if (files.length) alert('Only photos and short clips can be added to a drop.');
+    return;
   }
-  const bekandidToggle = document.querySelector('#profile-bekandid-toggle');
-  if (bekandidToggle) {
-    bekandidToggle.addEventListener('click', async () => {
-      const current = getCurrentUser();
-      if (!current) {
-        alert('Log in to change BeKandid mode.');
-        return;
+  const room = MAX_DROP_PHOTOS - state.captureMedia.length;
+  if (accepted.length > room) {
+    alert(`A drop can have at most ${MAX_DROP_PHOTOS} photos or clips.`);
+  }
+  for (const file of accepted.slice(0, Math.max(room, 0))) {
+    try {
+      if (file.type.startsWith('image/')) {
+        state.captureMedia.push(await fileToDataURL(file));
+        continue;
       }
-      const nextStatus = !current.bekandidEnabled;
-      bekandidToggle.setAttribute('disabled', 'true');
-      try {
-        await updateStateFrom(api.toggleBeKandid(nextStatus));
-        alert(`BeKandid mode ${nextStatus ? 'enabled' : 'disabled'}!`);
-      } catch (error) {
-        console.error('Failed to toggle BeKandid', error);
-        alert(error.message || 'Could not update BeKandid mode.');
-      } finally {
-        bekandidToggle.removeAttribute('disabled');
+      const clip = await clipFromFile(file);
+      if (clip.durationMs > MAX_CLIP_MS) {
+        alert(`Clips can be at most ${MAX_CLIP_MS / 1000} seconds long.`);
+      } else {
+        state.captureMedia.push(clip);
       }
-    });
+    } catch (error) {
+      console.error('Failed to read file', error);
+      alert(error.message || 'Could not read that photo.');
+    }
   }
+  renderCaptureAlbum();
 }
 
-function setupInboxView() {
-  const clear = document.querySelector('#clear-inbox');
-  clear?.addEventListener('click', async () => {
-    const current = getCurrentUser();
-    if (!current) return;
-    const messages = state.inbox[current.id] || [];
-    if (!messages.length) return;
-    const messageIds = messages.map((message) => message.id);
-    clear.setAttribute('disabled', 'true');
-    try {
-      await updateStateFrom(api.markInboxMessages(messageIds));
-    } catch (error) {
-      console.error('Failed to mark inbox messages', error);
-      alert(error.message || 'Failed to mark messages as read.');
-    } finally {
-      clear.removeAttribute('disabled');
+function moveCapturePhoto(index, delta) {
+  const target = index + delta;
+  if (target < 0 || target >= state.captureMedia.length) return;
+  const [photo] = state.captureMedia.splice(index, 1);
+  state.captureMedia.splice(target, 0, photo);
+  renderCaptureAlbum();
+}
+
+function renderCaptureAlbum() {
+  const album = document.querySelector('#capture-album');
+  const list = document.querySelector('#capture-album-list');
+  const count = document.querySelector('#capture-album-count');
+  if (!album || !list) return;
+  const photos = state.captureMedia;
+  cameraShots.forEach((shotAt, item) => {
+    if (!photos.includes(item)) cameraShots.delete(item);
+  });
+  refreshCaptureFaces();
+  album.classList.toggle('hidden', !photos.length);
+  if (count) {
+    count.textContent =
+      photos.length > 1
+        ? `${photos.length} of ${MAX_DROP_PHOTOS} items • the first one is the cover`
+        : `1 of ${MAX_DROP_PHOTOS} items`;
+  }
+  list.innerHTML = '';
+  photos.forEach((photo, index) => {
+    const item = document.createElement('li');
+    item.className = 'capture-album__item';
+    const preview = document.createElement('img');
+    preview.src = typeof photo === 'string' ? photo : photo.poster;
+    preview.alt = `Item ${index + 1}`;
+    item.appendChild(preview);
+    if (typeof photo !== 'string') {
+      const badge = document.createElement('span');
+      badge.className = 'media-clip__badge';
+      badge.textContent = photo.live ? 'LIVE' : `▶ ${formatClipLength(photo.durationMs)}`;
+      item.appendChild(badge);
     }
+    const actions = document.createElement('div');
+    actions.className = 'capture-album__actions';
+    const addAction = (label, title, disabled, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'icon-btn';
+      button.textContent = label;
+      button.title = title;
+      button.setAttribute('aria-label', title);
+      button.disabled = disabled;
+      button.addEventListener('click', onClick);
+      actions.appendChild(button);
+    };
+    addAction('←', 'Move earlier', index === 0, () => moveCapturePhoto(index, -1));
+    addAction('→', 'Move later', index === photos.length - 1, () => moveCapturePhoto(index, 1));
+    addAction('✎', 'Edit photo', typeof photo !== 'string', () => editCapturePhoto(photo));
+    addAction('×', 'Remove', false, () => {
+      state.captureMedia.splice(index, 1);
+      renderCaptureAlbum();
+    });
+    item.appendChild(actions);
+    list.appendChild(item);
   });
 }
 
-function populateTargetSelect(select) {
-  if (!select) return;
-  select.innerHTML = '';
-  const option = document.createElement('option');
-  option.value = '';
-  option.textContent = 'Select a person';
-  select.appendChild(option);
+// Photo editor. Edits are kept as data (rotation, crop, colour, overlays and
+// blur strokes in coordinates relative to the rotated photo) and replayed on a
+// downscaled copy for the preview and on the full photo when saving.
+const EDITOR_PREVIEW_MAX = 1080;
+const EDITOR_IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0];
+const LUMA = [0.2126, 0.7152, 0.0722];
 
-  const current = getCurrentUser();
-  const candidates = state.users.filter((user) => !current || user.id !== current.id);
-  candidates.forEach((user) => {
-    const opt = document.createElement('option');
-    opt.value = user.id;
-    const roleLabel = user.bekandidEnabled
-      ? '• BeKandid'
-      : user.contestRole === 'ghost'
-      ? '• Ghost 👻'
-      : user.contestRole === 'hunter'
-      ? '• Hunter 🕵️'
-      : '';
-    opt.textContent = `${user.displayName} ${user.homeCity ? `· ${user.homeCity}` : ''} ${roleLabel}`.trim();
-    select.appendChild(opt);
-  });
+function saturationMatrix(amount) {
+  const rows = [0, 1, 2].map((row) =>
+    LUMA.map((weight, column) => weight * (1 - amount) + (row === column ? amount : 0)).concat(0)
+  );
+  return rows.flat();
 }
 
-function renderNearby() {
-  const current = getCurrentUser();
-  const list = document.querySelector('#nearby-list');
-  if (!list) return;
-  list.innerHTML = '';
+// 3x4 colour matrices: each row maps (r, g, b, 1) to one output channel.
+const EDITOR_FILTERS = {
+  none: { label: 'None', matrix: EDITOR_IDENTITY },
+  mono: { label: 'Mono', matrix: saturationMatrix(0) },
+  sepia: { label: 'Sepia', matrix: [0.393, 0.769, 0.189, 0, 0.349, 0.686, 0.168, 0, 0.272, 0.534, 0.131, 0] },
+  warm: { label: 'Warm', matrix: [1.08, 0, 0, 10, 0, 1.02, 0, 4, 0, 0, 0.88, -6] },
+  cool: { label: 'Cool', matrix: [0.9, 0, 0, -6, 0, 1, 0, 0, 0, 0, 1.1, 12] },
+  vivid: { label: 'Vivid', matrix: saturationMatrix(1.45) },
+  fade: { label: 'Fade', matrix: saturationMatrix(0.75).map((value, index) => (index % 4 === 3 ? 28 : value * 0.85)) },
+};
+const EDITOR_STICKERS = ['😎', '✨', '🔥', '❤️', '😂', '👀', '📸', '🙈'];
+const EDITOR_ASPECTS = { free: null, square: 1, portrait: 4 / 5, wide: 16 / 9 };
+const FULL_CROP = { x: 0, y: 0, w: 1, h: 1 };
+
+const photoEditor = {
+  root: document.querySelector('#photo-editor'),
+  canvas: document.querySelector('#photo-editor-canvas'),
+  sources: null,
+  edit: null,
+  history: [],
+  tool: 'crop',
+  aspect: null,
+  gesture: null,
+  resolve: null,
+};
 
-  const others = state.users.filter((user) => !current || user.id !== current.id);
+function createEmptyEdit() {
+  return {
+    rotation: 0,
+    crop: { ...FULL_CROP },
+    filter: 'none',
+    brightness: 100,
+    contrast: 100,
+    overlays: [],
+    blurPaths: [],
+  };
+}
 
-  const enriched = others.map((user) => {
-    const distance = simulateDistance(current, user);
-    return { user, distance };
-  });
+function multiplyColorMatrices(outer, inner) {
+  const result = [];
+  for (let row = 0; row < 3; row += 1) {
+    for (let column = 0; column < 4; column += 1) {
+      let value = column === 3 ? outer[row * 4 + 3] : 0;
+      for (let k = 0; k < 3; k += 1) {
+        value += outer[row * 4 + k] * inner[k * 4 + column];
+      }
+      result.push(value);
+    }
+  }
+  return result;
+}
 
-  enriched
-    .sort((a, b) => a.distance - b.distance)
-    .forEach(({ user, distance }) => {
-      const item = document.createElement('li');
-      item.className = 'list-item';
+function editColorMatrix(edit) {
+  const brightness = edit.brightness / 100;
+  const contrast = edit.contrast / 100;
+  const offset = 128 * (1 - contrast);
+  const tone = [
+    brightness * contrast, 0, 0, offset,
+    0, brightness * contrast, 0, offset,
+    0, 0, brightness * contrast, offset,
+  ];
+  return multiplyColorMatrices(tone, EDITOR_FILTERS[edit.filter]?.matrix || EDITOR_IDENTITY);
+}
 
-      const avatar = document.createElement('img');
-      avatar.className = 'avatar';
-      avatar.src = user.avatar || generateAvatar(user.displayName);
-      avatar.alt = `${user.displayName} avatar`;
-      bindProfileNavigation(avatar, user.id, 'avatar');
+function applyColorMatrix(canvas, matrix) {
+  if (matrix.every((value, index) => value === EDITOR_IDENTITY[index])) return;
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  const data = imageData.data;
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i];
+    const g = data[i + 1];
+    const b = data[i + 2];
+    data[i] = matrix[0] * r + matrix[1] * g + matrix[2] * b + matrix[3];
+    data[i + 1] = matrix[4] * r + matrix[5] * g + matrix[6] * b + matrix[7];
+    data[i + 2] = matrix[8] * r + matrix[9] * g + matrix[10] * b + matrix[11];
+  }
+  ctx.putImageData(imageData, 0, 0);
+}
 
-      const info = document.createElement('div');
-      const name = document.createElement('strong');
-      name.textContent = user.displayName;
-      bindProfileNavigation(name, user.id, 'text');
-      const meta = document.createElement('p');
-      meta.className = 'muted';
-      const roleLabel = user.bekandidEnabled
+// Blurred areas are pixelated into coarse blocks, which unlike a soft blur
+// cannot be sharpened back into a recognisable face.
+function applyBlurPaths(canvas, paths) {
+  if (!paths.length) return;
+  const { width, height } = canvas;
+  const block = Math.max(8, Math.round(Math.min(width, height) / 40));
+  const mosaic = document.createElement('canvas');
+  mosaic.width = Math.max(1, Math.round(width / block));
+  mosaic.height = Math.max(1, Math.round(height / block));
+  mosaic.getContext('2d').drawImage(canvas, 0, 0, mosaic.width, mosaic.height);
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.beginPath();
+  paths.flat().forEach((point) => {
+    const radius = point.r * Math.min(width, height);
+    ctx.moveTo(point.x * width + radius, point.y * height);
+    ctx.arc(point.x * width, point.y * height, radius, 0, Math.PI * 2);
+  });
+  ctx.clip();
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(mosaic, 0, 0, width, height);
+  ctx.restore();
+}
+
+function overlayFont(overlay, height) {
+  const size = Math.round(overlay.size * height);
+  return `${overlay.type === 'text' ? '700 ' : ''}${size}px system-ui, sans-serif`;
+}
+
+// Draws overlays onto a canvas showing `crop` of the rotated photo, and
+// records each overlay's box so the preview can hit-test drags.
+function drawOverlays(ctx, overlays, rotatedWidth, rotatedHeight, crop) {
+  overlays.forEach((overlay) => {
+    ctx.save();
+    ctx.font = overlayFont(overlay, rotatedHeight);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const x = (overlay.x - crop.x) * rotatedWidth;
+    const y = (overlay.y - crop.y) * rotatedHeight;
+    if (overlay.type === 'text') {
+      ctx.lineWidth = Math.max(2, overlay.size * rotatedHeight * 0.12);
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.65)';
+      ctx.lineJoin = 'round';
+      ctx.strokeText(overlay.text, x, y);
+      ctx.fillStyle = overlay.color;
+    }
+    ctx.fillText(overlay.text, x, y);
+    overlay.box = { w: ctx.measureText(overlay.text).width / rotatedWidth, h: overlay.size * 1.2 };
+    ctx.restore();
+  });
+}
+
+// Replays the edit onto `source`. With `showCrop` the whole rotated photo is
+// drawn and the part outside the crop is dimmed, for the crop tool.
+function renderEditedPhoto(source, edit, { showCrop = false } = {}) {
+  const swap = edit.rotation % 180 !== 0;
+  const rotated = document.createElement('canvas');
+  rotated.width = swap ? source.height : source.width;
+  rotated.height = swap ? source.width : source.height;
+  const rotatedCtx = rotated.getContext('2d');
+  rotatedCtx.translate(rotated.width / 2, rotated.height / 2);
+  rotatedCtx.rotate((edit.rotation * Math.PI) / 180);
+  rotatedCtx.drawImage(source, -source.width / 2, -source.height / 2);
+  applyColorMatrix(rotated, editColorMatrix(edit));
+  applyBlurPaths(rotated, edit.blurPaths);
+
+  const crop = showCrop ? FULL_CROP : edit.crop;
+  const output = document.createElement('canvas');
+  output.width = Math.max(1, Math.round(crop.w * rotated.width));
+  output.height = Math.max(1, Math.round(crop.h * rotated.height));
+  const ctx = output.getContext('2d');
+  ctx.drawImage(rotated, -crop.x * rotated.width, -crop.y * rotated.height);
+  drawOverlays(ctx, edit.overlays, rotated.width, rotated.height, crop);
+  if (showCrop) {
+    const { x, y, w, h } = edit.crop;
+    ctx.fillStyle = 'rgba(4, 7, 15, 0.6)';
+    ctx.beginPath();
+    ctx.rect(0, 0, output.width, output.height);
+    ctx.rect(x * output.width, y * output.height, w * output.width, h * output.height);
+    ctx.fill('evenodd');
+    ctx.strokeStyle = '#63f5d0';
+    ctx.lineWidth = Math.max(2, output.width / 300);
+    ctx.strokeRect(x * output.width, y * output.height, w * output.width, h * output.height);
+  }
+  return output;
+}
+
+function drawEditorPreview() {
+  const { canvas, sources, edit } = photoEditor;
+  if (!canvas || !sources) return;
+  const rendered = renderEditedPhoto(sources.preview, edit, { showCrop: photoEditor.tool === 'crop' });
+  canvas.width = rendered.width;
+  canvas.height = rendered.height;
+  canvas.getContext('2d').drawImage(rendered, 0, 0);
+}
+
+function rememberEdit() {
+  photoEditor.history.push(structuredClone(photoEditor.edit));
+  if (photoEditor.history.length > 50) photoEditor.history.shift();
+}
+
+function updateEdit(change) {
+  rememberEdit();
+  change(photoEditor.edit);
+  drawEditorPreview();
+}
+
+// The largest crop of the given pixel aspect ratio, centred on the photo.
+function centeredCrop(aspect) {
+  if (!aspect) return { ...FULL_CROP };
+  const { width, height } = rotatedSize(photoEditor.sources.preview, photoEditor.edit.rotation);
+  const w = Math.min(1, (aspect * height) / width);
+  const h = Math.min(1, width / (aspect * height));
+  return { x: (1 - w) / 2, y: (1 - h) / 2, w, h };
+}
+
+function rotatedSize(source, rotation) {
+  return rotation % 180 === 0
+    ? { width: source.width, height: source.height }
+    : { width: source.height, height: source.width };
+}
+
+// Turning the photo moves everything placed on it along with it.
+function rotateEdit(edit, degrees) {
+  const turnPoint = (point) =>
+    degrees > 0 ? { ...point, x: 1 - point.y, y: point.x } : { ...point, x: point.y, y: 1 - point.x };
+  const { x, y, w, h } = edit.crop;
+  edit.crop = degrees > 0 ? { x: 1 - (y + h), y: x, w: h, h: w } : { x: y, y: 1 - (x + w), w: h, h: w };
+  edit.overlays = edit.overlays.map(turnPoint);
+  edit.blurPaths = edit.blurPaths.map((path) => path.map(turnPoint));
+  edit.rotation = (edit.rotation + degrees + 360) % 360;
+}
+
+// Pointer position in the rotated photo's 0..1 coordinates.
+function editorPointFromEvent(event) {
+  const rect = photoEditor.canvas.getBoundingClientRect();
+  const px = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+  const py = Math.min(Math.max((event.clientY - rect.top) / rect.height, 0), 1);
+  if (photoEditor.tool === 'crop') return { x: px, y: py };
+  const { crop } = photoEditor.edit;
+  return { x: crop.x + px * crop.w, y: crop.y + py * crop.h };
+}
+
+function cropFromDrag(start, point) {
+  let w = Math.abs(point.x - start.x);
+  let h = Math.abs(point.y - start.y);
+  if (photoEditor.aspect) {
+    const { width, height } = rotatedSize(photoEditor.sources.preview, photoEditor.edit.rotation);
+    h = (w * width) / (photoEditor.aspect * height);
+    if (h > 1) {
+      h = 1;
+      w = (photoEditor.aspect * height) / width;
+    }
+  }
+  const x = point.x < start.x ? start.x - w : start.x;
+  const y = point.y < start.y ? start.y - h : start.y;
+  return {
+    x: Math.min(Math.max(x, 0), 1 - w),
+    y: Math.min(Math.max(y, 0), 1 - h),
+    w,
+    h,
+  };
+}
+
+function handleEditorPointerDown(event) {
+  if (!photoEditor.sources) return;
+  const point = editorPointFromEvent(event);
+  const { edit, tool } = photoEditor;
+  photoEditor.canvas.setPointerCapture(event.pointerId);
+  if (tool === 'crop') {
+    rememberEdit();
+    photoEditor.gesture = { type: 'crop', start: point };
+  } else if (tool === 'blur') {
+    rememberEdit();
+    const radius = Number(document.querySelector('#photo-editor-brush')?.value || 6) / 100;
+    edit.blurPaths.push([{ ...point, r: radius }]);
+    photoEditor.gesture = { type: 'blur', radius };
+    drawEditorPreview();
+  } else {
+    const overlay = [...edit.overlays]
+      .reverse()
+      .find(
+        (candidate) =>
+          candidate.box &&
+          Math.abs(candidate.x - point.x) <= candidate.box.w / 2 &&
+          Math.abs(candidate.y - point.y) <= candidate.box.h / 2
+      );
+    if (!overlay) return;
+    rememberEdit();
+    photoEditor.gesture = { type: 'move', overlay, dx: overlay.x - point.x, dy: overlay.y - point.y };
+  }
+}
+
+function handleEditorPointerMove(event) {
+  const { gesture, edit } = photoEditor;
+  if (!gesture) return;
+  const point = editorPointFromEvent(event);
+  if (gesture.type === 'crop') {
+    edit.crop = cropFromDrag(gesture.start, point);
+  } else if (gesture.type === 'blur') {
+    edit.blurPaths[edit.blurPaths.length - 1].push({ ...point, r: gesture.radius });
+  } else {
+    gesture.overlay.x = point.x + gesture.dx;
+    gesture.overlay.y = point.y + gesture.dy;
+  }
+  drawEditorPreview();
+}
+
+function handleEditorPointerUp() {
+  const { gesture, edit } = photoEditor;
+  photoEditor.gesture = null;
+  // A tap instead of a drag leaves the crop as it was.
+  if (gesture?.type === 'crop' && (edit.crop.w < 0.05 || edit.crop.h < 0.05)) {
+    photoEditor.edit = photoEditor.history.pop();
+    drawEditorPreview();
+  }
+}
+
+function selectEditorTool(tool) {
+  photoEditor.tool = tool;
+  photoEditor.root.querySelectorAll('[data-editor-tool]').forEach((button) => {
+    button.classList.toggle('is-active', button.dataset.editorTool === tool);
+  });
+  photoEditor.root.querySelectorAll('[data-editor-panel]').forEach((panel) => {
+    panel.classList.toggle('hidden', panel.dataset.editorPanel !== tool);
+  });
+  drawEditorPreview();
+}
+
+function syncEditorControls() {
+  const { edit } = photoEditor;
+  photoEditor.root.querySelectorAll('[data-editor-adjust]').forEach((input) => {
+    input.value = edit[input.dataset.editorAdjust];
+  });
+  photoEditor.root.querySelectorAll('[data-editor-filter]').forEach((button) => {
+    button.classList.toggle('is-active', button.dataset.editorFilter === edit.filter);
+  });
+  photoEditor.root.querySelectorAll('[data-editor-aspect]').forEach((button) => {
+    button.classList.toggle('is-active', EDITOR_ASPECTS[button.dataset.editorAspect] === photoEditor.aspect);
+  });
+}
+
+function addEditorOverlay(overlay) {
+  updateEdit((edit) => {
+    const { crop } = edit;
+    edit.overlays.push({ x: crop.x + crop.w / 2, y: crop.y + crop.h / 2, ...overlay });
+  });
+  if (photoEditor.tool === 'crop') selectEditorTool('text');
+}
+
+function handleEditorKeydown(event) {
+  if (event.key === 'Escape') closePhotoEditor(null);
+}
+
+function closePhotoEditor(result) {
+  photoEditor.root?.classList.add('hidden');
+  document.body.style.overflow = '';
+  document.removeEventListener('keydown', handleEditorKeydown);
+  const resolve = photoEditor.resolve;
+  photoEditor.resolve = null;
+  photoEditor.sources = null;
+  resolve?.(result);
+}
+
+async function loadEditorSources(dataUrl) {
+  const image = new Image();
+  image.src = dataUrl;
+  await image.decode();
+  const full = document.createElement('canvas');
+  full.width = image.naturalWidth;
+  full.height = image.naturalHeight;
+  full.getContext('2d').drawImage(image, 0, 0);
+  const scale = Math.min(1, EDITOR_PREVIEW_MAX / Math.max(full.width, full.height));
+  const preview = document.createElement('canvas');
+  preview.width = Math.max(1, Math.round(full.width * scale));
+  preview.height = Math.max(1, Math.round(full.height * scale));
+  preview.getContext('2d').drawImage(full, 0, 0, preview.width, preview.height);
+  return { full, preview };
+}
+
+// Opens the editor on a photo data URL. Resolves with the edited photo as a
+// JPEG data URL, or null when the user cancels.
+async function openPhotoEditor(dataUrl) {
+  if (!photoEditor.root || !photoEditor.canvas) return null;
+  if (photoEditor.resolve) closePhotoEditor(null);
+  photoEditor.sources = await loadEditorSources(dataUrl);
+  photoEditor.edit = createEmptyEdit();
+  photoEditor.history = [];
+  photoEditor.aspect = null;
+  photoEditor.root.classList.remove('hidden');
+  document.body.style.overflow = 'hidden';
+  document.addEventListener('keydown', handleEditorKeydown);
+  syncEditorControls();
+  selectEditorTool('crop');
+  return new Promise((resolve) => {
+    photoEditor.resolve = resolve;
+  });
+}
+
+function setupPhotoEditor() {
+  const { root, canvas } = photoEditor;
+  if (!root || !canvas) return;
+
+  const filters = root.querySelector('#photo-editor-filters');
+  Object.entries(EDITOR_FILTERS).forEach(([key, filter]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary';
+    button.dataset.editorFilter = key;
+    button.textContent = filter.label;
+    filters?.appendChild(button);
+  });
+  const stickers = root.querySelector('#photo-editor-stickers');
+  EDITOR_STICKERS.forEach((sticker) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary photo-editor__sticker';
+    button.textContent = sticker;
+    button.addEventListener('click', () => addEditorOverlay({ type: 'sticker', text: sticker, size: 0.14 }));
+    stickers?.appendChild(button);
+  });
+
+  root.querySelectorAll('[data-editor-tool]').forEach((button) => {
+    button.addEventListener('click', () => selectEditorTool(button.dataset.editorTool));
+  });
+  root.querySelectorAll('[data-editor-aspect]').forEach((button) => {
+    button.addEventListener('click', () => {
+      photoEditor.aspect = EDITOR_ASPECTS[button.dataset.editorAspect];
+      updateEdit((edit) => {
+        edit.crop = centeredCrop(photoEditor.aspect);
+      });
+      syncEditorControls();
+    });
+  });
+  root.querySelectorAll('[data-editor-rotate]').forEach((button) => {
+    button.addEventListener('click', () => updateEdit((edit) => rotateEdit(edit, Number(button.dataset.editorRotate))));
+  });
+  root.querySelectorAll('[data-editor-adjust]').forEach((input) => {
+    input.addEventListener('pointerdown', rememberEdit);
+    input.addEventListener('keydown', rememberEdit);
+    input.addEventListener('input', () => {
+      photoEditor.edit[input.dataset.editorAdjust] = Number(input.value);
+      drawEditorPreview();
+    });
+  });
+  filters?.addEventListener('click', (event) => {
+    const key = event.target.closest('[data-editor-filter]')?.dataset.editorFilter;
+    if (!key) return;
+    updateEdit((edit) => {
+      edit.filter = key;
+    });
+    syncEditorControls();
+  });
+  root.querySelector('#photo-editor-add-text')?.addEventListener('click', () => {
+    const input = root.querySelector('#photo-editor-text');
+    const text = input?.value.trim();
+    if (!text) return;
+    const color = root.querySelector('#photo-editor-color')?.value || '#ffffff';
+    addEditorOverlay({ type: 'text', text, color, size: 0.07 });
+    input.value = '';
+  });
+
+  canvas.addEventListener('pointerdown', handleEditorPointerDown);
+  canvas.addEventListener('pointermove', handleEditorPointerMove);
+  canvas.addEventListener('pointerup', handleEditorPointerUp);
+  canvas.addEventListener('pointercancel', handleEditorPointerUp);
+
+  root.querySelector('#photo-editor-undo')?.addEventListener('click', () => {
+    if (!photoEditor.history.length) return;
+    photoEditor.edit = photoEditor.history.pop();
+    syncEditorControls();
+    drawEditorPreview();
+  });
+  root.querySelector('#photo-editor-reset')?.addEventListener('click', () => {
+    photoEditor.aspect = null;
+    updateEdit((edit) => Object.assign(edit, createEmptyEdit()));
+    syncEditorControls();
+  });
+  root.querySelector('#photo-editor-cancel')?.addEventListener('click', () => closePhotoEditor(null));
+  root.querySelector('#photo-editor-done')?.addEventListener('click', () => {
+    const output = renderEditedPhoto(photoEditor.sources.full, photoEditor.edit);
+    closePhotoEditor(output.toDataURL('image/jpeg', 0.92));
+  });
+}
+
+// Replaces a photo in the album being captured with its edited version.
+async function editCapturePhoto(photo) {
+  try {
+    const edited = await openPhotoEditor(photo);
+    const index = state.captureMedia.indexOf(photo);
+    if (edited && index !== -1) {
+      if (cameraShots.has(photo)) cameraShots.set(edited, cameraShots.get(photo));
+      state.captureMedia[index] = edited;
+      renderCaptureAlbum();
+    }
+  } catch (error) {
+    console.error('Failed to open the photo editor', error);
+    alert('Could not open this photo for editing.');
+  }
+}
+
+// Face matching runs the bundled face-api models on this device: a small face
+// detector, a landmark model to align each face, and a recognition network
+// that describes it as 128 numbers. Only those numbers leave the device. The
+// script and weights (about 8 MB) load the first time a photo is checked.
+const FACE_API_SCRIPT = '/vendor/face-api.js';
+const FACE_MODEL_URL = '/models/face';
+const FACE_SCAN_MAX = 640;
+const MAX_FACES_PER_PHOTO = 8;
+
+const captureFaces = {
+  source: null,
+  embeddings: [],
+  matches: [],
+};
+
+let faceApiLoading = null;
+
+function loadFaceApi() {
+  if (!faceApiLoading) {
+    faceApiLoading = new Promise((resolve, reject) => {
+      if (window.faceapi) {
+        resolve(window.faceapi);
+        return;
+      }
+      const script = document.createElement('script');
+      script.src = FACE_API_SCRIPT;
+      script.onload = () => resolve(window.faceapi);
+      script.onerror = () => reject(new Error('Could not load face matching.'));
+      document.head.appendChild(script);
+    }).then(async (faceapi) => {
+      await Promise.all([
+        faceapi.nets.tinyFaceDetector.loadFromUri(FACE_MODEL_URL),
+        faceapi.nets.faceLandmark68TinyNet.loadFromUri(FACE_MODEL_URL),
+        faceapi.nets.faceRecognitionNet.loadFromUri(FACE_MODEL_URL),
+      ]);
+      return faceapi;
+    });
+    faceApiLoading.catch(() => {
+      faceApiLoading = null;
+    });
+  }
+  return faceApiLoading;
+}
+
+// Resolves with one embedding per face found in the photo, largest first.
+async function computeFaceEmbeddings(dataUrl) {
+  const faceapi = await loadFaceApi();
+  const image = new Image();
+  image.src = dataUrl;
+  await image.decode();
+  const scale = Math.min(1, FACE_SCAN_MAX / Math.max(image.naturalWidth, image.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  const faces = await faceapi
+    .detectAllFaces(canvas, new faceapi.TinyFaceDetectorOptions({ inputSize: 416, scoreThreshold: 0.5 }))
+    .withFaceLandmarks(true)
+    .withFaceDescriptors();
+  return faces
+    .sort((a, b) => b.detection.box.area - a.detection.box.area)
+    .slice(0, MAX_FACES_PER_PHOTO)
+    .map((face) => Array.from(face.descriptor, (value) => Math.round(value * 100000) / 100000));
+}
+
+// Looks for faces on the drop's cover and asks the server who they might be,
+// so the recipient list can put likely matches first.
+async function refreshCaptureFaces() {
+  const cover = state.captureMedia[0] || null;
+  if (cover === captureFaces.source) return;
+  const targetSelect = document.querySelector('#capture-target');
+  captureFaces.source = cover;
+  captureFaces.embeddings = [];
+  captureFaces.matches = [];
+  populateTargetSelect(targetSelect);
+  if (!cover) return;
+  try {
+    const embeddings = await computeFaceEmbeddings(typeof cover === 'string' ? cover : cover.poster);
+    if (captureFaces.source !== cover) return;
+    captureFaces.embeddings = embeddings;
+    if (!embeddings.length || !navigator.onLine) return;
+    const { matches } = await api.matchFaces(embeddings);
+    if (captureFaces.source !== cover) return;
+    captureFaces.matches = matches || [];
+    populateTargetSelect(targetSelect);
+  } catch (error) {
+    console.warn('Face matching failed', error);
+  }
+}
+
+function stopCamera(video) {
+  state.clipRecording?.stop();
+  if (state.cameraStream) {
+    state.cameraStream.getTracks().forEach((track) => track.stop());
+    state.cameraStream = null;
+  }
+  if (video) {
+    video.srcObject = null;
+    video.classList.add('hidden');
+  }
+  const cameraControls = document.querySelector('#camera-controls');
+  if (cameraControls) {
+    cameraControls.remove();
+  }
+  const cameraBtn = document.querySelector('#capture-camera');
+  if (cameraBtn) {
+    cameraBtn.textContent = 'Use Camera';
+  }
+}
+
+function setupProfileView() {
+  const logoutBtn = document.querySelector('#logout');
+  logoutBtn?.addEventListener('click', () => signOut());
+  const logoutAllBtn = document.querySelector('#profile-logout-all');
+  logoutAllBtn?.addEventListener('click', async () => {
+    if (!confirm('Sign out of Kandid on every device, including this one?')) return;
+    logoutAllBtn.setAttribute('disabled', 'true');
+    try {
+      await api.logoutEverywhere();
+      performLogout();
+    } catch (error) {
+      console.error('Failed to sign out everywhere', error);
+      alert(error.message || 'Could not sign out everywhere.');
+    } finally {
+      logoutAllBtn.removeAttribute('disabled');
+    }
+  });
+  setupProfileSettings();
+  setupAutoApproveToggle();
+  setupNotificationPreferences();
+  setupFaceEnrollment();
+  setupPushToggle();
+  const followToggle = document.querySelector('#profile-follow-toggle');
+  if (followToggle) {
+    followToggle.addEventListener('click', () => {
+      const targetId = followToggle.dataset.userId;
+      if (!targetId) return;
+      toggleFollow(targetId, followToggle);
+    });
+  }
+  const reportToggle = document.querySelector('#profile-report-toggle');
+  reportToggle?.addEventListener('click', () => {
+    const targetId = reportToggle.dataset.userId;
+    if (!targetId) return;
+    reportContent('user', targetId, reportToggle);
+  });
+  ['mute', 'block'].forEach((kind) => {
+    const toggle = document.querySelector(`#profile-${kind}-toggle`);
+    toggle?.addEventListener('click', () => {
+      const targetId = toggle.dataset.userId;
+      if (!targetId) return;
+      toggleRestriction(kind, targetId, toggle);
+    });
+  });
+  const bekandidToggle = document.querySelector('#profile-bekandid-toggle');
+  if (bekandidToggle) {
+    bekandidToggle.addEventListener('click', async () => {
+      const current = getCurrentUser();
+      if (!current) {
+        alert('Log in to change BeKandid mode.');
+        return;
+      }
+      const nextStatus = !current.bekandidEnabled;
+      bekandidToggle.setAttribute('disabled', 'true');
+      try {
+        await updateStateFrom(api.toggleBeKandid(nextStatus));
+        alert(`BeKandid mode ${nextStatus ? 'enabled' : 'disabled'}!`);
+      } catch (error) {
+        console.error('Failed to toggle BeKandid', error);
+        alert(error.message || 'Could not update BeKandid mode.');
+      } finally {
+        bekandidToggle.removeAttribute('disabled');
+      }
+    });
+  }
+}
+
+function fillProfileEditForm(user) {
+  const form = document.querySelector('#profile-edit-form');
+  if (!form || !user) return;
+  form.reset();
+  form.elements.displayName.value = user.displayName || '';
+  form.elements.bio.value = user.bio || '';
+  form.elements.homeCity.value = user.homeCity || '';
+  document.querySelector('#profile-edit-avatar').src = avatarUrl(user);
+}
+
+function setupProfileSettings() {
+  const editToggle = document.querySelector('#profile-edit-toggle');
+  const editPanel = document.querySelector('#profile-edit');
+  const editForm = document.querySelector('#profile-edit-form');
+  const emailForm = document.querySelector('#profile-email-form');
+  const passwordForm = document.querySelector('#profile-password-form');
+  if (!editToggle || !editPanel) return;
+
+  editToggle.addEventListener('click', () => {
+    const opening = editPanel.classList.contains('hidden');
+    editPanel.classList.toggle('hidden', !opening);
+    editToggle.textContent = opening ? 'Close Settings' : 'Edit Profile';
+    if (opening) fillProfileEditForm(getCurrentUser());
+  });
+
+  const avatarPreview = document.querySelector('#profile-edit-avatar');
+  editForm.elements.avatar.addEventListener('change', () => {
+    const file = editForm.elements.avatar.files[0];
+    const current = getCurrentUser();
+    avatarPreview.src = file ? URL.createObjectURL(file) : current ? avatarUrl(current) : '';
+    if (file) editForm.elements.removeAvatar.checked = false;
+  });
+
+  editForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const formData = new FormData(editForm);
+    const payload = {
+      displayName: (formData.get('displayName') || '').toString().trim(),
+      bio: (formData.get('bio') || '').toString().trim(),
+      homeCity: (formData.get('homeCity') || '').toString().trim(),
+    };
+    if (!payload.displayName) {
+      alert('Display name cannot be empty.');
+      return;
+    }
+    const submitBtn = editForm.querySelector('button[type="submit"]');
+    submitBtn?.setAttribute('disabled', 'true');
+    try {
+      const avatarFile = formData.get('avatar');
+      if (formData.get('removeAvatar')) {
+        payload.avatarMediaId = null;
+      } else if (avatarFile && avatarFile.size) {
+        const media = await api.uploadMedia(avatarFile);
+        payload.avatarMediaId = media.id;
+      }
+      await updateStateFrom(api.updateProfile(payload));
+      fillProfileEditForm(getCurrentUser());
+      alert('Profile updated!');
+    } catch (error) {
+      console.error('Failed to update profile', error);
+      alert(error.message || 'Could not update your profile.');
+    } finally {
+      submitBtn?.removeAttribute('disabled');
+    }
+  });
+
+  emailForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const formData = new FormData(emailForm);
+    const email = (formData.get('email') || '').toString().trim().toLowerCase();
+    const currentPassword = (formData.get('currentPassword') || '').toString();
+    const submitBtn = emailForm.querySelector('button[type="submit"]');
+    submitBtn?.setAttribute('disabled', 'true');
+    try {
+      await updateStateFrom(api.changeEmail(email, currentPassword));
+      emailForm.reset();
+      alert(`Check ${email} for a link to confirm the change.`);
+    } catch (error) {
+      console.error('Failed to change email', error);
+      alert(error.message || 'Could not change your email.');
+    } finally {
+      submitBtn?.removeAttribute('disabled');
+    }
+  });
+
+  const exportBtn = document.querySelector('#profile-export');
+  exportBtn.addEventListener('click', async () => {
+    exportBtn.setAttribute('disabled', 'true');
+    try {
+      const archive = await api.exportAccount();
+      const url = URL.createObjectURL(archive);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `kandid-export-${new Date().toISOString().slice(0, 10)}.zip`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+      console.error('Failed to export data', error);
+      alert(error.message || 'Could not export your data.');
+    } finally {
+      exportBtn.removeAttribute('disabled');
+    }
+  });
+
+  const deleteForm = document.querySelector('#profile-delete-form');
+  deleteForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const password = (new FormData(deleteForm).get('password') || '').toString();
+    if (!confirm('Delete your Kandid account? You will be signed out on every device.')) return;
+    const submitBtn = deleteForm.querySelector('button[type="submit"]');
+    submitBtn?.setAttribute('disabled', 'true');
+    try {
+      const result = await api.deleteAccount(password);
+      performLogout();
+      alert(
+        `Your account will be deleted on ${new Date(result.deletionScheduledFor).toLocaleDateString()}. Log in before then to keep it.`
+      );
+    } catch (error) {
+      console.error('Failed to delete account', error);
+      alert(error.message || 'Could not delete your account.');
+      submitBtn?.removeAttribute('disabled');
+    }
+  });
+
+  passwordForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    const formData = new FormData(passwordForm);
+    const currentPassword = (formData.get('currentPassword') || '').toString();
+    const newPassword = (formData.get('newPassword') || '').toString();
+    if (newPassword.length < 6) {
+      alert('Password must be at least 6 characters.');
+      return;
+    }
+    if (newPassword !== (formData.get('confirmPassword') || '').toString()) {
+      alert('New passwords do not match.');
+      return;
+    }
+    const submitBtn = passwordForm.querySelector('button[type="submit"]');
+    submitBtn?.setAttribute('disabled', 'true');
+    try {
+      await api.changePassword(currentPassword, newPassword);
+      passwordForm.reset();
+      alert('Password changed. Your other devices have been signed out.');
+      await loadDeviceSessions();
+    } catch (error) {
+      console.error('Failed to change password', error);
+      alert(error.message || 'Could not change your password.');
+    } finally {
+      submitBtn?.removeAttribute('disabled');
+    }
+  });
+}
+
+function setupAutoApproveToggle() {
+  const toggle = document.querySelector('#profile-autoapprove-toggle');
+  toggle?.addEventListener('click', async () => {
+    const current = getCurrentUser();
+    if (!current) return;
+    toggle.setAttribute('disabled', 'true');
+    try {
+      await updateStateFrom(api.updateProfile({ autoApproveDrops: !current.autoApproveDrops }));
+    } catch (error) {
+      console.error('Failed to update drop approval setting', error);
+      alert(error.message || 'Could not update this setting.');
+    } finally {
+      toggle.removeAttribute('disabled');
+    }
+  });
+}
+
+// Uploads the photos and clips an earlier attempt has not already uploaded,
+// then creates the post. Entries queued before albums hold a single
+// imageData/mediaId, and ones queued before shutter times were kept only
+// flag camera shots.
+async function sendQueuedDrop(entry, { queued = false } = {}) {
+  const images = entry.images || [entry.imageData];
+  entry.mediaIds = entry.mediaIds || (entry.mediaId ? [entry.mediaId] : []);
+  for (let index = entry.mediaIds.length; index < images.length; index += 1) {
+    const shot = entry.cameraShots?.[index];
+    const media = await api.uploadMedia(images[index], {
+      shotAt: typeof shot === 'number' ? shot : shot ? entry.createdAt : null,
+    });
+    entry.mediaIds.push(media.id);
+  }
+  const payload = { ...entry.payload, mediaIds: entry.mediaIds };
+  if (queued) payload.queued = true;
+  return updateStateFrom(api.createPost(payload));
+}
+
+let outboxFlush = null;
+
+// Replays queued drops oldest first. It stops at the first one that cannot reach
+// the server; one the server rejects keeps its error so the user can discard it.
+function flushDropOutbox() {
+  if (outboxFlush) return outboxFlush;
+  outboxFlush = (async () => {
+    const entries = await dropOutbox.list(state.session?.userId);
+    let sent = 0;
+    for (const entry of entries) {
+      try {
+        await sendQueuedDrop(entry, { queued: true });
+        await dropOutbox.remove(entry.id);
+        sent += 1;
+      } catch (error) {
+        if (error.offline) break;
+        console.error('Failed to send queued Kandid', error);
+        await dropOutbox.put({ ...entry, error: error.message || 'Failed to send Kandid.' });
+      }
+    }
+    if (sent) {
+      loadFeedPage({ reset: true }).catch((error) => console.error('Failed to reload feed', error));
+    }
+  })()
+    .catch((error) => console.error('Failed to send queued drops', error))
+    .finally(() => {
+      outboxFlush = null;
+      renderDropOutbox();
+    });
+  return outboxFlush;
+}
+
+async function renderDropOutbox() {
+  const section = document.querySelector('#capture-outbox');
+  const list = document.querySelector('#capture-outbox-list');
+  const count = document.querySelector('#capture-outbox-count');
+  if (!section || !list) return;
+  let entries = [];
+  try {
+    entries = await dropOutbox.list(state.session?.userId);
+  } catch (error) {
+    console.error('Failed to read queued drops', error);
+  }
+  section.classList.toggle('hidden', !entries.length);
+  list.innerHTML = '';
+  if (count) {
+    count.textContent = `${entries.length} pending ${entries.length === 1 ? 'drop' : 'drops'}`;
+  }
+  entries.forEach((entry) => {
+    const item = document.createElement('li');
+    const preview = document.createElement('img');
+    const images = entry.images || [entry.imageData];
+    preview.src = typeof images[0] === 'string' ? images[0] : images[0].poster;
+    preview.alt = 'Queued Kandid';
+    preview.className = 'capture-outbox__thumb';
+    const info = document.createElement('div');
+    const title = document.createElement('strong');
+    const recipient = state.users.find((user) => user.id === entry.payload.recipientId);
+    title.textContent = `For ${recipient?.displayName || 'someone'}`;
+    if (images.length > 1) {
+      title.textContent += ` • ${images.length} items`;
+    }
+    const meta = document.createElement('p');
+    meta.className = 'muted';
+    meta.textContent = entry.error
+      ? `Not sent: ${entry.error}`
+      : `Captured ${timeAgo(entry.createdAt)} • waiting for a connection`;
+    info.appendChild(title);
+    info.appendChild(meta);
+    const discard = document.createElement('button');
+    discard.type = 'button';
+    discard.className = 'secondary';
+    discard.textContent = 'Discard';
+    discard.addEventListener('click', async () => {
+      if (!confirm('Discard this Kandid? It has not been sent.')) return;
+      await dropOutbox.remove(entry.id);
+      renderDropOutbox();
+    });
+    item.appendChild(preview);
+    item.appendChild(info);
+    item.appendChild(discard);
+    list.appendChild(item);
+  });
+}
+
+function createCaptureReviewActions(capture) {
+  const actions = document.createElement('div');
+  actions.className = 'consent-actions';
+  const setDisabled = (disabled) =>
+    actions.querySelectorAll('button').forEach((button) => button.toggleAttribute('disabled', disabled));
+  const accept = document.createElement('button');
+  accept.className = 'secondary';
+  accept.textContent = 'Accept';
+  accept.addEventListener('click', async (event) => {
+    event.stopPropagation();
+    setDisabled(true);
+    try {
+      await updateStateFrom(api.acceptCapture(capture.id));
+    } catch (error) {
+      console.error('Failed to accept capture', error);
+      alert(error.message || 'Could not accept this capture.');
+      setDisabled(false);
+    }
+  });
+  const dispute = document.createElement('button');
+  dispute.className = 'primary';
+  dispute.textContent = 'Dispute';
+  dispute.addEventListener('click', async (event) => {
+    event.stopPropagation();
+    const reason = prompt('Why was this not a fair capture?');
+    if (reason === null) return;
+    if (!reason.trim()) {
+      alert('Add a short reason so moderators know what to look for.');
+      return;
+    }
+    setDisabled(true);
+    try {
+      await updateStateFrom(api.disputeCapture(capture.id, reason.trim()));
+    } catch (error) {
+      console.error('Failed to dispute capture', error);
+      alert(error.message || 'Could not dispute this capture.');
+      setDisabled(false);
+    }
+  });
+  actions.appendChild(accept);
+  actions.appendChild(dispute);
+  return actions;
+}
+
+const CONTEST_BADGE_ICONS = { top_hunter: '🎯', top_ghost: '👻', survivor: '🛡️' };
+
+// Badges earned across contest weeks, one chip per kind with a count.
+function renderProfileBadges(profileUser) {
+  const list = document.querySelector('#profile-badges');
+  if (!list) return;
+  list.innerHTML = '';
+  const counts = new Map();
+  (profileUser.badges || []).forEach((entry) => {
+    const existing = counts.get(entry.badge) || { label: entry.label, count: 0 };
+    existing.count += 1;
+    counts.set(entry.badge, existing);
+  });
+  list.classList.toggle('hidden', !counts.size);
+  counts.forEach(({ label, count }, badge) => {
+    const item = document.createElement('li');
+    item.className = 'profile-badge';
+    item.textContent = `${CONTEST_BADGE_ICONS[badge] || '🏅'} ${label}${count > 1 ? ` ×${count}` : ''}`;
+    list.appendChild(item);
+  });
+}
+
+function renderFaceReferences(viewer) {
+  const list = document.querySelector('#profile-face-list');
+  if (!list) return;
+  list.innerHTML = '';
+  const references = viewer.faceReferences || [];
+  if (!references.length) {
+    const empty = document.createElement('li');
+    empty.className = 'muted';
+    empty.textContent = 'No reference selfies yet.';
+    list.appendChild(empty);
+    return;
+  }
+  references.forEach((reference, index) => {
+    const item = document.createElement('li');
+    const info = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = `Selfie ${index + 1}`;
+    const meta = document.createElement('p');
+    meta.className = 'muted';
+    meta.textContent = `Added ${timeAgo(reference.createdAt)}`;
+    info.appendChild(title);
+    info.appendChild(meta);
+    const remove = document.createElement('button');
+    remove.className = 'secondary';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', async () => {
+      remove.setAttribute('disabled', 'true');
+      try {
+        await updateStateFrom(api.deleteFace(reference.id));
+      } catch (error) {
+        console.error('Failed to remove reference selfie', error);
+        alert(error.message || 'Could not remove this selfie.');
+        remove.removeAttribute('disabled');
+      }
+    });
+    item.appendChild(info);
+    item.appendChild(remove);
+    list.appendChild(item);
+  });
+}
+
+function setupFaceEnrollment() {
+  const input = document.querySelector('#profile-face-input');
+  if (!input) return;
+  input.addEventListener('change', async () => {
+    const [file] = input.files;
+    if (!file) return;
+    input.setAttribute('disabled', 'true');
+    try {
+      const embeddings = await computeFaceEmbeddings(await fileToDataURL(file));
+      if (embeddings.length !== 1) {
+        alert(embeddings.length ? 'Use a selfie with only your face in it.' : 'No face was found in that photo.');
+        return;
+      }
+      await updateStateFrom(api.enrollFace(embeddings[0]));
+    } catch (error) {
+      console.error('Failed to add reference selfie', error);
+      alert(error.message || 'Could not add this selfie.');
+    } finally {
+      input.value = '';
+      input.removeAttribute('disabled');
+    }
+  });
+}
+
+function setupNotificationPreferences() {
+  const options = document.querySelectorAll('#profile-notification-options input[type="checkbox"]');
+  options.forEach((checkbox) => {
+    checkbox.addEventListener('change', async () => {
+      checkbox.setAttribute('disabled', 'true');
+      try {
+        await updateStateFrom(api.updateNotificationPreferences({ [checkbox.name]: checkbox.checked }));
+      } catch (error) {
+        console.error('Failed to update notification preferences', error);
+        alert(error.message || 'Could not update this setting.');
+        checkbox.checked = !checkbox.checked;
+      } finally {
+        checkbox.removeAttribute('disabled');
+      }
+    });
+  });
+}
+
+const PUSH_SUPPORTED = 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('/sw.js').catch((error) => {
+    console.warn('Service worker registration failed', error);
+  });
+  // A clicked push notification asks an open tab to show the matching view.
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'open-view' && state.session && selectors.view[event.data.view]) {
+      switchView(event.data.view);
+    }
+  });
+}
+
+async function getPushSubscription() {
+  if (!PUSH_SUPPORTED) return null;
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+}
+
+function decodeBase64Url(value) {
+  const base64 = `${value}${'='.repeat((4 - (value.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+async function enablePush() {
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Allow notifications for Kandid in your browser settings to turn this on.');
+  }
+  const registration = await navigator.serviceWorker.ready;
+  const { publicKey } = await api.fetchPushKey();
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: decodeBase64Url(publicKey),
+    }));
+  await api.subscribePush(subscription.toJSON());
+}
+
+async function disablePush() {
+  const subscription = await getPushSubscription();
+  if (!subscription) return;
+  await api.unsubscribePush(subscription.endpoint);
+  await subscription.unsubscribe();
+}
+
+async function renderPushToggle() {
+  const toggle = document.querySelector('#profile-push-toggle');
+  if (!toggle || !PUSH_SUPPORTED) return;
+  const subscription = await getPushSubscription();
+  toggle.textContent = subscription ? 'Turn off' : 'Turn on';
+}
+
+function setupPushToggle() {
+  const toggle = document.querySelector('#profile-push-toggle');
+  toggle?.addEventListener('click', async () => {
+    toggle.setAttribute('disabled', 'true');
+    try {
+      if (await getPushSubscription()) {
+        await disablePush();
+      } else {
+        await enablePush();
+      }
+    } catch (error) {
+      console.error('Failed to change push notifications', error);
+      alert(error.message || 'Could not change push notifications.');
+    } finally {
+      toggle.removeAttribute('disabled');
+      renderPushToggle();
+    }
+  });
+}
+
+function setupInboxView() {
+  const clear = document.querySelector('#clear-inbox');
+  clear?.addEventListener('click', async () => {
+    const current = getCurrentUser();
+    if (!current) return;
+    const messages = state.inbox[current.id] || [];
+    if (!messages.length) return;
+    const messageIds = messages.map((message) => message.id);
+    clear.setAttribute('disabled', 'true');
+    try {
+      await updateStateFrom(api.markInboxMessages(messageIds));
+    } catch (error) {
+      console.error('Failed to mark inbox messages', error);
+      alert(error.message || 'Failed to mark messages as read.');
+    } finally {
+      clear.removeAttribute('disabled');
+    }
+  });
+}
+
+// People whose reference selfies match a face in the photo come first.
+function populateTargetSelect(select) {
+  if (!select) return;
+  const selected = select.value;
+  select.innerHTML = '';
+  const option = document.createElement('option');
+  option.value = '';
+  option.textContent = 'Select a person';
+  select.appendChild(option);
+
+  const current = getCurrentUser();
+  const candidates = state.users.filter(
+    (user) => (!current || user.id !== current.id) && !user.interactionBlocked
+  );
+  const scores = new Map(captureFaces.matches.map((match) => [match.userId, match.score]));
+  const matched = candidates
+    .filter((user) => scores.has(user.id))
+    .sort((a, b) => scores.get(b.id) - scores.get(a.id));
+  const likelyGroup = document.createElement('optgroup');
+  likelyGroup.label = 'Likely in this photo';
+  const everyoneGroup = document.createElement('optgroup');
+  everyoneGroup.label = 'Everyone';
+  if (matched.length) {
+    select.appendChild(likelyGroup);
+    select.appendChild(everyoneGroup);
+  }
+  [...matched, ...candidates.filter((user) => !scores.has(user.id))].forEach((user) => {
+    const opt = document.createElement('option');
+    opt.value = user.id;
+    const roleLabel = user.bekandidEnabled
+      ? '• BeKandid'
+      : user.contestRole === 'ghost'
+      ? '• Ghost 👻'
+      : user.contestRole === 'hunter'
+      ? '• Hunter 🕵️'
+      : '';
+    const matchLabel = scores.has(user.id) ? `· ${Math.round(scores.get(user.id) * 100)}% match` : '';
+    opt.textContent = `${user.displayName} ${user.homeCity ? `· ${user.homeCity}` : ''} ${roleLabel} ${matchLabel}`
+      .replace(/\s+/g, ' ')
+      .trim();
+    (matched.length ? (scores.has(user.id) ? likelyGroup : everyoneGroup) : select).appendChild(opt);
+  });
+  if (candidates.some((user) => user.id === selected)) select.value = selected;
+}
+
+function renderNearby() {
+  const current = getCurrentUser();
+  const list = document.querySelector('#nearby-list');
+  if (!list) return;
+  list.innerHTML = '';
+
+  const others = state.users.filter(
+    (user) => (!current || user.id !== current.id) && !user.interactionBlocked
+  );
+
+  const enriched = others.map((user) => {
+    const distance = simulateDistance(current, user);
+    return { user, distance };
+  });
+
+  enriched
+    .sort((a, b) => a.distance - b.distance)
+    .forEach(({ user, distance }) => {
+      const item = document.createElement('li');
+      item.className = 'list-item';
+
+      const avatar = document.createElement('img');
+      avatar.className = 'avatar';
+      avatar.src = avatarUrl(user);
+      avatar.alt = `${user.displayName} avatar`;
+      bindProfileNavigation(avatar, user.id, 'avatar');
+
+      const info = document.createElement('div');
+      const name = document.createElement('strong');
+      name.textContent = user.displayName;
+      bindProfileNavigation(name, user.id, 'text');
+      const meta = document.createElement('p');
+      meta.className = 'muted';
+      const roleLabel = user.bekandidEnabled
         ? 'BeKandid'
         : user.contestRole === 'ghost'
         ? 'Ghost'
@@ -886,14 +3338,16 @@ function renderContestBanner() {
     return;
   }
   banner.classList.remove('hidden');
+  const nameEl = document.querySelector('#contest-name');
+  if (nameEl) nameEl.textContent = contest.city ? `${contest.name} · ${contest.city}` : contest.name || 'Contest Mode';
   challengeEl.textContent = contest.challenge;
   const currentUser = getCurrentUser();
   if (currentUser?.bekandidEnabled) {
     roleEl.textContent = 'You are in BeKandid mode – enjoy the candid drops!';
   } else if (currentUser?.contestRole === 'hunter') {
-    roleEl.textContent = 'You are a Hunter this week. Track ghosts and complete the challenge!';
+    roleEl.textContent = 'You are a Hunter this round. Track ghosts and complete the challenge!';
   } else if (currentUser?.contestRole === 'ghost') {
-    roleEl.textContent = 'You are a Ghost. Stay unseen until the week ends!';
+    roleEl.textContent = 'You are a Ghost. Stay unseen until the round ends!';
   } else {
     roleEl.textContent = 'Contest roles will be assigned at the start of the next cycle.';
   }
@@ -917,7 +3371,10 @@ function renderContestBanner() {
     hunters.forEach((entry, index) => {
       const hunter = state.users.find((user) => user.id === entry.userId);
       const li = document.createElement('li');
-      li.textContent = `${index + 1}. ${hunter ? hunter.displayName : 'Unknown'} — ${entry.captures} capture${entry.captures === 1 ? '' : 's'}`;
+      const flagged = (contest.captures || []).filter(
+        (capture) => capture.hunterId === entry.userId && capture.faceMismatch
+      ).length;
+      li.textContent = `${index + 1}. ${hunter ? hunter.displayName : 'Unknown'} — ${entry.captures} capture${entry.captures === 1 ? '' : 's'}${flagged ? ` (⚠️ ${flagged} may show someone else)` : ''}`;
       hunterBoard.appendChild(li);
     });
   }
@@ -938,6 +3395,211 @@ function renderContestBanner() {
   }
 }
 
+// A capture's photo stays while the round runs; the ghost disputes it instead
+// of deleting it.
+function isOpenContestCapture(post) {
+  return (state.contest?.captures || []).some((capture) => capture.postId === post.id && capture.status !== 'voided');
+}
+
+const CONTEST_DATE_FORMAT = { month: 'short', day: 'numeric' };
+
+function contestUserName(userId) {
+  return state.users.find((user) => user.id === userId)?.displayName || 'Unknown';
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function describeContestRecord(record) {
+  return [
+    `${record.points} pts`,
+    plural(record.captures, 'capture'),
+    plural(record.survivals, 'survival'),
+    plural(record.wins, 'win'),
+    `${plural(record.weeks, 'week')} played (${record.hunterWeeks} hunting, ${record.ghostWeeks} ghosting)`,
+  ].join(' • ');
+}
+
+function setupContestHistoryView() {
+  const scope = document.querySelector('#contest-leaderboard-scope');
+  scope?.addEventListener('change', () => {
+    state.contestHistory.scope = scope.value;
+    loadContestLeaderboard();
+  });
+  document.querySelector('#contest-history-back')?.addEventListener('click', () => switchView('feed'));
+  document.querySelector('#contest-history-more')?.addEventListener('click', () => loadContestWeeks());
+}
+
+async function loadContestLeaderboard() {
+  const history = state.contestHistory;
+  const { scope } = history;
+  try {
+    const result = await api.fetchContestLeaderboard(scope);
+    if (history !== state.contestHistory || scope !== history.scope) return;
+    history.season = result?.season || null;
+    history.records = Array.isArray(result?.records) ? result.records : [];
+  } catch (error) {
+    console.error('Failed to load contest leaderboard', error);
+    alert(error.message || 'Could not load the leaderboard.');
+  }
+  if (state.view === 'contests') renderContestHistory();
+}
+
+async function loadContestWeeks({ reset = false } = {}) {
+  const history = state.contestHistory;
+  if (history.loading || (!reset && !history.nextCursor)) return;
+  history.loading = true;
+  try {
+    const page = await api.fetchContests(reset ? null : history.nextCursor);
+    if (history !== state.contestHistory) return;
+    const weeks = Array.isArray(page?.contests) ? page.contests : [];
+    history.weeks = reset ? weeks : [...history.weeks, ...weeks];
+    history.nextCursor = page?.nextCursor || null;
+  } catch (error) {
+    console.error('Failed to load contest history', error);
+    alert(error.message || 'Could not load past contests.');
+  } finally {
+    history.loading = false;
+  }
+  if (state.view === 'contests') renderContestHistory();
+}
+
+async function toggleContestDetail(contestId) {
+  const history = state.contestHistory;
+  history.expandedId = history.expandedId === contestId ? null : contestId;
+  renderContestHistory();
+  if (!history.expandedId || history.details[contestId]) return;
+  try {
+    const result = await api.fetchContest(contestId);
+    history.details[contestId] = result.contest;
+  } catch (error) {
+    console.error('Failed to load contest', error);
+    alert(error.message || 'Could not load that contest.');
+  }
+  if (state.view === 'contests') renderContestHistory();
+}
+
+function renderContestResults(contest) {
+  const list = document.createElement('ol');
+  list.className = 'contest-list contest-results';
+  ['hunter', 'ghost'].forEach((role) => {
+    contest.results
+      .filter((result) => result.role === role)
+      .forEach((result, index) => {
+        const li = document.createElement('li');
+        const outcome =
+          role === 'hunter'
+            ? plural(result.captures, 'capture')
+            : `${result.survived ? 'never caught' : 'caught'}${result.campingViolation ? ', camping penalty' : ''}`;
+        const points = result.points === null ? '' : ` — ${result.points} pts`;
+        const badges = result.badges.map((badge) => CONTEST_BADGE_ICONS[badge.badge] || '🏅').join('');
+        li.textContent = `#${result.rank ?? index + 1} ${contestUserName(result.userId)} (${role}, ${outcome})${points} ${badges}`.trim();
+        list.appendChild(li);
+      });
+  });
+  if (!contest.results.length) {
+    const empty = document.createElement('li');
+    empty.textContent = 'Nobody took part this round.';
+    list.appendChild(empty);
+  }
+  return list;
+}
+
+function renderContestHistory() {
+  const recordEl = document.querySelector('#contest-record');
+  const board = document.querySelector('#contest-leaderboard');
+  const weekList = document.querySelector('#contest-history-list');
+  const more = document.querySelector('#contest-history-more');
+  const scope = document.querySelector('#contest-leaderboard-scope');
+  if (!recordEl || !board || !weekList) return;
+  const history = state.contestHistory;
+  if (scope) scope.value = history.scope;
+
+  const viewerId = state.session?.userId;
+  const mine = history.records.find((record) => record.userId === viewerId);
+  const scopeLabel = history.scope === 'season' && history.season ? `season ${history.season.id}` : 'all time';
+  recordEl.textContent = mine
+    ? `Your record (${scopeLabel}): #${mine.rank} • ${describeContestRecord(mine)}`
+    : `You have not played a contest round (${scopeLabel}) yet.`;
+
+  board.innerHTML = '';
+  if (!history.records.length) {
+    const empty = document.createElement('li');
+    empty.className = 'muted';
+    empty.textContent = 'No contest results yet.';
+    board.appendChild(empty);
+  }
+  history.records.forEach((record) => {
+    const item = document.createElement('li');
+    item.className = 'list-item';
+    item.classList.toggle('contest-record--mine', record.userId === viewerId);
+    const block = document.createElement('div');
+    const name = document.createElement('strong');
+    name.textContent = `#${record.rank} ${contestUserName(record.userId)}`;
+    bindProfileNavigation(name, record.userId);
+    const stats = document.createElement('p');
+    stats.className = 'muted';
+    stats.textContent = describeContestRecord(record);
+    block.appendChild(name);
+    block.appendChild(stats);
+    item.appendChild(block);
+    board.appendChild(item);
+  });
+
+  weekList.innerHTML = '';
+  if (!history.weeks.length) {
+    const empty = document.createElement('li');
+    empty.className = 'muted';
+    empty.textContent = history.loading ? 'Loading past rounds…' : 'No finished contest rounds yet.';
+    weekList.appendChild(empty);
+  }
+  history.weeks.forEach((week) => {
+    const item = document.createElement('li');
+    item.className = 'list-item contest-week';
+    const block = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = week.challenge;
+    const meta = document.createElement('p');
+    meta.className = 'muted';
+    const dates = `${new Date(week.startsAt).toLocaleDateString(undefined, CONTEST_DATE_FORMAT)} – ${new Date(week.endsAt).toLocaleDateString(undefined, CONTEST_DATE_FORMAT)}`;
+    meta.textContent = `${week.name ? `${week.name} • ` : ''}${dates} • ${plural(week.hunters, 'hunter')} • ${plural(week.ghosts, 'ghost')} • ${plural(week.captureCount, 'capture')}`;
+    const winners = document.createElement('p');
+    if (week.winners) {
+      const names = (ids) => (ids.length ? ids.map(contestUserName).join(', ') : 'nobody');
+      winners.textContent = `Top hunter: ${names(week.winners.hunters)} • Top ghost: ${names(week.winners.ghosts)}`;
+    } else {
+      winners.textContent = 'Results are waiting on disputed captures.';
+    }
+    block.appendChild(title);
+    block.appendChild(meta);
+    block.appendChild(winners);
+
+    const expanded = history.expandedId === week.id;
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'secondary';
+    toggle.textContent = expanded ? 'Hide results' : 'Full results';
+    toggle.setAttribute('aria-expanded', String(expanded));
+    toggle.addEventListener('click', () => toggleContestDetail(week.id));
+    block.appendChild(toggle);
+    if (expanded) {
+      const detail = history.details[week.id];
+      if (detail) {
+        block.appendChild(renderContestResults(detail));
+      } else {
+        const loading = document.createElement('p');
+        loading.className = 'muted';
+        loading.textContent = 'Loading results…';
+        block.appendChild(loading);
+      }
+    }
+    item.appendChild(block);
+    weekList.appendChild(item);
+  });
+  more?.classList.toggle('hidden', !history.nextCursor);
+}
+
 async function toggleFollow(targetId, button) {
   const current = getCurrentUser();
   if (!current) {
@@ -961,116 +3623,146 @@ function renderFeed() {
   if (!grid || !filter) return;
 
   renderContestBanner();
+  const scrollTop = grid.scrollTop;
   grid.innerHTML = '';
   const current = getCurrentUser();
-  const filterValue = filter.value;
 
-  const visiblePosts = state.posts.filter((post) => {
-    if (post.visibility !== 'public' && (!current || post.authorId !== current.id)) {
-      return false;
-    }
-    if (filterValue === 'mine') {
-      return current && post.authorId === current.id;
-    }
-    if (filterValue === 'following') {
-      return current && current.following?.includes(post.authorId);
+  if (!state.feed.posts.length) {
+    if (state.feed.loaded) {
+      const empty = document.createElement('p');
+      empty.className = 'muted';
+      empty.textContent = 'No candid posts yet. Capture something to get started!';
+      grid.appendChild(empty);
     }
-    return true;
-  });
-
-  if (!visiblePosts.length) {
-    const empty = document.createElement('p');
-    empty.className = 'muted';
-    empty.textContent = 'No candid posts yet. Capture something to get started!';
-    grid.appendChild(empty);
+    renderFeedStatus();
     return;
   }
 
-  const originals = [];
-  const reposts = [];
+  const heading = document.createElement('h3');
+  heading.className = 'feed-section-title';
+  heading.textContent = 'Latest Candid Posts';
+  grid.appendChild(heading);
 
-  visiblePosts
-    .sort((a, b) => b.createdAt - a.createdAt)
-    .forEach((post) => {
-      if (post.originalPostId) {
-        reposts.push(post);
-      } else {
-        originals.push(post);
-      }
+  state.feed.posts.forEach((post) => {
+    const card = templates.post.content.cloneNode(true);
+    const article = card.querySelector('.post');
+    if (article) {
+      article.dataset.postId = post.id;
+    }
+    const avatarEl = card.querySelector('[data-avatar]');
+    const authorEl = card.querySelector('[data-author]');
+    const metaEl = card.querySelector('[data-meta]');
+    const mediaEl = card.querySelector('[data-media]');
+    const captionEl = card.querySelector('[data-caption]');
+    const likeBtn = card.querySelector('[data-like]');
+    const likeCount = card.querySelector('[data-like-count]');
+    const repostBtn = card.querySelector('[data-repost]');
+    const followBtn = card.querySelector('[data-follow]');
+    const reportBtn = card.querySelector('[data-report]');
+    const editBtn = card.querySelector('[data-edit]');
+    const visibilityBtn = card.querySelector('[data-visibility]');
+    const deleteBtn = card.querySelector('[data-delete]');
+    const editedEl = card.querySelector('[data-edited]');
+
+    const author = state.users.find((user) => user.id === post.authorId);
+    const recipient = state.users.find((user) => user.id === post.recipientId);
+    if (!author || author.blocked || author.muted) return;
+
+    avatarEl.src = avatarUrl(author);
+    avatarEl.alt = `${author.displayName} avatar`;
+    bindProfileNavigation(avatarEl, author.id, 'avatar');
+
+    authorEl.textContent = author.displayName;
+    bindProfileNavigation(authorEl, author.id, 'text');
+
+    if (recipient && recipient.displayName) {
+      metaEl.innerHTML = `for <span data-recipient>${recipient.displayName}</span> • ${timeAgo(post.createdAt)}`;
+      const recipientEl = metaEl.querySelector('[data-recipient]');
+      bindProfileNavigation(recipientEl, recipient.id, 'text');
+    } else {
+      metaEl.textContent = `Posted ${timeAgo(post.createdAt)}`;
+    }
+    renderCarousel(mediaEl, postAlbum(post, 'medium'), {
+      alt: post.caption || 'Candid moment',
+      imageClass: 'post__image',
+      onSelect: (index) =>
+        openPhotoModal({
+          media: postAlbum(post),
+          startIndex: index,
+          caption: post.caption || 'Shared a candid moment',
+          meta: `${author.displayName} • ${timeAgo(post.createdAt)}`,
+        }),
     });
+    captionEl.textContent = post.caption || 'Shared a candid moment';
+    editedEl.classList.toggle('hidden', !post.editedAt);
+    editedEl.textContent = post.editedAt ? `Edited ${timeAgo(post.editedAt)}` : '';
+    likeCount.textContent = post.likes.length;
+    likeBtn.dataset.post = post.id;
+    repostBtn.dataset.post = post.id;
+    followBtn.dataset.user = author.id;
+    followBtn.classList.toggle('hidden', Boolean(author.interactionBlocked));
+    followBtn.textContent = current && isFollowing(current, author.id) ? 'Following' : 'Follow';
+    followBtn.classList.toggle('following', current && isFollowing(current, author.id));
+    const isLiked = current ? post.likes.includes(current.id) : false;
+    likeBtn.setAttribute('aria-pressed', isLiked);
+    likeBtn.classList.toggle('is-active', isLiked);
+    const isRepostAuthor = current && post.originalPostId && post.authorId === current.id;
+    const isReposted = current
+      ? (post.reposts || []).includes(current.id) || isRepostAuthor
+      : false;
+    repostBtn.setAttribute('aria-pressed', isReposted);
+    repostBtn.classList.toggle('is-active', isReposted);
+    repostBtn.textContent = isReposted ? '↻ Reposted' : '↻ Repost';
+    repostBtn.setAttribute('aria-label', isReposted ? 'Remove repost' : 'Repost this candid');
+
+    likeBtn.addEventListener('click', () => toggleLike(post.id));
+    repostBtn.addEventListener('click', () => repost(post.id));
+    followBtn.addEventListener('click', () => toggleFollow(author.id, followBtn));
+    reportBtn.classList.toggle('hidden', !current || author.id === current.id);
+    reportBtn.addEventListener('click', () => reportContent('post', post.id, reportBtn));
+
+    const isAuthor = Boolean(current) && post.authorId === current.id;
+    const isSubject = Boolean(current) && !post.originalPostId && post.recipientId === current.id;
+    editBtn.classList.toggle('hidden', !isAuthor || Boolean(post.originalPostId));
+    visibilityBtn.classList.toggle('hidden', (!isAuthor && !isSubject) || Boolean(post.originalPostId));
+    visibilityBtn.textContent = post.visibility === 'public' ? '🌐' : '🔒';
+    visibilityBtn.title = post.visibility === 'public' ? 'Make private' : 'Make public';
+    deleteBtn.classList.toggle('hidden', !isAuthor && (!isSubject || isOpenContestCapture(post)));
+    deleteBtn.title = post.originalPostId ? 'Remove repost' : 'Delete post';
+    editBtn.addEventListener('click', () => editPostCaption(post, editBtn));
+    visibilityBtn.addEventListener('click', () => togglePostVisibility(post, visibilityBtn));
+    deleteBtn.addEventListener('click', () => deletePost(post, deleteBtn));
+
+    setupCommentSection(card, post, current);
+
+    grid.appendChild(card);
+  });
 
-  const renderSection = (posts, headingText) => {
-    if (!posts.length) return;
-    const heading = document.createElement('h3');
-    heading.className = 'feed-section-title';
-    heading.textContent = headingText;
-    grid.appendChild(heading);
-    posts.forEach((post) => {
-      const card = templates.post.content.cloneNode(true);
-      const article = card.querySelector('.post');
-      if (article) {
-        article.dataset.postId = post.id;
-      }
-      const avatarEl = card.querySelector('[data-avatar]');
-      const authorEl = card.querySelector('[data-author]');
-      const metaEl = card.querySelector('[data-meta]');
-      const imageEl = card.querySelector('[data-image]');
-      const captionEl = card.querySelector('[data-caption]');
-      const likeBtn = card.querySelector('[data-like]');
-      const likeCount = card.querySelector('[data-like-count]');
-      const repostBtn = card.querySelector('[data-repost]');
-      const followBtn = card.querySelector('[data-follow]');
-
-      const author = state.users.find((user) => user.id === post.authorId);
-      const recipient = state.users.find((user) => user.id === post.recipientId);
-      if (!author) return;
-
-      avatarEl.src = author.avatar || generateAvatar(author.displayName);
-      avatarEl.alt = `${author.displayName} avatar`;
-      bindProfileNavigation(avatarEl, author.id, 'avatar');
-
-      authorEl.textContent = author.displayName;
-      bindProfileNavigation(authorEl, author.id, 'text');
-
-      if (recipient && recipient.displayName) {
-        metaEl.innerHTML = `for <span data-recipient>${recipient.displayName}</span> • ${timeAgo(post.createdAt)}`;
-        const recipientEl = metaEl.querySelector('[data-recipient]');
-        bindProfileNavigation(recipientEl, recipient.id, 'text');
-      } else {
-        metaEl.textContent = `Posted ${timeAgo(post.createdAt)}`;
-      }
-      imageEl.src = post.image;
-      captionEl.textContent = post.caption || 'Shared a candid moment';
-      likeCount.textContent = post.likes.length;
-      likeBtn.dataset.post = post.id;
-      repostBtn.dataset.post = post.id;
-      followBtn.dataset.user = author.id;
-      followBtn.textContent = current && isFollowing(current, author.id) ? 'Following' : 'Follow';
-      followBtn.classList.toggle('following', current && isFollowing(current, author.id));
-      const isLiked = current ? post.likes.includes(current.id) : false;
-      likeBtn.setAttribute('aria-pressed', isLiked);
-      likeBtn.classList.toggle('is-active', isLiked);
-      const isRepostAuthor = current && post.originalPostId && post.authorId === current.id;
-      const isReposted = current
-        ? (post.reposts || []).includes(current.id) || isRepostAuthor
-        : false;
-      repostBtn.setAttribute('aria-pressed', isReposted);
-      repostBtn.classList.toggle('is-active', isReposted);
-      repostBtn.textContent = isReposted ? '↻ Reposted' : '↻ Repost';
-      repostBtn.setAttribute('aria-label', isReposted ? 'Remove repost' : 'Repost this candid');
-
-      likeBtn.addEventListener('click', () => toggleLike(post.id));
-      repostBtn.addEventListener('click', () => repost(post.id));
-      followBtn.addEventListener('click', () => toggleFollow(author.id, followBtn));
-
-      setupCommentSection(card, post, current);
-
-      grid.appendChild(card);
-    });
-  };
+  renderFeedStatus();
+  grid.scrollTop = scrollTop;
+}
 
-  renderSection(originals, 'Latest Candid Posts');
-  renderSection(reposts, 'Reposts');
+function renderFeedStatus() {
+  const grid = document.querySelector('#feed-grid');
+  if (!grid) return;
+  let status = grid.querySelector('.feed-status');
+  const message = state.feed.loading
+    ? 'Loading candid posts…'
+    : state.feed.nextCursor
+    ? ''
+    : state.feed.posts.length
+    ? 'You are all caught up.'
+    : '';
+  if (!message) {
+    status?.remove();
+    return;
+  }
+  if (!status) {
+    status = document.createElement('p');
+    status.className = 'feed-status muted';
+    grid.appendChild(status);
+  }
+  status.textContent = message;
 }
 
 function setupCommentSection(card, post, current) {
@@ -1080,6 +3772,24 @@ function setupCommentSection(card, post, current) {
   const loginNotice = card.querySelector('[data-comment-login]');
   const commentSection = card.querySelector('[data-comments]');
   const toggle = card.querySelector('[data-comment-toggle]');
+  const replyNotice = card.querySelector('[data-comment-reply]');
+  const replyName = card.querySelector('[data-comment-reply-name]');
+  const author = state.users.find((user) => user.id === post.authorId);
+  const canComment = Boolean(current && !author?.interactionBlocked && form && input);
+  let replyTo = null;
+
+  const setReplyTarget = (comment) => {
+    replyTo = comment;
+    replyNotice?.classList.toggle('hidden', !comment);
+    if (!comment) return;
+    const commenter = state.users.find((user) => user.id === comment.authorId);
+    if (replyName) replyName.textContent = commenter?.displayName || 'comment';
+    const mention = commenter ? `@${commenter.displayName} ` : '';
+    if (mention && !input.value.startsWith(mention)) {
+      input.value = mention + input.value;
+    }
+    input.focus();
+  };
 
   const updateToggleLabel = () => {
     if (!toggle) return;
@@ -1089,16 +3799,32 @@ function setupCommentSection(card, post, current) {
   };
 
   const refreshComments = () => {
-    renderCommentList(post, list);
+    renderCommentList(post, list, { onReply: canComment ? setReplyTarget : null });
     updateToggleLabel();
   };
 
+  const focused = state.focusedComment?.postId === post.id ? state.focusedComment : null;
   if (commentSection) {
-    commentSection.classList.add('collapsed');
+    commentSection.classList.toggle('collapsed', !focused);
   }
 
   refreshComments();
 
+  card.querySelector('[data-comment-reply-cancel]')?.addEventListener('click', () => setReplyTarget(null));
+
+  if (focused) {
+    state.focusedComment = null;
+    const article = card.querySelector('.post');
+    requestAnimationFrame(() => {
+      const item = list?.querySelector(`[data-comment-id="${focused.commentId}"]`);
+      article?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      if (item) {
+        item.classList.add('comment-item--focused');
+        item.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      }
+    });
+  }
+
   toggle?.addEventListener('click', () => {
     if (!commentSection) return;
     const collapsed = commentSection.classList.toggle('collapsed');
@@ -1108,7 +3834,7 @@ function setupCommentSection(card, post, current) {
     }
   });
 
-  if (current && form && input) {
+  if (canComment) {
     form.classList.remove('hidden');
     loginNotice?.classList.add('hidden');
     form.addEventListener('submit', async (event) => {
@@ -1118,8 +3844,9 @@ function setupCommentSection(card, post, current) {
       const submitBtn = form.querySelector('button[type="submit"]');
       submitBtn?.setAttribute('disabled', 'true');
       try {
-        await updateStateFrom(api.addComment(post.id, text), { preserveFeedScroll: true });
+        await updateStateFrom(api.addComment(post.id, text, replyTo?.id || null), { preserveFeedScroll: true });
         input.value = '';
+        setReplyTarget(null);
         requestAnimationFrame(() => {
           const card = document.querySelector(`.post[data-post-id="${post.id}"]`);
           const section = card?.querySelector('[data-comments]');
@@ -1140,16 +3867,15 @@ function setupCommentSection(card, post, current) {
     });
   } else {
     form?.classList.add('hidden');
-    loginNotice?.classList.remove('hidden');
+    loginNotice?.classList.toggle('hidden', Boolean(current));
   }
 }
 
-function renderCommentList(post, container) {
+function renderCommentList(post, container, { onReply = null } = {}) {
   if (!container) return;
   container.innerHTML = '';
-  const comments = (post.comments || [])
-    .slice()
-    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  const byCreated = (a, b) => (a.createdAt || 0) - (b.createdAt || 0);
+  const comments = (post.comments || []).slice().sort(byCreated);
 
   if (!comments.length) {
     const empty = document.createElement('li');
@@ -1159,25 +3885,192 @@ function renderCommentList(post, container) {
     return;
   }
 
-  comments.forEach((comment) => {
-    const item = document.createElement('li');
-    item.className = 'comment-item';
-    const author = state.users.find((user) => user.id === comment.authorId);
-    const header = document.createElement('strong');
-    header.textContent = author ? author.displayName : 'Unknown';
-    if (author) {
-      bindProfileNavigation(header, author.id, 'text');
-    }
-    const body = document.createElement('p');
-    body.textContent = comment.text;
-    const meta = document.createElement('p');
-    meta.className = 'muted';
-    meta.textContent = timeAgo(comment.createdAt || Date.now());
-    item.appendChild(header);
-    item.appendChild(body);
-    item.appendChild(meta);
-    container.appendChild(item);
-  });
+  // Replies sit under the comment they answer; a reply whose parent is not
+  // loaded is shown at the top level instead of being dropped.
+  const ids = new Set(comments.map((comment) => comment.id));
+  const repliesByParent = new Map();
+  comments.forEach((comment) => {
+    if (!comment.parentCommentId || !ids.has(comment.parentCommentId)) return;
+    if (!repliesByParent.has(comment.parentCommentId)) repliesByParent.set(comment.parentCommentId, []);
+    repliesByParent.get(comment.parentCommentId).push(comment);
+  });
+  const threads = comments.filter((comment) => !comment.parentCommentId || !ids.has(comment.parentCommentId));
+
+  const viewer = getCurrentUser();
+  const renderComment = (comment, isReply) => {
+    const item = document.createElement('li');
+    item.className = isReply ? 'comment-item comment-item--reply' : 'comment-item';
+    item.dataset.commentId = comment.id;
+    const author = state.users.find((user) => user.id === comment.authorId);
+    const header = document.createElement('strong');
+    header.textContent = author ? author.displayName : 'Unknown';
+    if (author) {
+      bindProfileNavigation(header, author.id, 'text');
+    }
+    const body = document.createElement('p');
+    renderMentionText(body, comment.text);
+    const meta = document.createElement('p');
+    meta.className = 'muted';
+    meta.textContent = timeAgo(comment.createdAt || Date.now());
+    if (comment.editedAt) {
+      meta.textContent += ' • edited';
+    }
+    const addAction = (label, onClick) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'comment-action';
+      button.textContent = label;
+      button.addEventListener('click', () => onClick(button));
+      meta.append(' • ', button);
+      return button;
+    };
+    const likes = comment.likes || [];
+    const canInteract = viewer && !author?.interactionBlocked;
+    if (canInteract) {
+      const liked = likes.includes(viewer.id);
+      const likeButton = addAction(`${liked ? 'Liked' : 'Like'}${likes.length ? ` (${likes.length})` : ''}`, (button) =>
+        toggleCommentLike(post, comment, button)
+      );
+      likeButton.classList.toggle('is-active', liked);
+      likeButton.setAttribute('aria-pressed', liked);
+    } else if (likes.length) {
+      meta.append(` • ${likes.length} ${likes.length === 1 ? 'like' : 'likes'}`);
+    }
+    if (onReply && canInteract) {
+      addAction('Reply', () => onReply(comment));
+    }
+    if (viewer && comment.authorId === viewer.id) {
+      addAction('Edit', (button) => editComment(post, comment, button));
+    }
+    if (viewer && [comment.authorId, post.authorId, post.recipientId].includes(viewer.id)) {
+      addAction('Delete', (button) => deleteComment(post, comment, button));
+    }
+    if (viewer && comment.authorId !== viewer.id) {
+      addAction('Report', (button) => reportContent('comment', comment.id, button));
+    }
+    item.appendChild(header);
+    item.appendChild(body);
+    item.appendChild(meta);
+    container.appendChild(item);
+  };
+
+  threads.forEach((comment) => {
+    renderComment(comment, false);
+    (repliesByParent.get(comment.id) || []).forEach((reply) => renderComment(reply, true));
+  });
+}
+
+// Splits comment text so "@Display Name" mentions of known users link to their
+// profiles. Longer names win, matching how the server resolves mentions.
+function renderMentionText(element, text) {
+  element.textContent = '';
+  const users = state.users
+    .filter((user) => user.displayName)
+    .slice()
+    .sort((a, b) => b.displayName.length - a.displayName.length);
+  const lowered = text.toLowerCase();
+  let cursor = 0;
+  for (let index = text.indexOf('@'); index !== -1; index = text.indexOf('@', index + 1)) {
+    if (index < cursor) continue;
+    const rest = lowered.slice(index + 1);
+    const user = users.find((candidate) => {
+      const name = candidate.displayName.toLowerCase();
+      return rest.startsWith(name) && !/[\p{L}\p{N}_]/u.test(rest.charAt(name.length));
+    });
+    if (!user) continue;
+    element.append(text.slice(cursor, index));
+    const mention = document.createElement('span');
+    mention.className = 'mention';
+    mention.textContent = text.slice(index, index + 1 + user.displayName.length);
+    bindProfileNavigation(mention, user.id, 'text');
+    element.appendChild(mention);
+    cursor = index + 1 + user.displayName.length;
+  }
+  element.append(text.slice(cursor));
+}
+
+async function toggleCommentLike(post, comment, button) {
+  button?.setAttribute('disabled', 'true');
+  try {
+    await updateStateFrom(api.toggleCommentLike(post.id, comment.id), { preserveFeedScroll: true });
+  } catch (error) {
+    console.error('Failed to like comment', error);
+    alert(error.message || 'Failed to like comment.');
+  } finally {
+    button?.removeAttribute('disabled');
+  }
+}
+
+async function editPostCaption(post, button) {
+  const caption = prompt('Edit caption', post.caption || '');
+  if (caption === null || caption.trim() === (post.caption || '')) return;
+  button?.setAttribute('disabled', 'true');
+  try {
+    await updateStateFrom(api.updatePost(post.id, { caption }), { preserveFeedScroll: true });
+  } catch (error) {
+    console.error('Failed to edit caption', error);
+    alert(error.message || 'Failed to edit caption.');
+  } finally {
+    button?.removeAttribute('disabled');
+  }
+}
+
+async function togglePostVisibility(post, button) {
+  const visibility = post.visibility === 'public' ? 'private' : 'public';
+  button?.setAttribute('disabled', 'true');
+  try {
+    const data = await updateStateFrom(api.updatePost(post.id, { visibility }), { preserveFeedScroll: true });
+    const updated = data?.posts?.find((candidate) => candidate.id === post.id);
+    if (updated?.visibility === 'pending_consent') {
+      alert('Sent to the person in the photo for approval before it goes public.');
+    }
+  } catch (error) {
+    console.error('Failed to change visibility', error);
+    alert(error.message || 'Failed to change who can see this post.');
+  } finally {
+    button?.removeAttribute('disabled');
+  }
+}
+
+async function deletePost(post, button) {
+  const message = post.originalPostId
+    ? 'Remove this repost?'
+    : 'Delete this post? Its reposts, comments, and likes go with it.';
+  if (!confirm(message)) return;
+  button?.setAttribute('disabled', 'true');
+  try {
+    await updateStateFrom(api.deletePost(post.id), { preserveFeedScroll: true });
+  } catch (error) {
+    console.error('Failed to delete post', error);
+    alert(error.message || 'Failed to delete post.');
+    button?.removeAttribute('disabled');
+  }
+}
+
+async function editComment(post, comment, button) {
+  const text = prompt('Edit comment', comment.text);
+  if (text === null || !text.trim() || text.trim() === comment.text) return;
+  button?.setAttribute('disabled', 'true');
+  try {
+    await updateStateFrom(api.editComment(post.id, comment.id, text.trim()), { preserveFeedScroll: true });
+  } catch (error) {
+    console.error('Failed to edit comment', error);
+    alert(error.message || 'Failed to edit comment.');
+  } finally {
+    button?.removeAttribute('disabled');
+  }
+}
+
+async function deleteComment(post, comment, button) {
+  if (!confirm('Delete this comment?')) return;
+  button?.setAttribute('disabled', 'true');
+  try {
+    await updateStateFrom(api.deleteComment(post.id, comment.id), { preserveFeedScroll: true });
+  } catch (error) {
+    console.error('Failed to delete comment', error);
+    alert(error.message || 'Failed to delete comment.');
+    button?.removeAttribute('disabled');
+  }
 }
 
 async function toggleLike(postId) {
@@ -1208,6 +4101,7 @@ async function repost(postId) {
   );
   try {
     await updateStateFrom(api.toggleRepost(postId), { preserveFeedScroll: true });
+    await loadFeedPage({ reset: true });
     alert(alreadyReposted ? 'Repost removed.' : 'Reposted to your feed!');
   } catch (error) {
     console.error('Failed to toggle repost', error);
@@ -1242,9 +4136,29 @@ function renderProfile() {
   const logoutBtn = document.querySelector('#logout');
   const contestRoleEl = document.querySelector('#profile-contest-role');
   const bekandidToggle = document.querySelector('#profile-bekandid-toggle');
+  const sessionsSection = document.querySelector('#profile-sessions');
+  const editToggle = document.querySelector('#profile-edit-toggle');
+  const editPanel = document.querySelector('#profile-edit');
+  const emailStatus = document.querySelector('#profile-email-status');
 
   const isSelf = viewer && viewer.id === profileUser.id;
 
+  sessionsSection?.classList.toggle('hidden', !isSelf);
+
+  if (editToggle) {
+    editToggle.classList.toggle('hidden', !isSelf);
+    if (!isSelf) {
+      editPanel?.classList.add('hidden');
+      editToggle.textContent = 'Edit Profile';
+    }
+  }
+
+  if (emailStatus && isSelf) {
+    emailStatus.textContent = viewer.pendingEmail
+      ? `Signed in as ${viewer.email}. Waiting for you to confirm ${viewer.pendingEmail}.`
+      : `Signed in as ${viewer.email}.`;
+  }
+
   if (logoutBtn) {
     logoutBtn.classList.toggle('hidden', !isSelf);
   }
@@ -1256,6 +4170,22 @@ function renderProfile() {
     }
   }
 
+  const pushRow = document.querySelector('#profile-push');
+  if (pushRow) {
+    pushRow.classList.toggle('hidden', !isSelf || !PUSH_SUPPORTED);
+    if (isSelf) renderPushToggle();
+  }
+
+  const autoApproveRow = document.querySelector('#profile-autoapprove');
+  if (autoApproveRow) {
+    autoApproveRow.classList.toggle('hidden', !isSelf || !viewer.bekandidEnabled);
+    if (isSelf) {
+      document.querySelector('#profile-autoapprove-toggle').textContent = viewer.autoApproveDrops
+        ? 'Turn off'
+        : 'Turn on';
+    }
+  }
+
   if (contestRoleEl) {
     if (profileUser.bekandidEnabled) {
       contestRoleEl.textContent = 'BeKandid Mode: ON';
@@ -1265,9 +4195,10 @@ function renderProfile() {
       contestRoleEl.textContent = 'Contest role: Pending';
     }
   }
+  renderProfileBadges(profileUser);
 
   if (followToggle) {
-    const canFollow = Boolean(viewer) && !isSelf;
+    const canFollow = Boolean(viewer) && !isSelf && !profileUser.interactionBlocked;
     followToggle.classList.toggle('hidden', !canFollow);
     if (canFollow) {
       const currentlyFollowing = isFollowing(viewer, profileUser.id);
@@ -1280,8 +4211,35 @@ function renderProfile() {
     }
   }
 
+  const muteToggle = document.querySelector('#profile-mute-toggle');
+  const blockToggle = document.querySelector('#profile-block-toggle');
+  const canRestrict = Boolean(viewer) && !isSelf;
+  if (muteToggle) {
+    muteToggle.classList.toggle('hidden', !canRestrict);
+    muteToggle.textContent = profileUser.muted ? 'Unmute' : 'Mute';
+    muteToggle.dataset.userId = canRestrict ? profileUser.id : '';
+  }
+  if (blockToggle) {
+    blockToggle.classList.toggle('hidden', !canRestrict);
+    blockToggle.textContent = profileUser.blocked ? 'Unblock' : 'Block';
+    blockToggle.dataset.userId = canRestrict ? profileUser.id : '';
+  }
+  const reportToggle = document.querySelector('#profile-report-toggle');
+  if (reportToggle) {
+    reportToggle.classList.toggle('hidden', !canRestrict);
+    reportToggle.dataset.userId = canRestrict ? profileUser.id : '';
+  }
+  if (isSelf) {
+    renderRestrictedUsers();
+    renderFaceReferences(viewer);
+    const preferences = viewer.notificationPreferences || {};
+    document.querySelectorAll('#profile-notification-options input[type="checkbox"]').forEach((checkbox) => {
+      checkbox.checked = preferences[checkbox.name] !== false;
+    });
+  }
+
   if (avatar) {
-    avatar.src = profileUser.avatar || generateAvatar(profileUser.displayName);
+    avatar.src = avatarUrl(profileUser);
     avatar.alt = `${profileUser.displayName} avatar`;
   }
   if (name) name.textContent = profileUser.displayName;
@@ -1294,13 +4252,13 @@ function renderProfile() {
     (post) =>
       post.authorId === profileUser.id &&
       !post.originalPostId &&
-      (isSelf || post.visibility !== 'private')
+      (post.visibility === 'public' || (isSelf && post.visibility === 'private'))
   );
   const reposts = state.posts.filter(
     (post) =>
       post.authorId === profileUser.id &&
       post.originalPostId &&
-      (isSelf || post.visibility !== 'private')
+      (post.visibility === 'public' || (isSelf && post.visibility === 'private'))
   );
 
   if (postsCount) postsCount.textContent = originals.length;
@@ -1335,7 +4293,7 @@ function renderProfile() {
         const li = document.createElement('li');
         li.className = 'list-item';
         const avatarImg = document.createElement('img');
-        avatarImg.src = user.avatar || generateAvatar(user.displayName);
+        avatarImg.src = avatarUrl(user);
         avatarImg.className = 'avatar';
         avatarImg.alt = `${user.displayName} avatar`;
         const block = document.createElement('div');
@@ -1355,6 +4313,168 @@ function renderProfile() {
   }
 }
 
+async function loadDeviceSessions() {
+  try {
+    const result = await api.fetchSessions();
+    state.deviceSessions = Array.isArray(result?.sessions) ? result.sessions : [];
+  } catch (error) {
+    console.error('Failed to load signed-in devices', error);
+  }
+  renderDeviceSessions();
+}
+
+function describeUserAgent(userAgent = '') {
+  const browser = /Edg\//.test(userAgent)
+    ? 'Edge'
+    : /Firefox\//.test(userAgent)
+    ? 'Firefox'
+    : /Chrome\//.test(userAgent)
+    ? 'Chrome'
+    : /Safari\//.test(userAgent)
+    ? 'Safari'
+    : null;
+  const platform = /iPhone|iPad/.test(userAgent)
+    ? 'iOS'
+    : /Android/.test(userAgent)
+    ? 'Android'
+    : /Mac OS X/.test(userAgent)
+    ? 'macOS'
+    : /Windows/.test(userAgent)
+    ? 'Windows'
+    : /Linux/.test(userAgent)
+    ? 'Linux'
+    : null;
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+}
+
+function renderDeviceSessions() {
+  const list = document.querySelector('#profile-session-list');
+  if (!list) return;
+  list.innerHTML = '';
+  state.deviceSessions.forEach((session) => {
+    const item = document.createElement('li');
+    const info = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = describeUserAgent(session.userAgent);
+    const meta = document.createElement('p');
+    meta.className = 'muted';
+    meta.textContent = session.current
+      ? 'This device'
+      : `Active ${timeAgo(session.lastUsedAt)}${session.ipAddress ? ` • ${session.ipAddress}` : ''}`;
+    info.appendChild(title);
+    info.appendChild(meta);
+    item.appendChild(info);
+
+    if (!session.current) {
+      const revoke = document.createElement('button');
+      revoke.className = 'secondary';
+      revoke.textContent = 'Sign out';
+      revoke.addEventListener('click', async () => {
+        revoke.setAttribute('disabled', 'true');
+        try {
+          await api.revokeSession(session.id);
+          await loadDeviceSessions();
+        } catch (error) {
+          console.error('Failed to sign out device', error);
+          alert(error.message || 'Could not sign out that device.');
+          revoke.removeAttribute('disabled');
+        }
+      });
+      item.appendChild(revoke);
+    }
+    list.appendChild(item);
+  });
+}
+
+function renderRestrictedUsers() {
+  const list = document.querySelector('#profile-restricted-list');
+  if (!list) return;
+  list.innerHTML = '';
+  const restricted = state.users.filter((user) => user.blocked || user.muted);
+  if (!restricted.length) {
+    const empty = document.createElement('li');
+    empty.className = 'muted';
+    empty.textContent = 'You have not blocked or muted anyone.';
+    list.appendChild(empty);
+    return;
+  }
+  restricted.forEach((user) => {
+    const item = document.createElement('li');
+    const info = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = user.displayName;
+    bindProfileNavigation(title, user.id, 'text');
+    const meta = document.createElement('p');
+    meta.className = 'muted';
+    meta.textContent = [user.blocked && 'Blocked', user.muted && 'Muted'].filter(Boolean).join(' • ');
+    info.appendChild(title);
+    info.appendChild(meta);
+    item.appendChild(info);
+
+    const actions = document.createElement('div');
+    actions.style.display = 'flex';
+    actions.style.gap = '0.5rem';
+    if (user.muted) {
+      const unmute = document.createElement('button');
+      unmute.className = 'secondary';
+      unmute.textContent = 'Unmute';
+      unmute.addEventListener('click', () => toggleRestriction('mute', user.id, unmute));
+      actions.appendChild(unmute);
+    }
+    if (user.blocked) {
+      const unblock = document.createElement('button');
+      unblock.className = 'secondary';
+      unblock.textContent = 'Unblock';
+      unblock.addEventListener('click', () => toggleRestriction('block', user.id, unblock));
+      actions.appendChild(unblock);
+    }
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+}
+
+async function toggleRestriction(kind, targetId, button) {
+  const target = state.users.find((user) => user.id === targetId);
+  if (!target) return;
+  if (kind === 'block' && !target.blocked) {
+    const confirmed = confirm(
+      `Block ${target.displayName}? You will unfollow each other and they will not be able to send you drops, comment on your posts, or see your location.`
+    );
+    if (!confirmed) return;
+  }
+  button?.setAttribute('disabled', 'true');
+  try {
+    const request = kind === 'block' ? api.toggleBlock(targetId) : api.toggleMute(targetId);
+    await updateStateFrom(request);
+  } catch (error) {
+    console.error(`Failed to toggle ${kind}`, error);
+    alert(error.message || `Failed to update ${kind}.`);
+  } finally {
+    button?.removeAttribute('disabled');
+  }
+}
+
+async function reportContent(targetType, targetId, button) {
+  const label = { post: 'post', comment: 'comment', user: 'account' }[targetType];
+  const reason = prompt(`Why are you reporting this ${label}?`);
+  if (reason === null) return;
+  if (!reason.trim()) {
+    alert('Add a short reason so moderators know what to look for.');
+    return;
+  }
+  button?.setAttribute('disabled', 'true');
+  try {
+    await api.report(targetType, targetId, reason.trim());
+    alert('Thanks. A moderator will take a look.');
+  } catch (error) {
+    console.error('Failed to file report', error);
+    alert(error.message || 'Could not send the report.');
+  } finally {
+    button?.removeAttribute('disabled');
+  }
+}
+
 function renderProfileMedia(container, posts, emptyMessage) {
   if (!container) return;
   container.innerHTML = '';
@@ -1374,10 +4494,16 @@ function renderProfileMedia(container, posts, emptyMessage) {
     figure.tabIndex = 0;
     figure.setAttribute('role', 'button');
 
-    const img = document.createElement('img');
-    img.src = post.image;
-    img.alt = post.caption || 'Kandid photo';
-    figure.appendChild(img);
+    const [cover] = postAlbum(post, 'small');
+    figure.appendChild(createMediaElement(cover, { alt: post.caption || 'Kandid photo', preview: true }));
+
+    if (post.media?.length > 1) {
+      const count = document.createElement('span');
+      count.className = 'profile-grid__count';
+      count.textContent = `⧉ ${post.media.length}`;
+      count.title = `${post.media.length} photos`;
+      figure.appendChild(count);
+    }
 
     if (post.caption) {
       const caption = document.createElement('figcaption');
@@ -1407,7 +4533,7 @@ function renderProfileMedia(container, posts, emptyMessage) {
         metaParts.push(`for ${recipient.displayName}`);
       }
       openPhotoModal({
-        image: post.image,
+        media: postAlbum(post),
         caption: post.caption || 'Shared a candid moment',
         meta: metaParts.join(' • '),
       });
@@ -1426,6 +4552,25 @@ function renderProfileMedia(container, posts, emptyMessage) {
   });
 }
 
+const ACTIVITY_INBOX_VERBS = {
+  like: 'liked your drop',
+  comment: 'commented on your drop',
+  repost: 'reposted your drop',
+};
+
+// "Mina", "Mina and Devon", or "Mina and 3 others" for aggregated inbox items.
+function describeActors(message, sender) {
+  const actorIds = (message.actorIds || [message.senderId]).filter(
+    (id) => id !== sender.id && state.users.some((user) => user.id === id)
+  );
+  if (!actorIds.length) return sender.displayName;
+  if (actorIds.length === 1) {
+    const other = state.users.find((user) => user.id === actorIds[0]);
+    return `${sender.displayName} and ${other.displayName}`;
+  }
+  return `${sender.displayName} and ${actorIds.length} others`;
+}
+
 function renderInbox() {
   const current = getCurrentUser();
   const list = document.querySelector('#inbox-list');
@@ -1450,7 +4595,7 @@ function renderInbox() {
 
     const avatar = document.createElement('img');
     avatar.className = 'avatar';
-    avatar.src = sender.avatar || generateAvatar(sender.displayName);
+    avatar.src = avatarUrl(sender);
     avatar.alt = `${sender.displayName}`;
     bindProfileNavigation(avatar, sender.id, 'avatar');
 
@@ -1500,7 +4645,7 @@ function renderInbox() {
       actions.style.display = 'flex';
       actions.style.gap = '0.5rem';
 
-      const canFollowBack = viewer && viewer.id !== sender.id;
+      const canFollowBack = viewer && viewer.id !== sender.id && !sender.interactionBlocked;
       if (canFollowBack) {
         const currentlyFollowing = isFollowing(viewer, sender.id);
         const followBtn = document.createElement('button');
@@ -1538,8 +4683,13 @@ function renderInbox() {
       return;
     }
 
-    if (message.type === 'contest_alert' || message.type === 'contest_warning') {
-      title.textContent = message.message || `${sender.displayName} is nearby!`;
+    if (['contest_alert', 'contest_warning', 'contest_result'].includes(message.type)) {
+      if (message.type === 'contest_result') {
+        title.textContent = 'Contest results are in';
+        block.appendChild(document.createTextNode(message.message || ''));
+      } else {
+        title.textContent = message.message || `${sender.displayName} is nearby!`;
+      }
       item.style.cursor = 'pointer';
       item.tabIndex = 0;
       item.setAttribute('role', 'button');
@@ -1559,13 +4709,18 @@ function renderInbox() {
     }
 
     const post = message.postId ? state.posts.find((p) => p.id === message.postId) : null;
-    if (message.type === 'contest_capture') {
-      title.textContent = 'Capture logged!';
+    if (['contest_capture', 'contest_disputed', 'contest_review'].includes(message.type)) {
+      title.textContent =
+        message.type === 'contest_disputed'
+          ? `${sender.displayName} disputed your capture`
+          : message.type === 'contest_review'
+          ? 'Disputed capture reviewed'
+          : 'Capture logged!';
       block.appendChild(document.createTextNode(message.message || 'Contest capture submitted.'));
       if (post) {
         const openDetails = async () => {
           openPhotoModal({
-            image: post.image,
+            media: postAlbum(post),
             caption: post.caption || 'Contest capture',
             meta: `Submitted ${timeAgo(message.createdAt)}`,
           });
@@ -1590,9 +4745,24 @@ function renderInbox() {
 
     if (message.type === 'contest_captured') {
       title.textContent = `${sender.displayName} captured you!`;
+      if (message.message) {
+        const note = document.createElement('p');
+        note.className = 'muted';
+        note.textContent = message.message;
+        block.appendChild(note);
+      }
+      const capture = state.contest?.captures?.find((entry) => entry.postId === message.postId);
+      if (capture?.status === 'pending') {
+        block.appendChild(createCaptureReviewActions(capture));
+      } else if (capture?.status === 'disputed') {
+        const status = document.createElement('p');
+        status.className = 'muted';
+        status.textContent = 'You disputed this capture. A moderator is reviewing it.';
+        block.appendChild(status);
+      }
       if (post) {
         const preview = document.createElement('img');
-        preview.src = post.image;
+        preview.src = postImageUrl(post, 'small');
         preview.alt = 'Contest capture preview';
         preview.style.width = '84px';
         preview.style.height = '84px';
@@ -1603,7 +4773,7 @@ function renderInbox() {
 
         const openCapture = async () => {
           openPhotoModal({
-            image: post.image,
+            media: postAlbum(post),
             caption: post.caption || 'You were captured!',
             meta: `Captured by ${sender.displayName} • ${timeAgo(message.createdAt)}`,
           });
@@ -1625,9 +4795,124 @@ function renderInbox() {
       return;
     }
 
+    if (message.type === 'mention') {
+      title.textContent = `${sender.displayName} mentioned you in a comment`;
+      bindProfileNavigation(title, sender.id, 'text');
+      if (message.message) {
+        const excerpt = document.createElement('p');
+        excerpt.className = 'muted';
+        excerpt.textContent = message.message;
+        block.appendChild(excerpt);
+      }
+      const openMention = async () => {
+        showComment(message.postId, message.commentId);
+        await markMessageRead();
+      };
+      item.style.cursor = 'pointer';
+      item.title = 'View comment';
+      item.tabIndex = 0;
+      item.setAttribute('role', 'button');
+      item.addEventListener('click', openMention);
+      item.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          openMention();
+        }
+      });
+      addBadgeIfNeeded();
+      list.appendChild(item);
+      return;
+    }
+
+    if (ACTIVITY_INBOX_VERBS[message.type]) {
+      title.textContent = `${describeActors(message, sender)} ${ACTIVITY_INBOX_VERBS[message.type]}`;
+      bindProfileNavigation(title, sender.id, 'text');
+      if (post) {
+        const preview = document.createElement('img');
+        preview.src = postImageUrl(post, 'small');
+        preview.alt = 'Drop preview';
+        preview.style.width = '84px';
+        preview.style.height = '84px';
+        preview.style.objectFit = 'cover';
+        preview.style.borderRadius = '12px';
+        preview.style.marginLeft = 'auto';
+        item.appendChild(preview);
+      }
+      const openActivity = async () => {
+        if (message.type === 'comment') {
+          showComment(message.postId, null);
+        } else if (post) {
+          openPhotoModal({
+            media: postAlbum(post),
+            caption: post.caption || 'Shared a candid moment',
+            meta: `${post.likes.length} likes • ${(post.reposts || []).length} reposts`,
+          });
+        }
+        await markMessageRead();
+      };
+      item.style.cursor = 'pointer';
+      item.tabIndex = 0;
+      item.setAttribute('role', 'button');
+      item.addEventListener('click', openActivity);
+      item.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter' || event.key === ' ') {
+          event.preventDefault();
+          openActivity();
+        }
+      });
+      addBadgeIfNeeded();
+      list.appendChild(item);
+      return;
+    }
+
+    if (message.type === 'consent_result') {
+      title.textContent = `${sender.displayName} ${message.message || 'reviewed your Kandid'}.`;
+      bindProfileNavigation(title, sender.id, 'text');
+      item.addEventListener('click', () => markMessageRead());
+      addBadgeIfNeeded();
+      list.appendChild(item);
+      return;
+    }
+
     // Default: drop/bekandid drop or other post-based message
     if (!post) return;
-    if (message.type === 'bekandid_drop') {
+    if (message.type === 'consent_request') {
+      title.textContent = `${sender.displayName} wants to share a Kandid of you`;
+      const status = document.createElement('p');
+      status.className = 'muted';
+      if (post.visibility === 'pending_consent') {
+        status.textContent = 'It stays off the feed until you decide.';
+        const actions = document.createElement('div');
+        actions.className = 'consent-actions';
+        [
+          ['approve', 'Approve', 'primary'],
+          ['private', 'Keep private', 'secondary'],
+          ...(isOpenContestCapture(post) ? [] : [['delete', 'Delete', 'secondary']]),
+        ].forEach(([decision, label, className]) => {
+          const button = document.createElement('button');
+          button.className = className;
+          button.textContent = label;
+          button.addEventListener('click', async (event) => {
+            event.stopPropagation();
+            if (decision === 'delete' && !confirm('Delete this Kandid? This cannot be undone.')) return;
+            actions.querySelectorAll('button').forEach((btn) => btn.setAttribute('disabled', 'true'));
+            try {
+              await updateStateFrom(api.respondToDrop(post.id, decision));
+            } catch (error) {
+              console.error('Failed to review drop', error);
+              alert(error.message || 'Could not review this drop.');
+              actions.querySelectorAll('button').forEach((btn) => btn.removeAttribute('disabled'));
+            }
+          });
+          actions.appendChild(button);
+        });
+        block.appendChild(status);
+        block.appendChild(actions);
+      } else {
+        status.textContent = post.visibility === 'public' ? 'You approved this drop.' : 'You kept this drop private.';
+        block.appendChild(status);
+      }
+    } else if (message.type === 'bekandid_drop') {
       title.textContent = `${sender.displayName} captured you candidly!`;
     } else {
       title.textContent = `${sender.displayName} dropped you a Kandid!`;
@@ -1635,7 +4920,7 @@ function renderInbox() {
     bindProfileNavigation(title, sender.id, 'text');
 
     const preview = document.createElement('img');
-    preview.src = post.image;
+    preview.src = postImageUrl(post, 'small');
     preview.alt = 'Kandid preview';
     preview.style.width = '84px';
     preview.style.height = '84px';
@@ -1651,7 +4936,7 @@ function renderInbox() {
     item.setAttribute('role', 'button');
     const openMessage = async () => {
       openPhotoModal({
-        image: post.image,
+        media: postAlbum(post),
         caption: post.caption || `${sender.displayName} dropped you a Kandid`,
         meta: `Sent by ${sender.displayName} • ${timeAgo(message.createdAt)}`,
       });
@@ -1671,6 +4956,8 @@ function renderInbox() {
 }
 
 function updateAllViews() {
+  updateInboxBadge();
+  updateModerationNav();
   renderNearby();
   renderFeed();
   renderProfile();
@@ -1681,6 +4968,156 @@ function updateAllViews() {
   }
 }
 
+const MODERATION_ACTION_LABELS = {
+  hide_post: 'Hide post',
+  delete_comment: 'Delete comment',
+  suspend_user: 'Suspend user',
+  void_capture: 'Void capture',
+  dismiss: 'Dismiss',
+};
+
+const MODERATION_TARGET_ACTIONS = {
+  post: 'hide_post',
+  comment: 'delete_comment',
+  user: 'suspend_user',
+  capture: 'void_capture',
+};
+
+function updateModerationNav() {
+  const button = document.querySelector('.nav-btn[data-view="moderation"]');
+  if (!button) return;
+  const isAdmin = getCurrentUser()?.role === 'admin';
+  button.classList.toggle('hidden', !isAdmin);
+  if (!isAdmin && state.view === 'moderation') {
+    switchView('nearby');
+  }
+}
+
+function setupModerationView() {
+  const filter = document.querySelector('#moderation-filter');
+  filter?.addEventListener('change', () => {
+    state.moderation.status = filter.value;
+    loadReports();
+  });
+  const refresh = document.querySelector('#refresh-moderation');
+  refresh?.addEventListener('click', () => loadReports());
+}
+
+async function loadReports() {
+  if (getCurrentUser()?.role !== 'admin') return;
+  try {
+    const result = await api.fetchReports(state.moderation.status);
+    state.moderation.reports = Array.isArray(result?.reports) ? result.reports : [];
+  } catch (error) {
+    console.error('Failed to load reports', error);
+    alert(error.message || 'Could not load reports.');
+  }
+  renderModeration();
+}
+
+function describeReportTarget(report) {
+  const target = report.target;
+  if (!target) return 'This content no longer exists.';
+  const authorName = (userId) => state.users.find((user) => user.id === userId)?.displayName || 'Unknown';
+  if (report.targetType === 'post') {
+    const status = target.hiddenAt ? ' (hidden)' : '';
+    return `Post by ${authorName(target.authorId)}${status}: ${target.caption || 'No caption'}`;
+  }
+  if (report.targetType === 'comment') {
+    return `Comment by ${authorName(target.authorId)}: "${target.text}"`;
+  }
+  if (report.targetType === 'capture') {
+    const score = target.matchScore === null ? '' : ` • face match ${Math.round(target.matchScore * 100)}%`;
+    return `Disputed capture of ${authorName(target.ghostId)} by ${authorName(target.hunterId)} (${target.status})${score}`;
+  }
+  return `Account ${target.displayName} (${target.email})${target.suspendedAt ? ' (suspended)' : ''}`;
+}
+
+function renderModeration() {
+  const list = document.querySelector('#moderation-list');
+  const filter = document.querySelector('#moderation-filter');
+  if (!list) return;
+  if (filter) filter.value = state.moderation.status;
+  list.innerHTML = '';
+  const { reports, status } = state.moderation;
+  if (!reports.length) {
+    const empty = document.createElement('li');
+    empty.className = 'muted';
+    empty.textContent = status === 'open' ? 'No open reports. Nice and quiet.' : 'Nothing here yet.';
+    list.appendChild(empty);
+    return;
+  }
+
+  reports.forEach((report) => {
+    const item = document.createElement('li');
+    item.className = 'list-item moderation-item';
+
+    if (['post', 'capture'].includes(report.targetType) && report.target?.image) {
+      const thumb = document.createElement('img');
+      thumb.className = 'moderation-thumb';
+      thumb.src = authorizedMediaUrl(resolveMediaUrl(report.target.image));
+      thumb.alt = 'Reported post';
+      item.appendChild(thumb);
+    }
+
+    const block = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = describeReportTarget(report);
+    const reason = document.createElement('p');
+    reason.textContent = `“${report.reason}”`;
+    const meta = document.createElement('p');
+    meta.className = 'muted';
+    meta.textContent = `Reported by ${report.reporterName} • ${timeAgo(report.createdAt)}`;
+    if (report.status !== 'open') {
+      meta.textContent += ` • ${MODERATION_ACTION_LABELS[report.action] || report.status} ${timeAgo(report.resolvedAt)}`;
+    }
+    block.appendChild(title);
+    block.appendChild(reason);
+    block.appendChild(meta);
+
+    if (report.status === 'open') {
+      const actions = document.createElement('div');
+      actions.className = 'consent-actions';
+      const targetAction = report.target ? MODERATION_TARGET_ACTIONS[report.targetType] : null;
+      [targetAction, 'dismiss'].filter(Boolean).forEach((action) => {
+        const button = document.createElement('button');
+        button.className = action === 'dismiss' ? 'secondary' : 'primary';
+        button.textContent =
+          report.targetType === 'capture' && action === 'dismiss'
+            ? 'Let capture stand'
+            : MODERATION_ACTION_LABELS[action];
+        button.addEventListener('click', () => resolveReport(report, action, actions));
+        actions.appendChild(button);
+      });
+      block.appendChild(actions);
+    }
+
+    item.appendChild(block);
+    list.appendChild(item);
+  });
+}
+
+async function resolveReport(report, action, actions) {
+  if (action === 'suspend_user') {
+    const confirmed = confirm(`Suspend ${report.target?.displayName}? They will be signed out everywhere.`);
+    if (!confirmed) return;
+  }
+  actions.querySelectorAll('button').forEach((button) => button.setAttribute('disabled', 'true'));
+  try {
+    const result = await api.resolveReport(report.id, action);
+    if (state.moderation.status === 'open') {
+      state.moderation.reports = Array.isArray(result?.reports) ? result.reports : [];
+      renderModeration();
+    } else {
+      await loadReports();
+    }
+  } catch (error) {
+    console.error('Failed to resolve report', error);
+    alert(error.message || 'Could not resolve the report.');
+    actions.querySelectorAll('button').forEach((button) => button.removeAttribute('disabled'));
+  }
+}
+
 async function fileToDataURL(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
@@ -1731,9 +5168,19 @@ async function simulateLocationDrift() {
   }
 }
 
+function getCurrentPosition() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Location is not available on this device.'));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(resolve, reject, { enableHighAccuracy: true, timeout: 5000 });
+  });
+}
+
 function attemptGeolocation() {
   if (!navigator.geolocation || !state.session?.token) return;
-  navigator.geolocation.getCurrentPosition(
+  getCurrentPosition().then(
     async (position) => {
       const { latitude, longitude } = position.coords;
       try {
@@ -1744,12 +5191,46 @@ function attemptGeolocation() {
     },
     (error) => {
       console.warn('Geolocation denied or unavailable', error);
-    },
-    { enableHighAccuracy: true, timeout: 5000 }
+    }
   );
 }
 
 async function initializeApp() {
+  registerServiceWorker();
+  setupPhotoEditor();
+  window.addEventListener('online', () => {
+    if (state.session) flushDropOutbox();
+  });
+  document.addEventListener('paste', (event) => {
+    const files = [...(event.clipboardData?.files || [])].filter((file) => file.type.startsWith('image/'));
+    if (!state.session || state.view !== 'capture' || !files.length) return;
+    event.preventDefault();
+    addCapturePhotos(files);
+  });
+  const { verifyToken, resetToken, confirmEmailToken } = takeAuthLinkParams();
+  if (confirmEmailToken) {
+    try {
+      const result = await api.confirmEmailChange(confirmEmailToken);
+      alert(`Your email is now ${result.email}.`);
+    } catch (error) {
+      alert(error.message || 'Failed to confirm your new email.');
+    }
+  }
+  if (resetToken) {
+    selectors.appMount.classList.add('hidden');
+    selectors.authMount.classList.remove('hidden');
+    renderAuth({ screen: 'reset', resetToken });
+    return;
+  }
+  if (verifyToken) {
+    try {
+      await startSession(await api.verifyEmail(verifyToken));
+      return;
+    } catch (error) {
+      alert(error.message || 'Failed to verify email.');
+    }
+  }
+
   const session = sessionStore.load();
   if (session?.token && session.userId) {
     state.session = session;
@@ -0,0 +1,235 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { mapUserRow } = require('./database');
+const { mediaPathFor, removeUnreferencedFiles } = require('./media');
+const { listSessions } = require('./sessions');
+const { getNotificationPreferences } = require('./notifications');
+
+const ACCOUNT_DELETION_GRACE_MS = 14 * 24 * 60 * 60 * 1000;
+
+async function scheduleAccountDeletion(db, userId, now = Date.now()) {
+  const scheduledFor = now + ACCOUNT_DELETION_GRACE_MS;
+  await db.run('UPDATE users SET deletion_scheduled_for = ? WHERE id = ?', scheduledFor, userId);
+  return scheduledFor;
+}
+
+async function cancelAccountDeletion(db, userId) {
+  await db.run('UPDATE users SET deletion_scheduled_for = NULL WHERE id = ?', userId);
+}
+
+// Foreign keys cascade everything the user owns; files on disk are removed
+// afterwards unless another media row still shares the same bytes.
+async function deleteAccount(db, mediaDir, userId) {
+  const files = await db.all(
+    `SELECT hash, mime FROM media WHERE owner_id = $userId
+     UNION
+     SELECT r.hash, r.mime FROM media_renditions r JOIN media m ON m.id = r.media_id WHERE m.owner_id = $userId`,
+    { $userId: userId }
+  );
+  // Other people's reposts point at this user's photos and would otherwise
+  // survive as empty posts.
+  await db.run('DELETE FROM posts WHERE original_post_id IN (SELECT id FROM posts WHERE author_id = ?)', userId);
+  await db.run('DELETE FROM users WHERE id = ?', userId);
+  await removeUnreferencedFiles(db, mediaDir, files);
+}
+
+async function purgeDueAccounts(db, mediaDir, now = Date.now()) {
+  const rows = await db.all('SELECT id FROM users WHERE deletion_scheduled_for <= ?', now);
+  for (const row of rows) {
+    await deleteAccount(db, mediaDir, row.id);
+  }
+  return rows.length;
+}
+
+function mapExportPost(row, albums) {
+  return {
+    id: row.id,
+    authorId: row.author_id,
+    recipientId: row.recipient_id,
+    mediaId: row.media_id,
+    mediaIds: albums.get(row.id) || (row.media_id ? [row.media_id] : []),
+    image: row.media_id ? null : row.image,
+    caption: row.caption,
+    visibility: row.visibility,
+    originalPostId: row.original_post_id,
+    createdAt: row.created_at,
+  };
+}
+
+async function mediaFileExists(filePath) {
+  try {
+    await fs.promises.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Everything stored about the user. Their photos (and drops other people sent
+// of them) are listed under `media` with the path of the file in the archive
+// and, on disk, in `files`; see writeExportArchive.
+async function buildAccountExport(db, mediaDir, userId, now = Date.now()) {
+  const user = await db.get('SELECT * FROM users WHERE id = ?', userId);
+  const posts = await db.all('SELECT * FROM posts WHERE author_id = ? ORDER BY created_at', userId);
+  const receivedDrops = await db.all(
+    'SELECT * FROM posts WHERE recipient_id = ? AND author_id != ? ORDER BY created_at',
+    userId,
+    userId
+  );
+  const comments = await db.all(
+    'SELECT id, post_id, parent_comment_id, text, created_at FROM comments WHERE author_id = ? ORDER BY created_at',
+    userId
+  );
+  const likes = await db.all('SELECT post_id, created_at FROM likes WHERE user_id = ? ORDER BY created_at', userId);
+  const commentLikes = await db.all(
+    'SELECT comment_id, created_at FROM comment_likes WHERE user_id = ? ORDER BY created_at',
+    userId
+  );
+  const following = await db.all('SELECT following_id, created_at FROM follows WHERE follower_id = ?', userId);
+  const followers = await db.all('SELECT follower_id, created_at FROM follows WHERE following_id = ?', userId);
+  const blocked = await db.all('SELECT blocked_id, created_at FROM blocks WHERE blocker_id = ?', userId);
+  const muted = await db.all('SELECT muted_id, created_at FROM mutes WHERE muter_id = ?', userId);
+  const inbox = await db.all('SELECT * FROM inbox_messages WHERE recipient_id = ? ORDER BY created_at', userId);
+  const assignments = await db.all(
+    `SELECT a.*, w.name, w.starts_at, w.ends_at, w.challenge FROM contest_assignments a
+     JOIN contest_weeks w ON w.id = a.contest_id
+     WHERE a.user_id = ? ORDER BY w.starts_at`,
+    userId
+  );
+  const captures = await db.all(
+    'SELECT * FROM contest_captures WHERE hunter_id = $userId OR ghost_id = $userId ORDER BY created_at',
+    { $userId: userId }
+  );
+  const faceReferences = await db.all(
+    'SELECT id, embedding, created_at FROM face_references WHERE user_id = ? ORDER BY created_at',
+    userId
+  );
+  const albumRows = await db.all(
+    `SELECT pm.post_id, pm.media_id FROM post_media pm JOIN posts p ON p.id = pm.post_id
+     WHERE p.author_id = $userId OR p.recipient_id = $userId ORDER BY pm.post_id, pm.position`,
+    { $userId: userId }
+  );
+  const mediaRows = await db.all(
+    `SELECT * FROM media
+     WHERE owner_id = $userId
+       OR id IN (SELECT media_id FROM posts WHERE recipient_id = $userId)
+       OR id IN (SELECT pm.media_id FROM post_media pm JOIN posts p ON p.id = pm.post_id WHERE p.recipient_id = $userId)
+     ORDER BY created_at`,
+    { $userId: userId }
+  );
+  const albums = new Map();
+  albumRows.forEach((row) => {
+    if (!albums.has(row.post_id)) albums.set(row.post_id, []);
+    albums.get(row.post_id).push(row.media_id);
+  });
+
+  const media = [];
+  const files = [];
+  for (const row of mediaRows) {
+    const source = mediaPathFor(mediaDir, row.hash, row.mime);
+    const file = (await mediaFileExists(source)) ? `media/${row.id}${path.extname(source)}` : null;
+    if (file) files.push({ source, name: file });
+    media.push({
+      id: row.id,
+      ownerId: row.owner_id,
+      mime: row.mime,
+      width: row.width,
+      height: row.height,
+      createdAt: row.created_at,
+      file,
+    });
+  }
+
+  const bundle = {
+    format: 'kandid-export',
+    version: 2,
+    exportedAt: now,
+    profile: mapUserRow(user),
+    sessions: await listSessions(db, userId, now),
+    notificationPreferences: await getNotificationPreferences(db, userId),
+    faceReferences: faceReferences.map((row) => ({
+      id: row.id,
+      embedding: JSON.parse(row.embedding),
+      createdAt: row.created_at,
+    })),
+    posts: posts.map((row) => mapExportPost(row, albums)),
+    receivedDrops: receivedDrops.map((row) => mapExportPost(row, albums)),
+    comments: comments.map((row) => ({
+      id: row.id,
+      postId: row.post_id,
+      parentCommentId: row.parent_comment_id || null,
+      text: row.text,
+      createdAt: row.created_at,
+    })),
+    likes: likes.map((row) => ({ postId: row.post_id, createdAt: row.created_at })),
+    commentLikes: commentLikes.map((row) => ({ commentId: row.comment_id, createdAt: row.created_at })),
+    following: following.map((row) => ({ userId: row.following_id, createdAt: row.created_at })),
+    followers: followers.map((row) => ({ userId: row.follower_id, createdAt: row.created_at })),
+    blocked: blocked.map((row) => ({ userId: row.blocked_id, createdAt: row.created_at })),
+    muted: muted.map((row) => ({ userId: row.muted_id, createdAt: row.created_at })),
+    inbox: inbox.map((row) => ({
+      id: row.id,
+      type: row.type,
+      senderId: row.sender_id,
+      postId: row.post_id,
+      commentId: row.comment_id || null,
+      message: row.message,
+      read: Boolean(row.read),
+      createdAt: row.created_at,
+    })),
+    contest: {
+      assignments: assignments.map((row) => ({
+        contestId: row.contest_id,
+        contestName: row.name,
+        startsAt: row.starts_at,
+        endsAt: row.ends_at,
+        challenge: row.challenge,
+        role: row.role,
+        captures: row.captures,
+        survived: Boolean(row.survival_flag),
+        campingViolation: Boolean(row.camping_violation),
+      })),
+      captures: captures.map((row) => ({
+        id: row.id,
+        contestId: row.contest_id,
+        hunterId: row.hunter_id,
+        ghostId: row.ghost_id,
+        postId: row.post_id,
+        challenge: row.challenge,
+        createdAt: row.created_at,
+        matchScore: row.match_score ?? null,
+        status: row.status,
+        confirmedAt: row.confirmed_at || null,
+      })),
+    },
+    media,
+  };
+  return { bundle, files };
+}
+
+// Writes an export as a zip to `output`: kandid-export.json plus each media
+// file, streamed from disk so a large library is never held in memory.
+async function writeExportArchive({ bundle, files }, output) {
+  const archive = archiver('zip');
+  const finished = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('close', resolve);
+    archive.on('error', reject);
+  });
+  archive.pipe(output);
+  archive.append(JSON.stringify(bundle, null, 2), { name: 'kandid-export.json' });
+  // Photos are already compressed, so they are stored as they are.
+  files.forEach((file) => archive.file(file.source, { name: file.name, store: true }));
+  await archive.finalize();
+  await finished;
+}
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_MS,
+  scheduleAccountDeletion,
+  cancelAccountDeletion,
+  purgeDueAccounts,
+  buildAccountExport,
+  writeExportArchive,
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+const TOKEN_TTL_MS = {
+  verify_email: 24 * 60 * 60 * 1000,
+  reset_password: 60 * 60 * 1000,
+  change_email: 24 * 60 * 60 * 1000,
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issuing a token replaces any earlier unused one for the same purpose, so only
+// the most recent email link works.
+async function issueAuthToken(db, { userId, purpose, now = Date.now() }) {
+  if (!TOKEN_TTL_MS[purpose]) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+  await db.run('DELETE FROM auth_tokens WHERE user_id = ? AND purpose = ?', userId, purpose);
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db.run(
+    `INSERT INTO auth_tokens (id, user_id, purpose, token_hash, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [crypto.randomUUID(), userId, purpose, hashToken(token), now, now + TOKEN_TTL_MS[purpose]]
+  );
+  return token;
+}
+
+// Marks the token used and returns its row, or null when it is unknown,
+// expired, or already spent. The conditional UPDATE keeps two concurrent
+// requests from both redeeming it.
+async function consumeAuthToken(db, { token, purpose, now = Date.now() }) {
+  if (!token) return null;
+  const row = await db.get(
+    'SELECT * FROM auth_tokens WHERE token_hash = ? AND purpose = ?',
+    hashToken(String(token)),
+    purpose
+  );
+  if (!row || row.used_at || row.expires_at <= now) return null;
+  const result = await db.run('UPDATE auth_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL', now, row.id);
+  return result.changes ? row : null;
+}
+
+module.exports = {
+  issueAuthToken,
+  consumeAuthToken,
+};
@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const CONTEST_SCHEDULES = {
+  weekly: { periodMs: 7 * DAY_MS },
+  daily: { periodMs: DAY_MS },
+  once: { periodMs: null },
+};
+const MAX_CONTEST_CHALLENGES = 20;
+const MAX_CHALLENGE_LENGTH = 120;
+
+// The hunt every install starts with: a week-long round from Sunday 8 PM UTC.
+// Existing contest weeks from before configs existed belong to it.
+const DEFAULT_CONTEST_CONFIG = {
+  id: 'weekly',
+  name: 'Weekly Hunt',
+  schedule: 'weekly',
+  startDayUtc: 0,
+  startHourUtc: 20,
+  durationMs: 7 * DAY_MS,
+  activeFrom: null,
+  activeUntil: null,
+  city: null,
+  challenges: [
+    'Capture them eating',
+    'Catch them laughing',
+    'Spot them with a colorful outfit',
+    'Find them using their phone',
+    'Capture them in motion',
+    'Catch them with a group of friends',
+  ],
+  proximityKm: 0.3,
+  captureWindowMs: 15 * 60 * 1000,
+  alertCooldownMs: HOUR_MS,
+  campingThresholdMs: 6 * HOUR_MS,
+  campingDistanceKm: 0.1,
+  priority: 0,
+  enabled: true,
+};
+
+// Rule fields with the bounds an admin can set them to.
+const CONTEST_RULES = {
+  proximityKm: { column: 'proximity_km', label: 'Proximity', min: 0.01, max: 50 },
+  captureWindowMs: { column: 'capture_window_ms', label: 'Capture window', min: 60 * 1000, max: DAY_MS },
+  alertCooldownMs: { column: 'alert_cooldown_ms', label: 'Alert cooldown', min: 0, max: 7 * DAY_MS },
+  campingThresholdMs: { column: 'camping_threshold_ms', label: 'Camping threshold', min: 5 * 60 * 1000, max: 7 * DAY_MS },
+  campingDistanceKm: { column: 'camping_distance_km', label: 'Camping distance', min: 0.01, max: 50 },
+};
+
+function configError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function mapConfigRow(row) {
+  const config = {
+    id: row.id,
+    name: row.name,
+    schedule: row.schedule,
+    startDayUtc: row.start_day_utc,
+    startHourUtc: row.start_hour_utc,
+    durationMs: row.duration_ms,
+    activeFrom: row.active_from,
+    activeUntil: row.active_until,
+    city: row.city,
+    challenges: JSON.parse(row.challenges),
+    priority: row.priority,
+    enabled: Boolean(row.enabled),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+  Object.entries(CONTEST_RULES).forEach(([field, { column }]) => {
+    config[field] = row[column];
+  });
+  return config;
+}
+
+function isInteger(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+function isTimestamp(value) {
+  return value === null || (Number.isInteger(value) && value > 0);
+}
+
+// Checks a whole config (defaults or the stored one with the admin's changes
+// on top) and returns it with text fields trimmed.
+function validateConfig(config) {
+  const name = typeof config.name === 'string' ? config.name.trim() : '';
+  if (!name || name.length > 60) {
+    throw configError('Give the contest a name of up to 60 characters.');
+  }
+  const schedule = CONTEST_SCHEDULES[config.schedule];
+  if (!schedule) {
+    throw configError(`Schedule must be one of ${Object.keys(CONTEST_SCHEDULES).join(', ')}.`);
+  }
+  if (config.schedule === 'weekly' && !isInteger(config.startDayUtc, 0, 6)) {
+    throw configError('Weekly contests need a start day from 0 (Sunday) to 6 (Saturday).');
+  }
+  if (config.schedule !== 'once' && !isInteger(config.startHourUtc, 0, 23)) {
+    throw configError('Recurring contests need a start hour from 0 to 23 (UTC).');
+  }
+  if (!isInteger(config.durationMs, HOUR_MS / 4, schedule.periodMs || 90 * DAY_MS)) {
+    throw configError(
+      schedule.periodMs
+        ? `A ${config.schedule} contest must last between 15 minutes and ${schedule.periodMs / HOUR_MS} hours.`
+        : 'A one-off contest must last between 15 minutes and 90 days.'
+    );
+  }
+  if (!isTimestamp(config.activeFrom) || !isTimestamp(config.activeUntil)) {
+    throw configError('Active from and until must be timestamps in milliseconds.');
+  }
+  if (config.schedule === 'once' && !config.activeFrom) {
+    throw configError('One-off contests need an activeFrom start time.');
+  }
+  if (config.activeFrom && config.activeUntil && config.activeUntil <= config.activeFrom) {
+    throw configError('Active until must come after active from.');
+  }
+  if (config.city !== null && typeof config.city !== 'string') {
+    throw configError('City must be text.');
+  }
+  const city = config.city ? config.city.trim() : '';
+  if (city.length > 80) {
+    throw configError('City must be 80 characters or fewer.');
+  }
+  if (!Array.isArray(config.challenges) || !config.challenges.length || config.challenges.length > MAX_CONTEST_CHALLENGES) {
+    throw configError(`List between 1 and ${MAX_CONTEST_CHALLENGES} challenges.`);
+  }
+  const challenges = config.challenges.map((challenge) => (typeof challenge === 'string' ? challenge.trim() : ''));
+  if (challenges.some((challenge) => !challenge || challenge.length > MAX_CHALLENGE_LENGTH)) {
+    throw configError(`Each challenge must be text of up to ${MAX_CHALLENGE_LENGTH} characters.`);
+  }
+  for (const [field, { label, min, max }] of Object.entries(CONTEST_RULES)) {
+    const value = config[field];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw configError(`${label} must be between ${min} and ${max}.`);
+    }
+  }
+  if (!Number.isInteger(config.priority)) {
+    throw configError('Priority must be a whole number.');
+  }
+  if (typeof config.enabled !== 'boolean') {
+    throw configError('Enabled must be true or false.');
+  }
+  return { ...config, name, city: city || null, challenges };
+}
+
+async function saveConfig(db, config, now) {
+  const ruleColumns = Object.values(CONTEST_RULES).map(({ column }) => column);
+  await db.run(
+    `INSERT OR REPLACE INTO contest_configs
+       (id, name, schedule, start_day_utc, start_hour_utc, duration_ms, active_from, active_until, city, challenges,
+        ${ruleColumns.join(', ')}, priority, enabled, created_at, updated_at)
+     VALUES (${Array(14 + ruleColumns.length).fill('?').join(', ')})`,
+    [
+      config.id,
+      config.name,
+      config.schedule,
+      config.schedule === 'weekly' ? config.startDayUtc : null,
+      config.schedule === 'once' ? null : config.startHourUtc,
+      config.durationMs,
+      config.activeFrom,
+      config.activeUntil,
+      config.city,
+      JSON.stringify(config.challenges),
+      ...Object.keys(CONTEST_RULES).map((field) => config[field]),
+      config.priority,
+      config.enabled ? 1 : 0,
+      config.createdAt || now,
+      now,
+    ]
+  );
+}
+
+async function listContestConfigs(db, { enabledOnly = false } = {}) {
+  const rows = await db.all(
+    `SELECT * FROM contest_configs ${enabledOnly ? 'WHERE enabled = 1' : ''} ORDER BY priority DESC, created_at`
+  );
+  return rows.map(mapConfigRow);
+}
+
+async function getContestConfig(db, configId) {
+  const row = await db.get('SELECT * FROM contest_configs WHERE id = ?', configId);
+  return row ? mapConfigRow(row) : null;
+}
+
+const EDITABLE_FIELDS = [
+  'name',
+  'schedule',
+  'startDayUtc',
+  'startHourUtc',
+  'durationMs',
+  'activeFrom',
+  'activeUntil',
+  'city',
+  'challenges',
+  ...Object.keys(CONTEST_RULES),
+  'priority',
+  'enabled',
+];
+
+function pickEditable(body) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+}
+
+// Challenges and rules left out fall back to the weekly hunt's, so an admin
+// only has to give a name, a schedule and whatever differs.
+async function createContestConfig(db, body) {
+  const defaults = { ...DEFAULT_CONTEST_CONFIG, startDayUtc: null, startHourUtc: null, durationMs: null };
+  const config = validateConfig({ ...defaults, ...pickEditable(body) });
+  config.id = crypto.randomUUID();
+  await saveConfig(db, config, Date.now());
+  return getContestConfig(db, config.id);
+}
+
+// Rule changes apply to a running round straight away. Schedule changes
+// apply from the next round, since a running round keeps its own start and
+// end.
+async function updateContestConfig(db, configId, body) {
+  const existing = await getContestConfig(db, configId);
+  if (!existing) {
+    throw configError('Contest config not found.', 404);
+  }
+  const config = validateConfig({ ...existing, ...pickEditable(body) });
+  await saveConfig(db, config, Date.now());
+  return getContestConfig(db, configId);
+}
+
+async function ensureDefaultContestConfig(db) {
+  const { count } = await db.get('SELECT COUNT(*) AS count FROM contest_configs');
+  if (!count) {
+    await saveConfig(db, DEFAULT_CONTEST_CONFIG, Date.now());
+  }
+  await db.run('UPDATE contest_weeks SET config_id = ?, name = ? WHERE config_id IS NULL', [
+    DEFAULT_CONTEST_CONFIG.id,
+    DEFAULT_CONTEST_CONFIG.name,
+  ]);
+}
+
+// The latest round of a config that has started by `now` and not yet ended,
+// or null when the config has no round running.
+function getContestWindow(config, now = Date.now()) {
+  let startsAt;
+  if (config.schedule === 'once') {
+    startsAt = config.activeFrom;
+  } else {
+    const start = new Date(now);
+    start.setUTCHours(config.startHourUtc, 0, 0, 0);
+    if (config.schedule === 'weekly') {
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() - config.startDayUtc + 7) % 7));
+    }
+    if (start.getTime() > now) {
+      start.setUTCDate(start.getUTCDate() - (config.schedule === 'weekly' ? 7 : 1));
+    }
+    startsAt = start.getTime();
+    if (config.activeFrom && startsAt < config.activeFrom) return null;
+    if (config.activeUntil && startsAt >= config.activeUntil) return null;
+  }
+  const endsAt = startsAt + config.durationMs;
+  if (startsAt > now || endsAt <= now) return null;
+  return { startsAt, endsAt };
+}
+
+function cityMatches(config, user) {
+  return !config.city || (user.home_city || '').trim().toLowerCase() === config.city.toLowerCase();
+}
+
+// Each person plays in one contest at a time: the highest priority one that
+// is open to them. At equal priority, an event for their home city wins over
+// one open to everyone.
+function pickContestFor(user, activeContests) {
+  const open = activeContests.filter((contest) => cityMatches(contest.config, user));
+  open.sort(
+    (a, b) => b.config.priority - a.config.priority || Boolean(b.config.city) - Boolean(a.config.city)
+  );
+  return open[0] || null;
+}
+
+function pickChallenge(config) {
+  return config.challenges[Math.floor(Math.random() * config.challenges.length)];
+}
+
+module.exports = {
+  DEFAULT_CONTEST_CONFIG,
+  listContestConfigs,
+  getContestConfig,
+  createContestConfig,
+  updateContestConfig,
+  ensureDefaultContestConfig,
+  getContestWindow,
+  pickContestFor,
+  pickChallenge,
+};
@@ -0,0 +1,333 @@
+// Final scores for finished contest weeks. Hunters score for each confirmed
+// capture. Ghosts score for the share of the week they stayed free, and lose
+// points for camping in one place.
+const CONTEST_CAPTURE_POINTS = 100;
+const CONTEST_SURVIVAL_POINTS = 300;
+const CONTEST_CAMPING_PENALTY = 150;
+
+const CONTEST_BADGES = {
+  top_hunter: 'Top Hunter',
+  top_ghost: 'Top Ghost',
+  survivor: 'Survivor',
+};
+
+function rankByPoints(results) {
+  const sorted = [...results].sort((a, b) => b.points - a.points);
+  sorted.forEach((result, index) => {
+    const previous = sorted[index - 1];
+    result.rank = previous && previous.points === result.points ? previous.rank : index + 1;
+  });
+  return sorted;
+}
+
+function badgesFor(result) {
+  const badges = [];
+  if (result.role === 'hunter' && result.rank === 1 && result.captures > 0) badges.push('top_hunter');
+  if (result.role === 'ghost' && result.rank === 1 && result.points > 0) badges.push('top_ghost');
+  if (result.role === 'ghost' && result.survived && !result.campingViolation) badges.push('survivor');
+  return badges;
+}
+
+// Scores a contest week that has ended, stores the results and badges, and
+// marks the week settled. Captures still pending or disputed at this point
+// (once the settle grace period has run out) do not count. Run it inside
+// runInTransaction so a failure leaves the week unsettled.
+// Returns the results so the caller can tell each participant.
+async function settleContest(db, contest, now = Date.now()) {
+  const claimed = await db.run(
+    'UPDATE contest_weeks SET settled_at = ? WHERE id = ? AND settled_at IS NULL',
+    now,
+    contest.id
+  );
+  if (!claimed.changes) return [];
+
+  const assignments = await db.all('SELECT * FROM contest_assignments WHERE contest_id = ?', contest.id);
+  const captures = await db.all(
+    `SELECT hunter_id, ghost_id, created_at FROM contest_captures
+     WHERE contest_id = ? AND status = 'confirmed' ORDER BY created_at`,
+    contest.id
+  );
+  const duration = contest.ends_at - contest.starts_at;
+  const results = assignments.map((assignment) => {
+    const result = {
+      userId: assignment.user_id,
+      role: assignment.role,
+      captures: 0,
+      survived: assignment.role === 'ghost',
+      campingViolation: Boolean(assignment.camping_violation),
+      points: 0,
+    };
+    if (assignment.role === 'hunter') {
+      result.captures = captures.filter((capture) => capture.hunter_id === assignment.user_id).length;
+      result.points = result.captures * CONTEST_CAPTURE_POINTS;
+    } else {
+      const capture = captures.find((row) => row.ghost_id === assignment.user_id);
+      const freeUntil = capture ? Math.min(capture.created_at, contest.ends_at) : contest.ends_at;
+      result.survived = !capture;
+      result.points = Math.round((CONTEST_SURVIVAL_POINTS * Math.max(freeUntil - contest.starts_at, 0)) / duration);
+      if (result.campingViolation) {
+        result.points = Math.max(result.points - CONTEST_CAMPING_PENALTY, 0);
+      }
+    }
+    return result;
+  });
+
+  const ranked = ['hunter', 'ghost'].flatMap((role) => {
+    const roleResults = rankByPoints(results.filter((result) => result.role === role));
+    roleResults.forEach((result) => {
+      result.participants = roleResults.length;
+    });
+    return roleResults;
+  });
+  for (const result of ranked) {
+    result.badges = badgesFor(result);
+    await db.run(
+      `INSERT INTO contest_results
+         (contest_id, user_id, role, captures, survived, camping_violation, points, rank, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        contest.id,
+        result.userId,
+        result.role,
+        result.captures,
+        result.survived ? 1 : 0,
+        result.campingViolation ? 1 : 0,
+        result.points,
+        result.rank,
+        now,
+      ]
+    );
+    for (const badge of result.badges) {
+      await db.run(
+        'INSERT INTO user_badges (user_id, badge, contest_id, awarded_at) VALUES (?, ?, ?, ?)',
+        [result.userId, badge, contest.id, now]
+      );
+    }
+  }
+  return ranked;
+}
+
+function describeResult(result, contest) {
+  const roleLabel = result.role === 'hunter' ? 'hunters' : 'ghosts';
+  const outcome =
+    result.role === 'hunter'
+      ? `${result.captures} capture${result.captures === 1 ? '' : 's'}`
+      : result.survived
+      ? 'never caught'
+      : 'caught';
+  const penalty = result.campingViolation ? ', with a camping penalty' : '';
+  const badges = result.badges.length
+    ? ` Badge earned: ${result.badges.map((badge) => CONTEST_BADGES[badge]).join(', ')}.`
+    : '';
+  return `${contest.name || 'The contest'} is over! You finished #${result.rank} of ${result.participants} ${roleLabel} (${outcome}${penalty}) with ${result.points} points.${badges}`;
+}
+
+function contestError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Seasons are calendar quarters in UTC. A week belongs to the season it
+// started in.
+function seasonFor(now = Date.now()) {
+  const date = new Date(now);
+  const year = date.getUTCFullYear();
+  const quarter = Math.floor(date.getUTCMonth() / 3);
+  return {
+    id: `${year}-Q${quarter + 1}`,
+    startsAt: Date.UTC(year, quarter * 3, 1),
+    endsAt: Date.UTC(year, quarter * 3 + 3, 1),
+  };
+}
+
+function inClause(values) {
+  return values.map(() => '?').join(', ');
+}
+
+// Headline numbers for a page of contest_weeks rows: head counts, confirmed
+// captures and, once a week is settled, the winners of each role.
+async function summarizeContests(db, rows) {
+  if (!rows.length) return [];
+  const ids = rows.map((row) => row.id);
+  const [assignmentCounts, captureCounts, winnerRows] = await Promise.all([
+    db.all(
+      `SELECT contest_id, role, COUNT(*) AS count FROM contest_assignments
+       WHERE contest_id IN (${inClause(ids)}) GROUP BY contest_id, role`,
+      ids
+    ),
+    db.all(
+      `SELECT contest_id, COUNT(*) AS count FROM contest_captures
+       WHERE contest_id IN (${inClause(ids)}) AND status = 'confirmed' GROUP BY contest_id`,
+      ids
+    ),
+    db.all(
+      `SELECT contest_id, user_id, role FROM contest_results
+       WHERE contest_id IN (${inClause(ids)}) AND rank = 1 AND points > 0`,
+      ids
+    ),
+  ]);
+  return rows.map((row) => {
+    const roleCount = (role) =>
+      assignmentCounts.find((count) => count.contest_id === row.id && count.role === role)?.count || 0;
+    const winners = (role) =>
+      winnerRows.filter((winner) => winner.contest_id === row.id && winner.role === role).map((winner) => winner.user_id);
+    return {
+      id: row.id,
+      configId: row.config_id,
+      name: row.name,
+      challenge: row.challenge,
+      startsAt: row.starts_at,
+      endsAt: row.ends_at,
+      settledAt: row.settled_at || null,
+      hunters: roleCount('hunter'),
+      ghosts: roleCount('ghost'),
+      captureCount: captureCounts.find((count) => count.contest_id === row.id)?.count || 0,
+      winners: row.settled_at ? { hunters: winners('hunter'), ghosts: winners('ghost') } : null,
+    };
+  });
+}
+
+function mapResultRow(row) {
+  return {
+    userId: row.user_id,
+    role: row.role,
+    captures: row.captures,
+    survived: Boolean(row.survived),
+    campingViolation: Boolean(row.camping_violation),
+    points: row.points,
+    rank: row.rank,
+  };
+}
+
+// Everything about one week. Settled weeks return their final results; weeks
+// still running or waiting on disputes return standings with no points yet.
+async function getContestDetail(db, contestId) {
+  const contest = await db.get('SELECT * FROM contest_weeks WHERE id = ?', contestId);
+  if (!contest) {
+    throw contestError('Contest not found.', 404);
+  }
+  const [[summary], badgeRows] = await Promise.all([
+    summarizeContests(db, [contest]),
+    db.all('SELECT user_id, badge FROM user_badges WHERE contest_id = ?', contestId),
+  ]);
+  let results;
+  if (contest.settled_at) {
+    const rows = await db.all('SELECT * FROM contest_results WHERE contest_id = ? ORDER BY role, rank', contestId);
+    results = rows.map(mapResultRow);
+  } else {
+    const rows = await db.all(
+      'SELECT * FROM contest_assignments WHERE contest_id = ? ORDER BY role, captures DESC',
+      contestId
+    );
+    results = rows.map((row) => ({
+      userId: row.user_id,
+      role: row.role,
+      captures: row.role === 'hunter' ? row.captures : 0,
+      survived: row.role === 'ghost' && Boolean(row.survival_flag),
+      campingViolation: Boolean(row.camping_violation),
+      points: null,
+      rank: null,
+    }));
+  }
+  results.forEach((result) => {
+    result.badges = badgeRows
+      .filter((row) => row.user_id === result.userId)
+      .map((row) => ({ badge: row.badge, label: CONTEST_BADGES[row.badge] || row.badge }));
+  });
+  return { ...summary, results };
+}
+
+// Per-user records across every week that started at or after `since`.
+// Captures only count once confirmed, survivals once the week is over, and
+// points and wins once it is settled. Suspended accounts are left out.
+async function buildLeaderboard(db, { since = 0, now = Date.now() } = {}) {
+  const params = { $since: since };
+  const [assignmentRows, captureRows, resultRows] = await Promise.all([
+    db.all(
+      `SELECT a.user_id, a.role, a.survival_flag, a.camping_violation, w.ends_at FROM contest_assignments a
+       JOIN contest_weeks w ON w.id = a.contest_id
+       JOIN users u ON u.id = a.user_id
+       WHERE w.starts_at >= $since AND u.suspended_at IS NULL`,
+      params
+    ),
+    db.all(
+      `SELECT c.hunter_id, c.ghost_id FROM contest_captures c
+       JOIN contest_weeks w ON w.id = c.contest_id
+       WHERE w.starts_at >= $since AND c.status = 'confirmed'`,
+      params
+    ),
+    db.all(
+      `SELECT r.user_id, r.points, r.rank FROM contest_results r
+       JOIN contest_weeks w ON w.id = r.contest_id
+       WHERE w.starts_at >= $since`,
+      params
+    ),
+  ]);
+
+  const records = new Map();
+  assignmentRows.forEach((row) => {
+    if (!records.has(row.user_id)) {
+      records.set(row.user_id, {
+        userId: row.user_id,
+        weeks: 0,
+        hunterWeeks: 0,
+        ghostWeeks: 0,
+        captures: 0,
+        timesCaught: 0,
+        survivals: 0,
+        campingViolations: 0,
+        wins: 0,
+        points: 0,
+      });
+    }
+    const record = records.get(row.user_id);
+    record.weeks += 1;
+    record[row.role === 'hunter' ? 'hunterWeeks' : 'ghostWeeks'] += 1;
+    if (row.camping_violation) record.campingViolations += 1;
+    if (row.role === 'ghost' && row.ends_at <= now && row.survival_flag && !row.camping_violation) {
+      record.survivals += 1;
+    }
+  });
+  captureRows.forEach((row) => {
+    if (records.has(row.hunter_id)) records.get(row.hunter_id).captures += 1;
+    if (records.has(row.ghost_id)) records.get(row.ghost_id).timesCaught += 1;
+  });
+  resultRows.forEach((row) => {
+    const record = records.get(row.user_id);
+    if (!record) return;
+    record.points += row.points;
+    if (row.rank === 1 && row.points > 0) record.wins += 1;
+  });
+
+  const sorted = [...records.values()].sort(
+    (a, b) => b.captures + b.survivals - (a.captures + a.survivals) || b.wins - a.wins
+  );
+  return rankByPoints(sorted);
+}
+
+async function listUserBadges(db) {
+  const rows = await db.all('SELECT * FROM user_badges ORDER BY awarded_at');
+  const badges = new Map();
+  rows.forEach((row) => {
+    if (!badges.has(row.user_id)) badges.set(row.user_id, []);
+    badges.get(row.user_id).push({
+      badge: row.badge,
+      label: CONTEST_BADGES[row.badge] || row.badge,
+      contestId: row.contest_id,
+      awardedAt: row.awarded_at,
+    });
+  });
+  return badges;
+}
+
+module.exports = {
+  CONTEST_BADGES,
+  seasonFor,
+  summarizeContests,
+  getContestDetail,
+  buildLeaderboard,
+  settleContest,
+  describeResult,
+  listUserBadges,
+};
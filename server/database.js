@@ -4,24 +4,58 @@ const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const sqlite3 = require('sqlite3');
 const { open } = require('sqlite');
+const { decodeDataUrl, storeMedia, reprocessMedia, mediaUrl } = require('./media');
 
 const DEFAULT_DATA_DIR = path.join(__dirname, '..', 'data');
 const persistentRoot = process.env.DATABASE_DIR
   || (fs.existsSync('/data') ? '/data' : DEFAULT_DATA_DIR);
 const DB_PATH = process.env.DATABASE_PATH || path.join(persistentRoot, 'kandid.sqlite');
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(persistentRoot, 'media');
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(persistentRoot, 'outbox');
+const VAPID_KEYS_PATH = process.env.VAPID_KEYS_PATH || path.join(persistentRoot, 'vapid.json');
 
 function createId() {
   return crypto.randomUUID();
 }
 
-async function initializeDatabase() {
-  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+// How long a connection waits for another one's write to finish before
+// giving up with SQLITE_BUSY.
+const BUSY_TIMEOUT_MS = 5000;
+
+async function openConnection() {
   const db = await open({
     filename: DB_PATH,
     driver: sqlite3.Database,
   });
-
   await db.exec('PRAGMA foreign_keys = ON;');
+  await db.exec(`PRAGMA busy_timeout = ${BUSY_TIMEOUT_MS};`);
+  return db;
+}
+
+// Runs `work` inside a transaction on a connection of its own. On the shared
+// connection, writes from requests handled meanwhile would land inside the
+// transaction and be thrown away by a ROLLBACK. SQLite holds those writers
+// off until the transaction ends instead.
+async function runInTransaction(work) {
+  const connection = await openConnection();
+  try {
+    await connection.exec('BEGIN IMMEDIATE TRANSACTION;');
+    try {
+      const result = await work(connection);
+      await connection.exec('COMMIT;');
+      return result;
+    } catch (error) {
+      await connection.exec('ROLLBACK;');
+      throw error;
+    }
+  } finally {
+    await connection.close();
+  }
+}
+
+async function initializeDatabase() {
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+  const db = await openConnection();
 
   await db.exec(`
     CREATE TABLE IF NOT EXISTS users (
@@ -36,9 +70,45 @@ async function initializeDatabase() {
       location_lng REAL,
       location_updated_at INTEGER,
       created_at INTEGER NOT NULL,
-      bekandid_enabled INTEGER NOT NULL DEFAULT 0
+      bekandid_enabled INTEGER NOT NULL DEFAULT 0,
+      email_verified_at INTEGER,
+      pending_email TEXT,
+      avatar_media_id TEXT,
+      deletion_scheduled_for INTEGER,
+      auto_approve_drops INTEGER NOT NULL DEFAULT 0,
+      role TEXT NOT NULL DEFAULT 'user',
+      suspended_at INTEGER,
+      FOREIGN KEY (avatar_media_id) REFERENCES media(id) ON DELETE SET NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      refresh_token_hash TEXT NOT NULL,
+      user_agent TEXT,
+      ip_address TEXT,
+      created_at INTEGER NOT NULL,
+      last_used_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      revoked_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
     );
 
+    CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id);
+
+    CREATE TABLE IF NOT EXISTS auth_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      purpose TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      used_at INTEGER,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_auth_tokens_user ON auth_tokens (user_id, purpose);
+
     CREATE TABLE IF NOT EXISTS follows (
       follower_id TEXT NOT NULL,
       following_id TEXT NOT NULL,
@@ -48,20 +118,118 @@ async function initializeDatabase() {
       FOREIGN KEY (following_id) REFERENCES users(id) ON DELETE CASCADE
     );
 
+    CREATE TABLE IF NOT EXISTS blocks (
+      blocker_id TEXT NOT NULL,
+      blocked_id TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (blocker_id, blocked_id),
+      FOREIGN KEY (blocker_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (blocked_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS mutes (
+      muter_id TEXT NOT NULL,
+      muted_id TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (muter_id, muted_id),
+      FOREIGN KEY (muter_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (muted_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS push_subscriptions (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      endpoint TEXT NOT NULL UNIQUE,
+      p256dh TEXT NOT NULL,
+      auth TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS notification_preferences (
+      user_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      enabled INTEGER NOT NULL,
+      PRIMARY KEY (user_id, type),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS reports (
+      id TEXT PRIMARY KEY,
+      reporter_id TEXT NOT NULL,
+      target_type TEXT NOT NULL,
+      target_id TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'open',
+      action TEXT,
+      created_at INTEGER NOT NULL,
+      resolved_at INTEGER,
+      resolved_by TEXT,
+      FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_reports_status ON reports (status, created_at);
+
+    CREATE TABLE IF NOT EXISTS media (
+      id TEXT PRIMARY KEY,
+      hash TEXT NOT NULL,
+      source_hash TEXT,
+      owner_id TEXT NOT NULL,
+      mime TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      duration_ms INTEGER,
+      live INTEGER NOT NULL DEFAULT 0,
+      created_at INTEGER NOT NULL,
+      camera_captured_at INTEGER,
+      FOREIGN KEY (owner_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_media_hash ON media (hash, owner_id);
+
+    CREATE TABLE IF NOT EXISTS media_renditions (
+      media_id TEXT NOT NULL,
+      variant TEXT NOT NULL,
+      hash TEXT NOT NULL,
+      mime TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      PRIMARY KEY (media_id, variant),
+      FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE
+    );
+
     CREATE TABLE IF NOT EXISTS posts (
       id TEXT PRIMARY KEY,
       author_id TEXT NOT NULL,
       recipient_id TEXT,
-      image TEXT NOT NULL,
+      image TEXT,
+      media_id TEXT,
       caption TEXT,
       created_at INTEGER NOT NULL,
       visibility TEXT NOT NULL DEFAULT 'public',
       original_post_id TEXT,
+      hidden_at INTEGER,
+      edited_at INTEGER,
       FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE,
       FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE SET NULL,
+      FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE SET NULL,
       FOREIGN KEY (original_post_id) REFERENCES posts(id) ON DELETE SET NULL
     );
 
+    CREATE TABLE IF NOT EXISTS post_media (
+      post_id TEXT NOT NULL,
+      media_id TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      PRIMARY KEY (post_id, position),
+      FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+      FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_post_media_media ON post_media (media_id);
+
     CREATE TABLE IF NOT EXISTS likes (
       post_id TEXT NOT NULL,
       user_id TEXT NOT NULL,
@@ -77,10 +245,21 @@ async function initializeDatabase() {
       author_id TEXT NOT NULL,
       text TEXT NOT NULL,
       created_at INTEGER NOT NULL,
+      edited_at INTEGER,
+      parent_comment_id TEXT REFERENCES comments(id) ON DELETE CASCADE,
       FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
       FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE
     );
 
+    CREATE TABLE IF NOT EXISTS comment_likes (
+      comment_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (comment_id, user_id),
+      FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
     CREATE TABLE IF NOT EXISTS inbox_messages (
       id TEXT PRIMARY KEY,
       recipient_id TEXT NOT NULL,
@@ -90,16 +269,51 @@ async function initializeDatabase() {
       read INTEGER NOT NULL DEFAULT 0,
       type TEXT NOT NULL DEFAULT 'drop',
       message TEXT,
+      comment_id TEXT REFERENCES comments(id) ON DELETE CASCADE,
       FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE CASCADE,
       FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
       FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE
     );
 
+    CREATE TABLE IF NOT EXISTS inbox_message_actors (
+      message_id TEXT NOT NULL,
+      actor_id TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (message_id, actor_id),
+      FOREIGN KEY (message_id) REFERENCES inbox_messages(id) ON DELETE CASCADE,
+      FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS contest_configs (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      schedule TEXT NOT NULL,
+      start_day_utc INTEGER,
+      start_hour_utc INTEGER,
+      duration_ms INTEGER NOT NULL,
+      active_from INTEGER,
+      active_until INTEGER,
+      city TEXT,
+      challenges TEXT NOT NULL,
+      proximity_km REAL NOT NULL,
+      capture_window_ms INTEGER NOT NULL,
+      alert_cooldown_ms INTEGER NOT NULL,
+      camping_threshold_ms INTEGER NOT NULL,
+      camping_distance_km REAL NOT NULL,
+      priority INTEGER NOT NULL DEFAULT 0,
+      enabled INTEGER NOT NULL DEFAULT 1,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+
     CREATE TABLE IF NOT EXISTS contest_weeks (
       id TEXT PRIMARY KEY,
       starts_at INTEGER NOT NULL,
       ends_at INTEGER NOT NULL,
-      challenge TEXT NOT NULL
+      challenge TEXT NOT NULL,
+      settled_at INTEGER,
+      config_id TEXT,
+      name TEXT
     );
 
     CREATE TABLE IF NOT EXISTS contest_assignments (
@@ -112,6 +326,7 @@ async function initializeDatabase() {
       last_location_lat REAL,
       last_location_lng REAL,
       last_move_at INTEGER,
+      last_location_at INTEGER,
       PRIMARY KEY (contest_id, user_id),
       FOREIGN KEY (contest_id) REFERENCES contest_weeks(id) ON DELETE CASCADE,
       FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -125,15 +340,67 @@ async function initializeDatabase() {
       post_id TEXT NOT NULL,
       challenge TEXT NOT NULL,
       created_at INTEGER NOT NULL,
+      match_score REAL,
+      status TEXT NOT NULL DEFAULT 'confirmed',
+      confirmed_at INTEGER,
       FOREIGN KEY (contest_id) REFERENCES contest_weeks(id) ON DELETE CASCADE,
       FOREIGN KEY (hunter_id) REFERENCES users(id) ON DELETE CASCADE,
       FOREIGN KEY (ghost_id) REFERENCES users(id) ON DELETE CASCADE,
       FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
     );
+
+    CREATE TABLE IF NOT EXISTS contest_results (
+      contest_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      role TEXT NOT NULL,
+      captures INTEGER NOT NULL DEFAULT 0,
+      survived INTEGER NOT NULL DEFAULT 0,
+      camping_violation INTEGER NOT NULL DEFAULT 0,
+      points INTEGER NOT NULL DEFAULT 0,
+      rank INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (contest_id, user_id),
+      FOREIGN KEY (contest_id) REFERENCES contest_weeks(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_contest_results_user ON contest_results (user_id);
+
+    CREATE TABLE IF NOT EXISTS user_badges (
+      user_id TEXT NOT NULL,
+      badge TEXT NOT NULL,
+      contest_id TEXT NOT NULL,
+      awarded_at INTEGER NOT NULL,
+      PRIMARY KEY (user_id, badge, contest_id),
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (contest_id) REFERENCES contest_weeks(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS face_references (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      embedding TEXT NOT NULL,
+      model TEXT,
+      created_at INTEGER NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_face_references_user ON face_references (user_id);
   `);
 
   await migrateUsersTableIfNeeded(db);
   await migrateInboxTableIfNeeded(db);
+  await migratePostsTableIfNeeded(db);
+  await migratePostModerationIfNeeded(db);
+  await migrateEditedAtIfNeeded(db);
+  await migrateCommentThreadsIfNeeded(db);
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_posts_created ON posts (created_at DESC, id DESC);');
+  await migrateMediaTableIfNeeded(db);
+  await migrateContestTablesIfNeeded(db);
+  await migrateFaceReferencesIfNeeded(db);
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_contest_weeks_config ON contest_weeks (config_id, starts_at);');
+  await db.exec('CREATE INDEX IF NOT EXISTS idx_media_source ON media (source_hash, owner_id);');
+  await migrateRawMediaFiles(db);
+  await migrateInlinePostImages(db);
+  await migrateInlineAvatars(db);
   await seedIfNeeded(db);
 
   return db;
@@ -142,8 +409,33 @@ async function initializeDatabase() {
 async function migrateUsersTableIfNeeded(db) {
   const columns = await db.all('PRAGMA table_info(users)');
   const hasBeKandid = columns.some((column) => column.name === 'bekandid_enabled');
-  if (hasBeKandid) return;
-  await db.exec('ALTER TABLE users ADD COLUMN bekandid_enabled INTEGER NOT NULL DEFAULT 0;');
+  if (!hasBeKandid) {
+    await db.exec('ALTER TABLE users ADD COLUMN bekandid_enabled INTEGER NOT NULL DEFAULT 0;');
+  }
+  const hasEmailVerifiedAt = columns.some((column) => column.name === 'email_verified_at');
+  if (!hasEmailVerifiedAt) {
+    // Accounts created before verification existed keep working without a new email.
+    await db.exec('ALTER TABLE users ADD COLUMN email_verified_at INTEGER;');
+    await db.exec('UPDATE users SET email_verified_at = created_at;');
+  }
+  if (!columns.some((column) => column.name === 'pending_email')) {
+    await db.exec('ALTER TABLE users ADD COLUMN pending_email TEXT;');
+  }
+  if (!columns.some((column) => column.name === 'avatar_media_id')) {
+    await db.exec('ALTER TABLE users ADD COLUMN avatar_media_id TEXT REFERENCES media(id) ON DELETE SET NULL;');
+  }
+  if (!columns.some((column) => column.name === 'deletion_scheduled_for')) {
+    await db.exec('ALTER TABLE users ADD COLUMN deletion_scheduled_for INTEGER;');
+  }
+  if (!columns.some((column) => column.name === 'auto_approve_drops')) {
+    await db.exec('ALTER TABLE users ADD COLUMN auto_approve_drops INTEGER NOT NULL DEFAULT 0;');
+  }
+  if (!columns.some((column) => column.name === 'role')) {
+    await db.exec("ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user';");
+  }
+  if (!columns.some((column) => column.name === 'suspended_at')) {
+    await db.exec('ALTER TABLE users ADD COLUMN suspended_at INTEGER;');
+  }
 }
 
 async function migrateInboxTableIfNeeded(db) {
@@ -188,6 +480,190 @@ async function migrateInboxTableIfNeeded(db) {
   }
 }
 
+async function migratePostsTableIfNeeded(db) {
+  const columns = await db.all('PRAGMA table_info(posts)');
+  if (columns.some((column) => column.name === 'media_id')) {
+    return;
+  }
+
+  // Rebuilding posts would cascade into likes/comments/inbox, so foreign keys
+  // are switched off for the swap (the pragma is a no-op inside a transaction).
+  await db.exec('PRAGMA foreign_keys = OFF;');
+  await db.exec('BEGIN TRANSACTION;');
+  try {
+    await db.exec(`
+      CREATE TABLE posts_new (
+        id TEXT PRIMARY KEY,
+        author_id TEXT NOT NULL,
+        recipient_id TEXT,
+        image TEXT,
+        media_id TEXT,
+        caption TEXT,
+        created_at INTEGER NOT NULL,
+        visibility TEXT NOT NULL DEFAULT 'public',
+        original_post_id TEXT,
+        FOREIGN KEY (author_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (recipient_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE SET NULL,
+        FOREIGN KEY (original_post_id) REFERENCES posts(id) ON DELETE SET NULL
+      );
+    `);
+
+    await db.exec(`
+      INSERT INTO posts_new (id, author_id, recipient_id, image, media_id, caption, created_at, visibility, original_post_id)
+      SELECT id, author_id, recipient_id, image, NULL, caption, created_at, visibility, original_post_id
+      FROM posts;
+    `);
+
+    await db.exec('DROP TABLE posts;');
+    await db.exec('ALTER TABLE posts_new RENAME TO posts;');
+    await db.exec('COMMIT;');
+  } catch (error) {
+    await db.exec('ROLLBACK;');
+    throw error;
+  } finally {
+    await db.exec('PRAGMA foreign_keys = ON;');
+  }
+}
+
+async function migratePostModerationIfNeeded(db) {
+  const columns = await db.all('PRAGMA table_info(posts)');
+  if (columns.some((column) => column.name === 'hidden_at')) return;
+  await db.exec('ALTER TABLE posts ADD COLUMN hidden_at INTEGER;');
+}
+
+async function migrateEditedAtIfNeeded(db) {
+  for (const table of ['posts', 'comments']) {
+    const columns = await db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some((column) => column.name === 'edited_at')) {
+      await db.exec(`ALTER TABLE ${table} ADD COLUMN edited_at INTEGER;`);
+    }
+  }
+}
+
+async function migrateCommentThreadsIfNeeded(db) {
+  const commentColumns = await db.all('PRAGMA table_info(comments)');
+  if (!commentColumns.some((column) => column.name === 'parent_comment_id')) {
+    await db.exec('ALTER TABLE comments ADD COLUMN parent_comment_id TEXT REFERENCES comments(id) ON DELETE CASCADE;');
+  }
+  const inboxColumns = await db.all('PRAGMA table_info(inbox_messages)');
+  if (!inboxColumns.some((column) => column.name === 'comment_id')) {
+    await db.exec('ALTER TABLE inbox_messages ADD COLUMN comment_id TEXT REFERENCES comments(id) ON DELETE CASCADE;');
+  }
+}
+
+async function migrateMediaTableIfNeeded(db) {
+  const columns = await db.all('PRAGMA table_info(media)');
+  if (!columns.some((column) => column.name === 'source_hash')) {
+    await db.exec('ALTER TABLE media ADD COLUMN source_hash TEXT;');
+  }
+  if (!columns.some((column) => column.name === 'duration_ms')) {
+    await db.exec('ALTER TABLE media ADD COLUMN duration_ms INTEGER;');
+    await db.exec('ALTER TABLE media ADD COLUMN live INTEGER NOT NULL DEFAULT 0;');
+  }
+  if (!columns.some((column) => column.name === 'camera_captured_at')) {
+    await db.exec('ALTER TABLE media ADD COLUMN camera_captured_at INTEGER;');
+  }
+}
+
+async function migrateContestTablesIfNeeded(db) {
+  const columns = await db.all('PRAGMA table_info(contest_captures)');
+  if (!columns.some((column) => column.name === 'match_score')) {
+    await db.exec('ALTER TABLE contest_captures ADD COLUMN match_score REAL;');
+  }
+  if (!columns.some((column) => column.name === 'status')) {
+    // Captures logged before disputes existed already counted.
+    await db.exec(`ALTER TABLE contest_captures ADD COLUMN status TEXT NOT NULL DEFAULT 'confirmed';`);
+    await db.exec('ALTER TABLE contest_captures ADD COLUMN confirmed_at INTEGER;');
+    await db.exec('UPDATE contest_captures SET confirmed_at = created_at;');
+  }
+  const weekColumns = await db.all('PRAGMA table_info(contest_weeks)');
+  if (!weekColumns.some((column) => column.name === 'settled_at')) {
+    await db.exec('ALTER TABLE contest_weeks ADD COLUMN settled_at INTEGER;');
+  }
+  if (!weekColumns.some((column) => column.name === 'config_id')) {
+    // Filled in with the default weekly config once it exists; see
+    // ensureDefaultContestConfig in contest-config.js.
+    await db.exec('ALTER TABLE contest_weeks ADD COLUMN config_id TEXT;');
+    await db.exec('ALTER TABLE contest_weeks ADD COLUMN name TEXT;');
+  }
+  const assignmentColumns = await db.all('PRAGMA table_info(contest_assignments)');
+  if (!assignmentColumns.some((column) => column.name === 'last_location_at')) {
+    await db.exec('ALTER TABLE contest_assignments ADD COLUMN last_location_at INTEGER;');
+  }
+}
+
+// Reference selfies enrolled before the face-api model were colour histograms
+// that cannot be compared with its descriptors, so they are dropped and the
+// owners enroll again.
+async function migrateFaceReferencesIfNeeded(db) {
+  const columns = await db.all('PRAGMA table_info(face_references)');
+  if (!columns.some((column) => column.name === 'model')) {
+    await db.exec('ALTER TABLE face_references ADD COLUMN model TEXT;');
+  }
+  await db.run('DELETE FROM face_references WHERE model IS NULL');
+}
+
+// Media stored before the processing pipeline existed kept the raw upload
+// (EXIF and all); re-encode it and generate the smaller renditions.
+async function migrateRawMediaFiles(db) {
+  const rows = await db.all('SELECT * FROM media WHERE source_hash IS NULL');
+  for (const row of rows) {
+    try {
+      await reprocessMedia(db, MEDIA_DIR, row);
+    } catch (error) {
+      console.warn(`Skipping media ${row.id}: ${error.message}`);
+    }
+  }
+}
+
+async function migrateInlinePostImages(db) {
+  const rows = await db.all(
+    `SELECT id, author_id, image, created_at, original_post_id FROM posts
+     WHERE media_id IS NULL AND image LIKE 'data:%'
+     ORDER BY original_post_id IS NOT NULL, created_at`
+  );
+
+  for (const row of rows) {
+    try {
+      // Reposts copied the original's data URL; point them at the original's media instead.
+      const original = row.original_post_id
+        ? await db.get('SELECT media_id FROM posts WHERE id = ?', row.original_post_id)
+        : null;
+      let mediaId = original?.media_id || null;
+      if (!mediaId) {
+        const media = await storeMedia(db, MEDIA_DIR, {
+          buffer: decodeDataUrl(row.image),
+          ownerId: row.author_id,
+          createdAt: row.created_at,
+        });
+        mediaId = media.id;
+      }
+      await db.run('UPDATE posts SET media_id = ?, image = NULL WHERE id = ?', mediaId, row.id);
+    } catch (error) {
+      console.warn(`Skipping inline image for post ${row.id}: ${error.message}`);
+    }
+  }
+}
+
+async function migrateInlineAvatars(db) {
+  const rows = await db.all(
+    `SELECT id, avatar, created_at FROM users WHERE avatar_media_id IS NULL AND avatar LIKE 'data:%'`
+  );
+  for (const row of rows) {
+    try {
+      const media = await storeMedia(db, MEDIA_DIR, {
+        buffer: decodeDataUrl(row.avatar),
+        ownerId: row.id,
+        createdAt: row.created_at,
+      });
+      await db.run('UPDATE users SET avatar_media_id = ?, avatar = NULL WHERE id = ?', media.id, row.id);
+    } catch (error) {
+      console.warn(`Skipping inline avatar for user ${row.id}: ${error.message}`);
+    }
+  }
+}
+
 async function seedIfNeeded(db) {
   const row = await db.get('SELECT COUNT(*) AS count FROM users');
   if (row.count > 0) return;
@@ -230,8 +706,8 @@ async function seedIfNeeded(db) {
     await db.run(
       `INSERT INTO users (
         id, email, password_hash, display_name, bio, home_city, avatar,
-        location_lat, location_lng, location_updated_at, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        location_lat, location_lng, location_updated_at, created_at, email_verified_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
         ,
       [
         user.id,
@@ -245,6 +721,7 @@ async function seedIfNeeded(db) {
         user.location.lng,
         user.location.lastUpdated,
         user.createdAt,
+        user.createdAt,
       ]
     );
   }
@@ -341,7 +818,8 @@ function mapUserRow(row) {
     displayName: row.display_name,
     bio: row.bio,
     homeCity: row.home_city,
-    avatar: row.avatar,
+    avatar: row.avatar_media_id ? mediaUrl(row.avatar_media_id, 'small') : row.avatar,
+    avatarMediaId: row.avatar_media_id || null,
     location: hasLocation
       ? {
           lat: row.location_lat,
@@ -351,11 +829,33 @@ function mapUserRow(row) {
       : null,
     createdAt: row.created_at,
     bekandidEnabled: Boolean(row.bekandid_enabled),
+    autoApproveDrops: Boolean(row.auto_approve_drops),
+    role: row.role || 'user',
+    emailVerified: Boolean(row.email_verified_at),
+    pendingEmail: row.pending_email || null,
+    deletionScheduledFor: row.deletion_scheduled_for || null,
   };
 }
 
+function mapPublicUserRow(row) {
+  const user = mapUserRow(row);
+  if (!user) return null;
+  delete user.email;
+  delete user.emailVerified;
+  delete user.pendingEmail;
+  delete user.deletionScheduledFor;
+  delete user.autoApproveDrops;
+  delete user.role;
+  return user;
+}
+
 module.exports = {
+  MEDIA_DIR,
+  MAIL_OUTBOX_DIR,
+  VAPID_KEYS_PATH,
   initializeDatabase,
+  runInTransaction,
   mapUserRow,
+  mapPublicUserRow,
   createId,
 };
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+
+// Face descriptors are computed in the browser with the bundled face-api
+// recognition model (see the face matching section of app.js); the server only
+// keeps the numbers and compares them, so no reference photo is ever uploaded.
+const FACE_EMBEDDING_LENGTH = 128;
+const MAX_FACE_REFERENCES = 5;
+const MAX_FACES_PER_PHOTO = 8;
+// Scores are 1 minus the Euclidean distance between descriptors; the model
+// treats a distance under 0.6 as the same person. Someone scoring at least the
+// suggestion score is offered as a likely subject, and a contest capture below
+// the mismatch score is flagged as probably showing someone else.
+const FACE_SUGGEST_SCORE = 0.5;
+const FACE_MISMATCH_SCORE = 0.4;
+const MAX_FACE_SUGGESTIONS = 5;
+const FACE_MODEL = 'face-api-1';
+
+function faceError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function normalizeEmbedding(value) {
+  if (
+    !Array.isArray(value) ||
+    value.length !== FACE_EMBEDDING_LENGTH ||
+    !value.every((number) => typeof number === 'number' && Number.isFinite(number))
+  ) {
+    throw faceError(`A face embedding must be a list of ${FACE_EMBEDDING_LENGTH} numbers.`);
+  }
+  if (!value.some((number) => number !== 0)) {
+    throw faceError('That face embedding is empty.');
+  }
+  return value;
+}
+
+function normalizeEmbeddings(values) {
+  if (!Array.isArray(values) || !values.length) {
+    throw faceError('Send the face embeddings found in the photo.');
+  }
+  if (values.length > MAX_FACES_PER_PHOTO) {
+    throw faceError(`Send at most ${MAX_FACES_PER_PHOTO} faces per photo.`);
+  }
+  return values.map(normalizeEmbedding);
+}
+
+function similarity(a, b) {
+  const distance = Math.sqrt(a.reduce((sum, value, index) => sum + (value - b[index]) ** 2, 0));
+  return Math.max(0, 1 - distance);
+}
+
+function bestScore(faces, references) {
+  let best = null;
+  faces.forEach((face) => {
+    references.forEach((reference) => {
+      const score = similarity(face, reference);
+      if (best === null || score > best) best = score;
+    });
+  });
+  return best === null ? null : Math.round(best * 1000) / 1000;
+}
+
+async function listFaceReferences(db, userId) {
+  const rows = await db.all(
+    'SELECT id, created_at FROM face_references WHERE user_id = ? ORDER BY created_at',
+    userId
+  );
+  return rows.map((row) => ({ id: row.id, createdAt: row.created_at }));
+}
+
+async function enrollFaceReference(db, userId, embedding) {
+  const normalized = normalizeEmbedding(embedding);
+  const { count } = await db.get('SELECT COUNT(*) AS count FROM face_references WHERE user_id = ?', userId);
+  if (count >= MAX_FACE_REFERENCES) {
+    throw faceError(`You can keep up to ${MAX_FACE_REFERENCES} reference selfies. Remove one first.`, 409);
+  }
+  await db.run(
+    'INSERT INTO face_references (id, user_id, embedding, model, created_at) VALUES (?, ?, ?, ?, ?)',
+    [crypto.randomUUID(), userId, JSON.stringify(normalized), FACE_MODEL, Date.now()]
+  );
+}
+
+async function deleteFaceReference(db, userId, referenceId) {
+  const result = await db.run('DELETE FROM face_references WHERE id = ? AND user_id = ?', referenceId, userId);
+  if (!result.changes) {
+    throw faceError('Reference selfie not found.', 404);
+  }
+}
+
+async function loadReferences(db, userIds) {
+  if (!userIds.length) return new Map();
+  const rows = await db.all(
+    `SELECT user_id, embedding FROM face_references WHERE user_id IN (${userIds.map(() => '?').join(', ')})`,
+    userIds
+  );
+  const references = new Map();
+  rows.forEach((row) => {
+    if (!references.has(row.user_id)) references.set(row.user_id, []);
+    references.get(row.user_id).push(JSON.parse(row.embedding));
+  });
+  return references;
+}
+
+// Ranks the people the viewer already knows who might be in the photo: those
+// they follow, plus the ghosts they are hunting in `contestId`. Nobody else is
+// ever compared, and only people above the suggestion score come back, so the
+// answer never reveals who else has enrolled.
+async function suggestFaceMatches(db, viewerId, embeddings, contestId = null) {
+  const faces = normalizeEmbeddings(embeddings);
+  const candidates = await db.all(
+    `SELECT DISTINCT f.user_id FROM face_references f
+     JOIN users u ON u.id = f.user_id
+     WHERE f.user_id != $viewerId AND u.suspended_at IS NULL
+       AND (
+         EXISTS (SELECT 1 FROM follows WHERE follower_id = $viewerId AND following_id = f.user_id)
+         OR EXISTS (
+           SELECT 1 FROM contest_assignments ghost
+           JOIN contest_assignments hunter ON hunter.contest_id = ghost.contest_id
+           WHERE ghost.contest_id = $contestId AND ghost.user_id = f.user_id AND ghost.role = 'ghost'
+             AND hunter.user_id = $viewerId AND hunter.role = 'hunter'
+         )
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM blocks
+         WHERE (blocker_id = $viewerId AND blocked_id = f.user_id) OR (blocker_id = f.user_id AND blocked_id = $viewerId)
+       )`,
+    { $viewerId: viewerId, $contestId: contestId }
+  );
+  const references = await loadReferences(
+    db,
+    candidates.map((row) => row.user_id)
+  );
+  return [...references.entries()]
+    .map(([userId, userReferences]) => ({ userId, score: bestScore(faces, userReferences) }))
+    .filter((match) => match.score >= FACE_SUGGEST_SCORE)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_FACE_SUGGESTIONS);
+}
+
+// The best match between the faces in a capture and the subject's reference
+// selfies, or null when either side has nothing to compare.
+async function scoreFaceMatch(db, subjectId, embeddings) {
+  if (!Array.isArray(embeddings) || !embeddings.length) return null;
+  const faces = normalizeEmbeddings(embeddings);
+  const references = await loadReferences(db, [subjectId]);
+  return bestScore(faces, references.get(subjectId) || []);
+}
+
+function isFaceMismatch(score) {
+  return score !== null && score !== undefined && score < FACE_MISMATCH_SCORE;
+}
+
+module.exports = {
+  FACE_EMBEDDING_LENGTH,
+  MAX_FACE_REFERENCES,
+  listFaceReferences,
+  enrollFaceReference,
+  deleteFaceReference,
+  suggestFaceMatches,
+  scoreFaceMatch,
+  isFaceMismatch,
+};
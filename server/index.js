@@ -4,45 +4,239 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { initializeDatabase, mapUserRow, createId } = require('./database');
+const multer = require('multer');
+const {
+  MEDIA_DIR,
+  MAIL_OUTBOX_DIR,
+  VAPID_KEYS_PATH,
+  initializeDatabase,
+  runInTransaction,
+  mapUserRow,
+  mapPublicUserRow,
+  createId,
+} = require('./database');
+const {
+  MAX_VIDEO_BYTES,
+  decodeDataUrl,
+  RENDITION_SIZES,
+  POSTER_VARIANT,
+  mediaPathFor,
+  storeMedia,
+  mediaUrls,
+  mapMediaRow,
+  mapAlbumItem,
+  deleteMediaIfUnused,
+} = require('./media');
+const realtime = require('./realtime');
+const sessions = require('./sessions');
+const { issueAuthToken, consumeAuthToken } = require('./authTokens');
+const { createMailer } = require('./mailer');
+const accounts = require('./accounts');
+const moderation = require('./moderation');
+const notifications = require('./notifications');
+const push = require('./push');
+const faces = require('./faces');
+const contests = require('./contests');
+const contestConfig = require('./contest-config');
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 const JWT_SECRET = process.env.JWT_SECRET || 'replace-me-with-a-strong-secret';
-const TOKEN_TTL = '30d';
-const CONTEST_START_DAY_UTC = 0; // Sunday
-const CONTEST_START_HOUR_UTC = 20; // 8 PM UTC
-const CONTEST_DURATION_MS = 7 * 24 * 60 * 60 * 1000;
-const CONTEST_PROXIMITY_KM = 0.3;
-const CONTEST_ALERT_COOLDOWN_MS = 60 * 60 * 1000; // 1 hour
-const CONTEST_CAMPING_THRESHOLD_MS = 6 * 60 * 60 * 1000; // 6 hours
-const CONTEST_CAMPING_DISTANCE_KM = 0.1;
-const CONTEST_CHALLENGES = [
-  'Capture them eating',
-  'Catch them laughing',
-  'Spot them with a colorful outfit',
-  'Find them using their phone',
-  'Capture them in motion',
-  'Catch them with a group of friends',
-];
+const ACCESS_TOKEN_TTL = '15m';
+const APP_URL = (process.env.APP_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PASSWORD_MIN_LENGTH = 6;
+const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PUSH_STAND_IN = process.env.PUSH_STAND_IN === 'true';
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+const CONSENT_DECISIONS = {
+  approve: { visibility: 'public', message: 'approved your Kandid for the public feed' },
+  private: { visibility: 'private', message: 'kept your Kandid private' },
+  delete: { visibility: null, message: 'declined your Kandid and it was deleted' },
+};
+const POST_VISIBILITIES = ['public', 'private'];
+const PROFILE_FIELDS = {
+  displayName: { column: 'display_name', label: 'Display name', maxLength: 50 },
+  bio: { column: 'bio', label: 'Bio', maxLength: 160 },
+  homeCity: { column: 'home_city', label: 'Home city', maxLength: 80 },
+};
+const FEED_PAGE_SIZE = 12;
+const FEED_MAX_PAGE_SIZE = 50;
+const MAX_DROP_PHOTOS = 6;
+const CONTEST_HISTORY_PAGE_SIZE = 10;
+const CONTEST_HISTORY_MAX_PAGE_SIZE = 50;
+const CONTEST_LEADERBOARD_SCOPES = ['season', 'all-time'];
+const CONTEST_DISPUTE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const CONTEST_SETTLE_INTERVAL_MS = 5 * 60 * 1000;
+// A round waits for open disputes at most this long after it ends: long enough
+// for a capture made at the last minute to be disputed and then reviewed.
+// Anything still undecided after that does not count.
+const CONTEST_SETTLE_GRACE_MS = 2 * CONTEST_DISPUTE_WINDOW_MS;
+// Weeks found unsettled long after they ended (say, after downtime) are scored
+// without sending everyone a stale results message.
+const CONTEST_RESULT_NOTICE_MS = 7 * 24 * 60 * 60 * 1000;
 
 const allowedOrigins = process.env.CORS_ORIGIN
   ? process.env.CORS_ORIGIN.split(',').map((origin) => origin.trim())
   : true;
 
 const staticRoot = path.join(__dirname, '..');
+// Only the client itself is served. The repo root also holds `data/` (the
+// database, media, VAPID keys and mail outbox by default), so it is never
+// served as a whole.
+const CLIENT_FILES = ['index.html', 'app.js', 'styles.css', 'sw.js', 'manifest.webmanifest'];
 
 app.use(cors({ origin: allowedOrigins, credentials: true }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: false }));
-app.use(express.static(staticRoot));
+CLIENT_FILES.forEach((file) => {
+  app.get(`/${file}`, (req, res) => res.sendFile(path.join(staticRoot, file)));
+});
+app.use('/icons', express.static(path.join(staticRoot, 'icons')));
+// The face-api browser bundle and the three models face matching uses. They
+// run on the device; the server only ships the files.
+const faceApiRoot = path.dirname(require.resolve('@vladmandic/face-api/package.json'));
+const FACE_MODEL_FILES = ['tiny_face_detector_model', 'face_landmark_68_tiny_model', 'face_recognition_model'].flatMap(
+  (model) => [`${model}-weights_manifest.json`, `${model}.bin`]
+);
+app.get('/vendor/face-api.js', (req, res) => res.sendFile(path.join(faceApiRoot, 'dist', 'face-api.js')));
+FACE_MODEL_FILES.forEach((file) => {
+  app.get(`/models/face/${file}`, (req, res) => res.sendFile(path.join(faceApiRoot, 'model', file)));
+});
+
+const mailer = createMailer({
+  transport: process.env.MAIL_TRANSPORT || 'outbox',
+  from: process.env.MAIL_FROM || undefined,
+  outboxDir: MAIL_OUTBOX_DIR,
+});
+
+const pushSender = push.createPushSender({
+  publicKey: process.env.VAPID_PUBLIC_KEY,
+  privateKey: process.env.VAPID_PRIVATE_KEY,
+  // Push services require an https: or mailto: contact for the sender.
+  subject: process.env.VAPID_SUBJECT || (APP_URL.startsWith('https:') ? APP_URL : 'mailto:no-reply@kandid.local'),
+  keysPath: VAPID_KEYS_PATH,
+  allowStandIn: PUSH_STAND_IN,
+});
+
+// Clips are the largest uploads; storeMedia applies the tighter image limit.
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_VIDEO_BYTES, files: 2 } });
+
+function acceptUpload(req, res, next) {
+  upload.fields([{ name: 'file', maxCount: 1 }, { name: 'poster', maxCount: 1 }])(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+    }
+    next(error);
+  });
+}
 
 let db;
 
 function createToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: TOKEN_TTL });
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+async function issueTokens(req, userId) {
+  const { sessionId, refreshToken } = await sessions.createSession(db, {
+    userId,
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip,
+  });
+  return { token: createToken({ userId, sessionId }), refreshToken };
+}
+
+async function sendVerificationEmail(userRow) {
+  const token = await issueAuthToken(db, { userId: userRow.id, purpose: 'verify_email' });
+  await mailer.send({
+    to: userRow.email,
+    subject: 'Verify your Kandid email',
+    text: [
+      `Hi ${userRow.display_name},`,
+      '',
+      'Confirm your email address to finish setting up your Kandid account:',
+      `${APP_URL}/?verify=${token}`,
+      '',
+      'This link expires in 24 hours. If you did not sign up, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+async function sendEmailChangeConfirmation(userRow, newEmail) {
+  const token = await issueAuthToken(db, { userId: userRow.id, purpose: 'change_email' });
+  await mailer.send({
+    to: newEmail,
+    subject: 'Confirm your new Kandid email',
+    text: [
+      `Hi ${userRow.display_name},`,
+      '',
+      `Confirm that you want to use ${newEmail} for your Kandid account:`,
+      `${APP_URL}/?confirmEmail=${token}`,
+      '',
+      'This link expires in 24 hours. Your current email keeps working until then.',
+    ].join('\n'),
+  });
+}
+
+// Heads-up to the address on file after a security-sensitive change, so an
+// owner whose session was hijacked learns about it.
+async function sendAccountChangeNotice(email, displayName, change) {
+  try {
+    await mailer.send({
+      to: email,
+      subject: 'Your Kandid account was updated',
+      text: [
+        `Hi ${displayName},`,
+        '',
+        `${change} If this was not you, reset your password right away:`,
+        `${APP_URL}/`,
+      ].join('\n'),
+    });
+  } catch (error) {
+    console.error('Failed to send account change notice', error);
+  }
+}
+
+async function sendPasswordResetEmail(userRow) {
+  const token = await issueAuthToken(db, { userId: userRow.id, purpose: 'reset_password' });
+  await mailer.send({
+    to: userRow.email,
+    subject: 'Reset your Kandid password',
+    text: [
+      `Hi ${userRow.display_name},`,
+      '',
+      'Someone asked to reset the password for your Kandid account. Choose a new one here:',
+      `${APP_URL}/?reset=${token}`,
+      '',
+      'This link expires in 1 hour and can only be used once. If you did not ask for a reset, you can ignore this email.',
+    ].join('\n'),
+  });
+}
+
+// Validates whichever editable profile fields are present in `body` and
+// returns them keyed by column.
+function readProfileFields(body) {
+  const updates = {};
+  for (const [field, { column, label, maxLength }] of Object.entries(PROFILE_FIELDS)) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && typeof body[field] !== 'string') {
+      return { error: `${label} must be text.` };
+    }
+    const value = (body[field] || '').trim();
+    if (value.length > maxLength) {
+      return { error: `${label} must be ${maxLength} characters or fewer.` };
+    }
+    updates[column] = value;
+  }
+  if (updates.display_name === '') {
+    return { error: 'Display name cannot be empty.' };
+  }
+  return { updates };
 }
 
 function deg2rad(deg) {
@@ -61,23 +255,6 @@ function distanceKm(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
-function getContestWindow(now = Date.now()) {
-  const current = new Date(now);
-  const start = new Date(current.getTime());
-  start.setUTCMilliseconds(0);
-  start.setUTCSeconds(0);
-  start.setUTCMinutes(0);
-  start.setUTCHours(CONTEST_START_HOUR_UTC);
-  // adjust to contest start day
-  const dayDiff = (current.getUTCDay() - CONTEST_START_DAY_UTC + 7) % 7;
-  start.setUTCDate(current.getUTCDate() - dayDiff);
-  if (start.getTime() > now) {
-    start.setUTCDate(start.getUTCDate() - 7);
-  }
-  const end = new Date(start.getTime() + CONTEST_DURATION_MS);
-  return { startsAt: start.getTime(), endsAt: end.getTime() };
-}
-
 function shuffle(array) {
   const copy = [...array];
   for (let i = copy.length - 1; i > 0; i -= 1) {
@@ -87,27 +264,71 @@ function shuffle(array) {
   return copy;
 }
 
-async function ensureActiveContest() {
-  if (!db) return null;
+// Starts a round for each enabled config whose schedule has one due, and
+// returns every running round with its config attached. A round keeps going
+// until its own end even if its config is changed or disabled meanwhile.
+async function ensureActiveContests() {
+  if (!db) return [];
   const now = Date.now();
-  const window = getContestWindow(now);
-  let contest = await db.get('SELECT * FROM contest_weeks WHERE starts_at = ?', window.startsAt);
-  if (!contest) {
-    const id = createId();
-    const challenge = CONTEST_CHALLENGES[Math.floor(Math.random() * CONTEST_CHALLENGES.length)];
-    await db.run(
-      `INSERT INTO contest_weeks (id, starts_at, ends_at, challenge) VALUES (?, ?, ?, ?)`,
-      [id, window.startsAt, window.endsAt, challenge]
+  const configs = await contestConfig.listContestConfigs(db);
+  const active = [];
+  for (const config of configs) {
+    let contest = await db.get(
+      `SELECT * FROM contest_weeks WHERE config_id = ? AND starts_at <= ? AND ends_at > ?
+       ORDER BY starts_at DESC LIMIT 1`,
+      config.id,
+      now,
+      now
     );
-    contest = { id, starts_at: window.startsAt, ends_at: window.endsAt, challenge };
+    const window = !contest && config.enabled ? contestConfig.getContestWindow(config, now) : null;
+    if (window) {
+      contest = {
+        id: createId(),
+        config_id: config.id,
+        name: config.name,
+        starts_at: window.startsAt,
+        ends_at: window.endsAt,
+        challenge: contestConfig.pickChallenge(config),
+      };
+      await db.run(
+        `INSERT INTO contest_weeks (id, config_id, name, starts_at, ends_at, challenge) VALUES (?, ?, ?, ?, ?, ?)`,
+        [contest.id, contest.config_id, contest.name, contest.starts_at, contest.ends_at, contest.challenge]
+      );
+    }
+    if (contest) active.push({ ...contest, config });
   }
-  await syncContestAssignments(contest.id);
-  return contest;
+  await syncContestAssignments(active);
+  await confirmDueContestCaptures(now);
+  return active;
+}
+
+async function pickActiveContest(userId, activeContests) {
+  if (!activeContests.length) return null;
+  const user = await db.get('SELECT id, home_city FROM users WHERE id = ?', userId);
+  return user ? contestConfig.pickContestFor(user, activeContests) : null;
+}
+
+// The running contest someone plays in, or would outside BeKandid mode.
+async function ensureActiveContest(userId) {
+  return pickActiveContest(userId, await ensureActiveContests());
 }
 
-async function syncContestAssignments(contestId) {
-  const participants = await db.all('SELECT id FROM users WHERE bekandid_enabled = 0');
-  const bekandid = await db.all('SELECT id FROM users WHERE bekandid_enabled = 1');
+// Everyone outside BeKandid mode joins the contest picked for them. Someone
+// moved into another contest (say a daily mini-hunt) keeps their place in the
+// first, so they can pick it up again once the other round ends.
+async function syncContestAssignments(activeContests) {
+  if (!activeContests.length) return;
+  const users = await db.all('SELECT id, home_city, bekandid_enabled FROM users');
+  const bekandid = users.filter((user) => user.bekandid_enabled);
+  for (const contest of activeContests) {
+    const participants = users.filter(
+      (user) => !user.bekandid_enabled && contestConfig.pickContestFor(user, activeContests)?.id === contest.id
+    );
+    await syncContestParticipants(contest.id, participants, bekandid);
+  }
+}
+
+async function syncContestParticipants(contestId, participants, bekandid) {
   if (bekandid.length) {
     const placeholders = bekandid.map(() => '?').join(',');
     await db.run(
@@ -158,17 +379,202 @@ async function syncContestAssignments(contestId) {
   }
 }
 
-async function createInboxEntry({ recipientId, senderId, postId = null, type = 'drop', message = null, createdAt = Date.now() }) {
+function mapInboxRow(row, actorIds = [row.sender_id]) {
+  return {
+    id: row.id,
+    postId: row.post_id || null,
+    senderId: row.sender_id,
+    actorIds,
+    createdAt: row.created_at,
+    read: Boolean(row.read),
+    type: row.type || 'drop',
+    message: row.message || null,
+    commentId: row.comment_id || null,
+  };
+}
+
+// A block in either direction stops two users from interacting.
+async function isBlockedBetween(userId, otherId) {
+  const row = await db.get(
+    `SELECT 1 FROM blocks
+     WHERE (blocker_id = $userId AND blocked_id = $otherId) OR (blocker_id = $otherId AND blocked_id = $userId)`,
+    { $userId: userId, $otherId: otherId }
+  );
+  return Boolean(row);
+}
+
+async function createInboxEntry({
+  recipientId,
+  senderId,
+  postId = null,
+  commentId = null,
+  type = 'drop',
+  message = null,
+  createdAt = Date.now(),
+}) {
+  if (!(await notifications.isNotificationEnabled(db, recipientId, type))) return null;
+  // Messages from muted users are still stored, but arrive already read and without a live push.
+  const muted =
+    senderId !== recipientId &&
+    (await db.get('SELECT 1 FROM mutes WHERE muter_id = ? AND muted_id = ?', recipientId, senderId));
+  const row = {
+    id: createId(),
+    recipient_id: recipientId,
+    post_id: postId,
+    sender_id: senderId,
+    created_at: createdAt,
+    read: muted ? 1 : 0,
+    type,
+    message,
+    comment_id: commentId,
+  };
   await db.run(
-    `INSERT INTO inbox_messages (id, recipient_id, post_id, sender_id, created_at, read, type, message)
-     VALUES (?, ?, ?, ?, ?, 0, ?, ?)`,
-    [createId(), recipientId, postId, senderId, createdAt, type, message]
+    `INSERT INTO inbox_messages (id, recipient_id, post_id, sender_id, created_at, read, type, message, comment_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [row.id, recipientId, postId, senderId, createdAt, row.read, type, message, commentId]
+  );
+  if (muted) return row;
+  // Ship the referenced post along with the message so the client can render it without a refetch.
+  const postRow = postId ? await getVisiblePost(postId, recipientId) : null;
+  const [post] = postRow ? await loadPostDetails([postRow]) : [];
+  realtime.publish([recipientId], 'inbox', { message: mapInboxRow(row), post: post || null });
+  // Push delivery talks to outside services, so it must not hold up the request.
+  pushInboxMessage(row).catch((error) => console.warn('Failed to send push notification', error));
+  return row;
+}
+
+const PUSH_TITLES = {
+  drop: (name) => `${name} dropped you a Kandid`,
+  bekandid_drop: (name) => `${name} captured you candidly`,
+  consent_request: (name) => `${name} wants to share a Kandid of you`,
+  consent_result: (name) => `${name} reviewed your Kandid`,
+  follow: (name) => `${name} started following you`,
+  mention: (name) => `${name} mentioned you in a comment`,
+  like: (name) => `${name} liked your drop`,
+  comment: (name) => `${name} commented on your drop`,
+  repost: (name) => `${name} reposted your drop`,
+  contest_captured: (name) => `${name} captured you!`,
+  contest_disputed: (name) => `${name} disputed your capture`,
+  contest_review: () => 'A disputed capture was reviewed',
+  contest_result: () => 'Contest results are in',
+};
+
+async function pushInboxMessage(row) {
+  const sender = await db.get('SELECT display_name FROM users WHERE id = ?', row.sender_id);
+  const describe = PUSH_TITLES[row.type];
+  await push.sendToUser(db, pushSender, row.recipient_id, {
+    title: describe ? describe(sender?.display_name || 'Someone') : 'Kandid',
+    body: row.message || '',
+    // Repeats for the same post and type replace each other instead of stacking.
+    tag: row.post_id ? `${row.type}:${row.post_id}` : row.id,
+    view: 'inbox',
+    messageId: row.id,
+  });
+}
+
+async function publishInboxUpdate(messageId) {
+  const row = await db.get('SELECT * FROM inbox_messages WHERE id = ?', messageId);
+  if (!row) return;
+  const actors = await db.all(
+    'SELECT actor_id FROM inbox_message_actors WHERE message_id = ? ORDER BY created_at DESC',
+    messageId
+  );
+  const actorIds = actors.map((actor) => actor.actor_id);
+  realtime.publish([row.recipient_id], 'inbox_updated', { message: mapInboxRow(row, actorIds) });
+}
+
+// Likes, comments and reposts on a post fold into a single unread inbox item per
+// type ("Mina and 3 others liked your drop"). Once it is read, the next one starts
+// a fresh item. Both the photographer and the person in the photo are told.
+async function notifyPostActivity(postRow, actorId, type, now = Date.now()) {
+  const recipients = [...new Set([postRow.author_id, postRow.recipient_id])].filter((id) => id && id !== actorId);
+  for (const recipientId of recipients) {
+    if (!(await notifications.isNotificationEnabled(db, recipientId, type))) continue;
+    if (await isBlockedBetween(actorId, recipientId)) continue;
+    const muted = await db.get('SELECT 1 FROM mutes WHERE muter_id = ? AND muted_id = ?', recipientId, actorId);
+    // Activity from a muted user folds into the latest read item for the post
+    // and leaves it read, so it neither surfaces nor piles up new rows.
+    const existing = await db.get(
+      `SELECT id FROM inbox_messages WHERE recipient_id = ? AND post_id = ? AND type = ? AND read = ?
+       ORDER BY created_at DESC LIMIT 1`,
+      recipientId,
+      postRow.id,
+      type,
+      muted ? 1 : 0
+    );
+    if (existing && muted) {
+      await db.run(
+        `INSERT INTO inbox_message_actors (message_id, actor_id, created_at) VALUES (?, ?, ?)
+         ON CONFLICT (message_id, actor_id) DO UPDATE SET created_at = excluded.created_at`,
+        [existing.id, actorId, now]
+      );
+      continue;
+    }
+    if (existing) {
+      await db.run(
+        `INSERT INTO inbox_message_actors (message_id, actor_id, created_at) VALUES (?, ?, ?)
+         ON CONFLICT (message_id, actor_id) DO UPDATE SET created_at = excluded.created_at`,
+        [existing.id, actorId, now]
+      );
+      await db.run('UPDATE inbox_messages SET sender_id = ?, created_at = ? WHERE id = ?', [actorId, now, existing.id]);
+      await publishInboxUpdate(existing.id);
+      continue;
+    }
+    const row = await createInboxEntry({ recipientId, senderId: actorId, postId: postRow.id, type, createdAt: now });
+    await db.run('INSERT INTO inbox_message_actors (message_id, actor_id, created_at) VALUES (?, ?, ?)', [
+      row.id,
+      actorId,
+      now,
+    ]);
+  }
+}
+
+// Undoing a like or repost takes the actor back out of any unread item, and
+// drops the item once nobody is left in it.
+async function retractPostActivity(postRow, actorId, type) {
+  const rows = await db.all(
+    `SELECT m.id, m.recipient_id FROM inbox_messages m
+     JOIN inbox_message_actors a ON a.message_id = m.id
+     WHERE m.post_id = ? AND m.type = ? AND m.read = 0 AND a.actor_id = ?`,
+    postRow.id,
+    type,
+    actorId
   );
+  for (const row of rows) {
+    await db.run('DELETE FROM inbox_message_actors WHERE message_id = ? AND actor_id = ?', row.id, actorId);
+    const latest = await db.get(
+      'SELECT actor_id, created_at FROM inbox_message_actors WHERE message_id = ? ORDER BY created_at DESC LIMIT 1',
+      row.id
+    );
+    if (!latest) {
+      await db.run('DELETE FROM inbox_messages WHERE id = ?', row.id);
+      realtime.publish([row.recipient_id], 'inbox_removed', { messageId: row.id });
+      continue;
+    }
+    await db.run('UPDATE inbox_messages SET sender_id = ?, created_at = ? WHERE id = ?', [
+      latest.actor_id,
+      latest.created_at,
+      row.id,
+    ]);
+    await publishInboxUpdate(row.id);
+  }
+}
+
+// Public posts are visible to everyone; private drops only to their author and recipient.
+function publishPostEvent(postRow, event, data, actorId) {
+  if (postRow.visibility === 'public') {
+    realtime.broadcast(event, data, { except: actorId });
+  } else {
+    const audience = [postRow.author_id, postRow.recipient_id].filter((id) => id && id !== actorId);
+    realtime.publish(audience, event, data);
+  }
 }
 
 async function handleContestLocationUpdate(userId, lat, lng) {
-  const contest = await ensureActiveContest();
+  const activeContests = await ensureActiveContests();
+  const contest = await pickActiveContest(userId, activeContests);
   if (!contest) return;
+  const rules = contest.config;
   const assignment = await db.get(
     'SELECT * FROM contest_assignments WHERE contest_id = ? AND user_id = ?',
     contest.id,
@@ -179,11 +585,12 @@ async function handleContestLocationUpdate(userId, lat, lng) {
   const now = Date.now();
   await db.run(
     `UPDATE contest_assignments
-       SET last_location_lat = ?, last_location_lng = ?, last_move_at = COALESCE(last_move_at, ?)
+       SET last_location_lat = ?, last_location_lng = ?, last_location_at = ?, last_move_at = COALESCE(last_move_at, ?)
      WHERE contest_id = ? AND user_id = ?`,
     lat,
     lng,
     now,
+    now,
     contest.id,
     userId
   );
@@ -193,7 +600,7 @@ async function handleContestLocationUpdate(userId, lat, lng) {
     const previousLng = assignment.last_location_lng;
     const previousMove = assignment.last_move_at || now;
     const movedDistance = distanceKm(previousLat, previousLng, lat, lng);
-    if (movedDistance > CONTEST_CAMPING_DISTANCE_KM) {
+    if (movedDistance > rules.campingDistanceKm) {
       await db.run(
         `UPDATE contest_assignments
            SET camping_violation = 0, last_move_at = ?
@@ -202,7 +609,7 @@ async function handleContestLocationUpdate(userId, lat, lng) {
         contest.id,
         userId
       );
-    } else if (now - previousMove > CONTEST_CAMPING_THRESHOLD_MS) {
+    } else if (now - previousMove > rules.campingThresholdMs) {
       await db.run(
         `UPDATE contest_assignments SET camping_violation = 1 WHERE contest_id = ? AND user_id = ?`,
         contest.id,
@@ -222,16 +629,22 @@ async function handleContestLocationUpdate(userId, lat, lng) {
   if (assignment.role !== 'hunter') return;
 
   const ghosts = await db.all(
-    `SELECT ca.user_id, u.display_name, u.location_lat, u.location_lng
+    `SELECT ca.user_id, u.id, u.home_city, u.display_name, u.location_lat, u.location_lng
      FROM contest_assignments ca
      JOIN users u ON ca.user_id = u.id
-     WHERE ca.contest_id = ? AND ca.role = 'ghost' AND ca.survival_flag = 1`,
-    contest.id
+     WHERE ca.contest_id = $contestId AND ca.role = 'ghost' AND ca.survival_flag = 1
+       AND NOT EXISTS (
+         SELECT 1 FROM blocks
+         WHERE (blocker_id = $userId AND blocked_id = ca.user_id) OR (blocker_id = ca.user_id AND blocked_id = $userId)
+       )`,
+    { $contestId: contest.id, $userId: userId }
   );
 
   for (const ghost of ghosts) {
+    // Ghosts away in another contest (a city event, say) are not in play here.
+    if (contestConfig.pickContestFor(ghost, activeContests)?.id !== contest.id) continue;
     const distance = distanceKm(lat, lng, ghost.location_lat, ghost.location_lng);
-    if (distance <= CONTEST_PROXIMITY_KM) {
+    if (distance <= rules.proximityKm) {
       const recentAlert = await db.get(
         `SELECT id, created_at FROM inbox_messages
          WHERE recipient_id = ? AND sender_id = ? AND type = 'contest_alert'
@@ -239,7 +652,7 @@ async function handleContestLocationUpdate(userId, lat, lng) {
         userId,
         ghost.user_id
       );
-      if (!recentAlert || now - recentAlert.created_at > CONTEST_ALERT_COOLDOWN_MS) {
+      if (!recentAlert || now - recentAlert.created_at > rules.alertCooldownMs) {
         await createInboxEntry({
           recipientId: userId,
           senderId: ghost.user_id,
@@ -252,11 +665,16 @@ async function handleContestLocationUpdate(userId, lat, lng) {
   }
 }
 
-async function handleContestCapture({ hunterId, ghostId, postId, challenge }) {
-  const contest = await ensureActiveContest();
-  if (!contest) return;
+// Checked before the drop is stored. A capture only counts if the hunter and
+// the ghost both shared locations within range of each other in the last few
+// minutes, and every photo in it was just taken with the app's camera.
+async function verifyContestCapture({ hunterId, ghostId, challenge, mediaIds }) {
+  const activeContests = await ensureActiveContests();
+  const contest = await pickActiveContest(hunterId, activeContests);
+  if (!contest) return null;
+  const rules = contest.config;
   if (contest.challenge !== challenge) {
-    const err = new Error('This capture does not match the weekly contest challenge.');
+    const err = new Error("This capture does not match the contest's challenge.");
     err.statusCode = 400;
     throw err;
   }
@@ -269,33 +687,111 @@ async function handleContestCapture({ hunterId, ghostId, postId, challenge }) {
     err.statusCode = 400;
     throw err;
   }
-  if (!ghostAssignment || ghostAssignment.role !== 'ghost') {
+  const ghostContest = await pickActiveContest(ghostId, activeContests);
+  if (!ghostAssignment || ghostAssignment.role !== 'ghost' || ghostContest?.id !== contest.id) {
     const err = new Error('Target is not an active ghost.');
     err.statusCode = 400;
     throw err;
   }
-  const now = Date.now();
-  await db.run(
-    `INSERT INTO contest_captures (id, contest_id, hunter_id, ghost_id, post_id, challenge, created_at)
-     VALUES (?, ?, ?, ?, ?, ?, ?)`,
-    [createId(), contest.id, hunterId, ghostId, postId, challenge, now]
-  );
-  await db.run(
-    `UPDATE contest_assignments SET captures = captures + 1 WHERE contest_id = ? AND user_id = ?`,
+  const existing = await db.get(
+    `SELECT id FROM contest_captures WHERE contest_id = ? AND ghost_id = ? AND status != 'voided'`,
     contest.id,
-    hunterId
+    ghostId
+  );
+  if (existing) {
+    const err = new Error('This ghost has already been captured.');
+    err.statusCode = 409;
+    throw err;
+  }
+
+  const since = Date.now() - rules.captureWindowMs;
+  const windowMinutes = Math.round(rules.captureWindowMs / 60000);
+  if (!hunterAssignment.last_location_at || hunterAssignment.last_location_at < since) {
+    const err = new Error('Share your location so the capture can be checked against where the ghost is.');
+    err.statusCode = 400;
+    throw err;
+  }
+  const ghostNearby =
+    ghostAssignment.last_location_at >= since &&
+    distanceKm(
+      hunterAssignment.last_location_lat,
+      hunterAssignment.last_location_lng,
+      ghostAssignment.last_location_lat,
+      ghostAssignment.last_location_lng
+    ) <= rules.proximityKm;
+  if (!ghostNearby) {
+    const err = new Error(
+      `You need to have been within ${Math.round(rules.proximityKm * 1000)} meters of this ghost in the last ${windowMinutes} minutes.`
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+  // The shutter time comes from the hunter's device, so a modified client can
+  // pass off any photo as fresh; the server only guarantees that the bytes
+  // reached it inside the window (created_at is set on first upload, and an
+  // identical re-upload returns that first row) and were never used before.
+  const placeholders = mediaIds.map(() => '?').join(', ');
+  const staleMedia = await db.get(
+    `SELECT id FROM media
+     WHERE id IN (${placeholders})
+       AND (camera_captured_at IS NULL OR camera_captured_at < ? OR created_at < ?)`,
+    [...mediaIds, since, since]
   );
+  if (staleMedia) {
+    const err = new Error(
+      `Contest captures must be taken with the Kandid camera in the last ${windowMinutes} minutes, not picked from your device.`
+    );
+    err.statusCode = 400;
+    throw err;
+  }
+  const reusedMedia = await db.get(
+    `SELECT 1 FROM contest_captures c
+     JOIN posts p ON p.id = c.post_id
+     WHERE p.media_id IN (${placeholders})
+        OR p.id IN (SELECT post_id FROM post_media WHERE media_id IN (${placeholders}))
+     LIMIT 1`,
+    [...mediaIds, ...mediaIds]
+  );
+  if (reusedMedia) {
+    const err = new Error('This photo was already used for a contest capture.');
+    err.statusCode = 409;
+    throw err;
+  }
+  return contest;
+}
+
+// New captures wait for the ghost: they can accept one, or dispute it within
+// CONTEST_DISPUTE_WINDOW_MS to have a moderator review it. A capture whose
+// photo does not match the ghost's reference selfies goes straight to review
+// as if the ghost had disputed it. Only a confirmed capture scores for the
+// hunter and takes the ghost out.
+async function recordContestCapture({ contest, hunterId, ghostId, postId, challenge, matchScore = null }) {
+  const now = Date.now();
+  const captureId = createId();
+  const flagged = faces.isFaceMismatch(matchScore);
   await db.run(
-    `UPDATE contest_assignments SET survival_flag = 0 WHERE contest_id = ? AND user_id = ?`,
-    contest.id,
-    ghostId
+    `INSERT INTO contest_captures
+       (id, contest_id, hunter_id, ghost_id, post_id, challenge, created_at, match_score, status)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [captureId, contest.id, hunterId, ghostId, postId, challenge, now, matchScore, flagged ? 'disputed' : 'pending']
   );
+  if (flagged) {
+    await moderation.createCaptureDispute(db, {
+      ghostId,
+      captureId,
+      reason: `Flagged automatically: the photo does not match the ghost's reference selfies (face match ${Math.round(matchScore * 100)}%).`,
+      now,
+    });
+  }
+  const disputeHours = CONTEST_DISPUTE_WINDOW_MS / (60 * 60 * 1000);
   await createInboxEntry({
     recipientId: hunterId,
     senderId: ghostId,
     postId,
     type: 'contest_capture',
-    message: 'Capture logged! Score updated.',
+    message: flagged
+      ? 'Capture logged, but the photo does not look like the ghost. A moderator will review it before it counts.'
+      : `Capture logged! It counts once the ghost accepts it or ${disputeHours} hours pass without a dispute.`,
     createdAt: now,
   });
   await createInboxEntry({
@@ -303,66 +799,325 @@ async function handleContestCapture({ hunterId, ghostId, postId, challenge }) {
     senderId: hunterId,
     postId,
     type: 'contest_captured',
-    message: 'You were captured! Better luck next week.',
+    message: flagged
+      ? 'You were captured, but the photo does not look like you, so a moderator will review it before it counts.'
+      : `You were captured! Accept it, or dispute it within ${disputeHours} hours if it was not a fair catch.`,
+    createdAt: now,
+  });
+}
+
+async function confirmContestCapture(capture, now = Date.now()) {
+  const result = await db.run(
+    `UPDATE contest_captures SET status = 'confirmed', confirmed_at = ?
+     WHERE id = ? AND status IN ('pending', 'disputed')`,
+    now,
+    capture.id
+  );
+  if (!result.changes) return;
+  await db.run(
+    `UPDATE contest_assignments SET captures = captures + 1 WHERE contest_id = ? AND user_id = ?`,
+    capture.contest_id,
+    capture.hunter_id
+  );
+  await db.run(
+    `UPDATE contest_assignments SET survival_flag = 0 WHERE contest_id = ? AND user_id = ?`,
+    capture.contest_id,
+    capture.ghost_id
+  );
+  await createInboxEntry({
+    recipientId: capture.hunter_id,
+    senderId: capture.ghost_id,
+    postId: capture.post_id,
+    type: 'contest_capture',
+    message: 'Capture confirmed! Score updated.',
     createdAt: now,
   });
+  realtime.broadcast('contest_capture', {
+    contestId: capture.contest_id,
+    capture: mapContestCapture({ ...capture, status: 'confirmed', confirmed_at: now }),
+  });
+}
+
+async function confirmDueContestCaptures(now = Date.now()) {
+  const due = await db.all(
+    `SELECT * FROM contest_captures WHERE status = 'pending' AND created_at <= ?`,
+    now - CONTEST_DISPUTE_WINDOW_MS
+  );
+  for (const capture of due) {
+    await confirmContestCapture(capture, now);
+  }
+}
+
+async function settleDisputedCapture(capture, voided) {
+  if (capture.status !== 'disputed') return;
+  if (voided) {
+    await db.run(`UPDATE contest_captures SET status = 'voided' WHERE id = ?`, capture.id);
+  } else {
+    await confirmContestCapture(capture);
+  }
+  await createInboxEntry({
+    recipientId: capture.ghost_id,
+    senderId: capture.hunter_id,
+    postId: capture.post_id,
+    type: 'contest_review',
+    message: voided
+      ? 'Your dispute was upheld and the capture was voided. You are still in the game.'
+      : 'A moderator reviewed your dispute and the capture stands.',
+  });
+  if (voided) {
+    await createInboxEntry({
+      recipientId: capture.hunter_id,
+      senderId: capture.ghost_id,
+      postId: capture.post_id,
+      type: 'contest_review',
+      message: 'A moderator voided your disputed capture. It does not count.',
+    });
+  }
+}
+
+function mapContestCapture(row) {
+  return {
+    id: row.id,
+    hunterId: row.hunter_id,
+    ghostId: row.ghost_id,
+    postId: row.post_id,
+    createdAt: row.created_at,
+    challenge: row.challenge,
+    status: row.status,
+    confirmedAt: row.confirmed_at || null,
+    matchScore: row.match_score ?? null,
+    faceMismatch: faces.isFaceMismatch(row.match_score),
+  };
+}
+
+// Deleting the photo of a capture also voids the capture, so the hunter's
+// score and the ghost's survival are rolled back. While the round is open only
+// the hunter can do that; see assertNotOpenCaptureOf.
+async function voidContestCapture(postId) {
+  const capture = await db.get('SELECT * FROM contest_captures WHERE post_id = ?', postId);
+  if (!capture) return;
+  await db.run('DELETE FROM contest_captures WHERE id = ?', capture.id);
+  if (capture.status !== 'confirmed') return;
+  await db.run(
+    `UPDATE contest_assignments SET captures = MAX(captures - 1, 0) WHERE contest_id = ? AND user_id = ?`,
+    capture.contest_id,
+    capture.hunter_id
+  );
+  const remaining = await db.get(
+    `SELECT id FROM contest_captures WHERE contest_id = ? AND ghost_id = ? AND status = 'confirmed'`,
+    capture.contest_id,
+    capture.ghost_id
+  );
+  if (!remaining) {
+    await db.run(
+      `UPDATE contest_assignments SET survival_flag = 1 WHERE contest_id = ? AND user_id = ?`,
+      capture.contest_id,
+      capture.ghost_id
+    );
+  }
+}
+
+// The ghost in a capture cannot make it go away by deleting or declining the
+// drop. They dispute it instead, and get the usual choices once the round has
+// been settled or the capture voided.
+async function assertNotOpenCaptureOf(postRow, userId) {
+  if (postRow.author_id === userId || postRow.recipient_id !== userId) return;
+  const capture = await db.get(
+    `SELECT c.id FROM contest_captures c
+     JOIN contest_weeks w ON w.id = c.contest_id
+     WHERE c.post_id = ? AND c.status != 'voided' AND w.settled_at IS NULL`,
+    postRow.id
+  );
+  if (capture) {
+    const err = new Error('This drop is a contest capture of you. Dispute the capture from your inbox instead of deleting it.');
+    err.statusCode = 409;
+    throw err;
+  }
+}
+
+async function insertPostAlbum(postId, mediaIds) {
+  for (const [position, mediaId] of mediaIds.entries()) {
+    await db.run('INSERT INTO post_media (post_id, media_id, position) VALUES (?, ?, ?)', postId, mediaId, position);
+  }
+}
+
+function repostCaption(caption) {
+  return caption ? `Repost · ${caption}` : 'Reposted a candid moment';
+}
+
+// Removes a post everywhere it shows up: reposts of it, inbox items (through
+// the foreign key), the contest capture it counted as, and its photo once
+// nothing else uses it.
+async function deletePost(postRow, actorId) {
+  const reposts = await db.all('SELECT id FROM posts WHERE original_post_id = ?', postRow.id);
+  const albumRows = await db.all('SELECT media_id FROM post_media WHERE post_id = ?', postRow.id);
+  await voidContestCapture(postRow.id);
+  await db.run('DELETE FROM posts WHERE original_post_id = ?', postRow.id);
+  await db.run('DELETE FROM posts WHERE id = ?', postRow.id);
+  if (!postRow.original_post_id) {
+    const mediaIds = new Set([postRow.media_id, ...albumRows.map((row) => row.media_id)]);
+    for (const mediaId of mediaIds) {
+      await deleteMediaIfUnused(db, MEDIA_DIR, mediaId);
+    }
+  }
+  publishPostEvent(postRow, 'post_removed', { postIds: [postRow.id, ...reposts.map((row) => row.id)] }, actorId);
+}
+
+// Sends the edited post to everyone who can still see it, and tells everyone
+// else to drop it in case it just stopped being public.
+async function publishPostUpdate(postRow, actorId) {
+  const [post] = await loadPostDetails([postRow]);
+  if (postRow.visibility === 'public') {
+    realtime.broadcast('post_updated', { post }, { except: actorId });
+    return;
+  }
+  const audience = [postRow.author_id, postRow.recipient_id].filter(Boolean);
+  realtime.broadcast('post_removed', { postIds: [postRow.id] }, { except: audience });
+  realtime.publish(audience.filter((id) => id !== actorId), 'post_updated', { post });
+}
+
+// Access tokens are short-lived JWTs, but each one is also tied to a session
+// row so that logging out revokes it immediately rather than at expiry.
+async function verifyAccessToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  const session = await sessions.getActiveSession(db, decoded.sessionId);
+  if (!session || session.user_id !== decoded.userId) return null;
+  return { userId: decoded.userId, sessionId: session.id };
 }
 
-function requireAuth(req, res, next) {
+function getBearerToken(req) {
   const header = req.headers.authorization || '';
-  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+async function requireAuth(req, res, next) {
+  const token = getBearerToken(req);
   if (!token) {
     return res.status(401).json({ error: 'Missing authorization token.' });
   }
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.userId = decoded.userId;
+    const auth = await verifyAccessToken(token);
+    if (!auth) {
+      return res.status(401).json({ error: 'Invalid or expired token.' });
+    }
+    req.userId = auth.userId;
+    req.sessionId = auth.sessionId;
     next();
   } catch (error) {
-    return res.status(401).json({ error: 'Invalid or expired token.' });
+    next(error);
   }
 }
 
-async function buildState() {
-  const contest = await ensureActiveContest();
-  const [userRows, followRows, postRows, likeRows, commentRows, inboxRows, assignmentRows, captureRows] = await Promise.all([
-    db.all('SELECT * FROM users'),
-    db.all('SELECT * FROM follows'),
-    db.all('SELECT * FROM posts'),
-    db.all('SELECT * FROM likes'),
-    db.all('SELECT * FROM comments'),
-    db.all('SELECT * FROM inbox_messages'),
-    db.all('SELECT * FROM contest_assignments WHERE contest_id = ?', contest?.id || ''),
-    db.all('SELECT * FROM contest_captures WHERE contest_id = ?', contest?.id || ''),
-  ]);
+// Runs after requireAuth on the moderation routes.
+async function requireAdmin(req, res, next) {
+  try {
+    const row = await db.get('SELECT role FROM users WHERE id = ?', req.userId);
+    if (row?.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can do that.' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
 
-  const followersMap = new Map();
-  const followingMap = new Map();
-  followRows.forEach((row) => {
-    if (!followersMap.has(row.following_id)) followersMap.set(row.following_id, []);
-    if (!followingMap.has(row.follower_id)) followingMap.set(row.follower_id, []);
-    followersMap.get(row.following_id).push(row.follower_id);
-    followingMap.get(row.follower_id).push(row.following_id);
-  });
+const SUSPENDED_USERS_SQL = 'SELECT id FROM users WHERE suspended_at IS NOT NULL';
 
-  const users = userRows
-    .map((row) => {
-      const user = mapUserRow(row);
-      user.followers = followersMap.get(user.id) || [];
-      user.following = followingMap.get(user.id) || [];
-      return user;
-    })
-    .sort((a, b) => a.displayName.localeCompare(b.displayName));
+// Posts a viewer may see: everything public plus private drops they sent or
+// received, minus anything a moderator hid or posted by a suspended account.
+const VISIBLE_POSTS_SQL = `SELECT id FROM posts
+  WHERE (visibility = 'public' OR author_id = $viewerId OR recipient_id = $viewerId)
+    AND hidden_at IS NULL AND author_id NOT IN (${SUSPENDED_USERS_SQL})`;
 
+const ALBUM_MEDIA_SQL = 'SELECT m.*, pm.post_id, pm.position FROM post_media pm JOIN media m ON m.id = pm.media_id';
+
+async function getVisiblePost(postId, viewerId) {
+  return db.get(
+    `SELECT * FROM posts WHERE id = $postId AND id IN (${VISIBLE_POSTS_SQL})`,
+    { $postId: postId, $viewerId: viewerId }
+  );
+}
+
+// "@Display Name" mentions are matched against current display names, longest
+// first, so "@Mina Patel" is not read as a mention of someone called "Mina".
+async function findMentionedUserIds(text) {
+  if (!text.includes('@')) return [];
+  const rows = await db.all('SELECT id, display_name FROM users WHERE suspended_at IS NULL');
+  const names = rows
+    .map((row) => ({ id: row.id, name: row.display_name.toLowerCase() }))
+    .sort((a, b) => b.name.length - a.name.length);
+  const lowered = text.toLowerCase();
+  const mentioned = new Set();
+  for (let index = lowered.indexOf('@'); index !== -1; index = lowered.indexOf('@', index + 1)) {
+    const rest = lowered.slice(index + 1);
+    const match = names.find(({ name }) => rest.startsWith(name) && !/[\p{L}\p{N}_]/u.test(rest.charAt(name.length)));
+    if (match) mentioned.add(match.id);
+  }
+  return [...mentioned];
+}
+
+// Sends a `mention` inbox item to everyone tagged in a comment who can see the
+// post. Edits only notify people who were not already mentioned.
+async function notifyMentions(post, commentId, authorId, text) {
+  const mentionedIds = await findMentionedUserIds(text);
+  for (const userId of mentionedIds) {
+    if (userId === authorId) continue;
+    const alreadyNotified = await db.get(
+      `SELECT 1 FROM inbox_messages WHERE comment_id = ? AND recipient_id = ? AND type = 'mention'`,
+      commentId,
+      userId
+    );
+    if (alreadyNotified || (await isBlockedBetween(authorId, userId))) continue;
+    if (!(await getVisiblePost(post.id, userId))) continue;
+    await createInboxEntry({
+      recipientId: userId,
+      senderId: authorId,
+      postId: post.id,
+      commentId,
+      type: 'mention',
+      message: text.length > 140 ? `${text.slice(0, 139)}…` : text,
+    });
+  }
+}
+
+// `image`/`images` always describe the first photo (a clip's poster frame) so
+// single-photo clients keep working; `media` lists the whole album in order.
+// Posts from before albums have no post_media rows and get a one-photo album
+// from their media_id.
+function mapPostRows(postRows, likeRows, commentRows, repostRows, commentLikeRows = [], albumRows = []) {
+  const albums = new Map();
+  albumRows.forEach((row) => {
+    if (!albums.has(row.post_id)) albums.set(row.post_id, []);
+    albums.get(row.post_id).push(row);
+  });
   const postsById = new Map();
   const posts = postRows.map((row) => {
+    const album = (albums.get(row.id) || []).sort((a, b) => a.position - b.position);
+    const media = album.length
+      ? album.map(mapAlbumItem)
+      : [
+          {
+            id: row.media_id,
+            type: 'image',
+            images: row.media_id ? mediaUrls(row.media_id) : { small: row.image, medium: row.image, full: row.image },
+          },
+        ];
     const post = {
       id: row.id,
       authorId: row.author_id,
       recipientId: row.recipient_id,
-      image: row.image,
+      image: media[0].images.full,
+      images: media[0].images,
+      mediaId: row.media_id,
+      media,
       caption: row.caption,
       createdAt: row.created_at,
+      editedAt: row.edited_at || null,
       visibility: row.visibility,
       originalPostId: row.original_post_id,
       likes: [],
@@ -380,14 +1135,23 @@ async function buildState() {
     }
   });
 
+  const commentLikes = new Map();
+  commentLikeRows.forEach((row) => {
+    if (!commentLikes.has(row.comment_id)) commentLikes.set(row.comment_id, []);
+    commentLikes.get(row.comment_id).push(row.user_id);
+  });
+
   commentRows.forEach((row) => {
     const post = postsById.get(row.post_id);
     if (post) {
       post.comments.push({
         id: row.id,
         authorId: row.author_id,
+        parentCommentId: row.parent_comment_id || null,
         text: row.text,
         createdAt: row.created_at,
+        editedAt: row.edited_at || null,
+        likes: commentLikes.get(row.id) || [],
       });
     }
   });
@@ -396,56 +1160,173 @@ async function buildState() {
     post.comments.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
   });
 
-  posts
-    .filter((post) => post.originalPostId)
-    .forEach((post) => {
-      const original = postsById.get(post.originalPostId);
+  repostRows
+    .filter((row) => row.original_post_id)
+    .forEach((row) => {
+      const original = postsById.get(row.original_post_id);
       if (original) {
-        original.reposts.push(post.authorId);
+        original.reposts.push(row.author_id);
       }
     });
 
-  const inbox = {};
-  inboxRows.forEach((row) => {
-    if (!inbox[row.recipient_id]) inbox[row.recipient_id] = [];
-    inbox[row.recipient_id].push({
-      id: row.id,
-      postId: row.post_id || null,
-      senderId: row.sender_id,
-      createdAt: row.created_at,
-      read: Boolean(row.read),
-      type: row.type || 'drop',
-      message: row.message || null,
-    });
-  });
-
-  Object.values(inbox).forEach((messages) => {
-    messages.sort((a, b) => b.createdAt - a.createdAt);
-  });
+  return posts;
+}
 
-  const assignmentsByUser = new Map();
-  assignmentRows.forEach((row) => {
-    assignmentsByUser.set(row.user_id, {
-      contestId: row.contest_id,
-      role: row.role,
-      captures: row.captures,
-      survivalFlag: Boolean(row.survival_flag),
-      campingViolation: Boolean(row.camping_violation),
-      lastMoveAt: row.last_move_at,
-    });
-  });
+async function loadPostDetails(postRows) {
+  if (!postRows.length) return [];
+  const ids = postRows.map((row) => row.id);
+  const placeholders = ids.map(() => '?').join(',');
+  const [likeRows, commentRows, repostRows, commentLikeRows, albumRows] = await Promise.all([
+    db.all(`SELECT * FROM likes WHERE post_id IN (${placeholders})`, ids),
+    db.all(
+      `SELECT * FROM comments WHERE post_id IN (${placeholders}) AND author_id NOT IN (${SUSPENDED_USERS_SQL})`,
+      ids
+    ),
+    db.all(`SELECT original_post_id, author_id FROM posts WHERE original_post_id IN (${placeholders})`, ids),
+    db.all(
+      `SELECT cl.* FROM comment_likes cl JOIN comments c ON c.id = cl.comment_id WHERE c.post_id IN (${placeholders})`,
+      ids
+    ),
+    db.all(`${ALBUM_MEDIA_SQL} WHERE pm.post_id IN (${placeholders})`, ids),
+  ]);
+  return mapPostRows(postRows, likeRows, commentRows, repostRows, commentLikeRows, albumRows);
+}
 
-  users.forEach((user) => {
-    const assignment = assignmentsByUser.get(user.id);
-    user.contestRole = assignment ? assignment.role : null;
-    user.contestStats = assignment
-      ? {
-          captures: assignment.captures,
-          survivor: assignment.survivalFlag,
-          campingViolation: assignment.campingViolation,
-        }
-      : null;
-  });
+function encodeFeedCursor(row) {
+  return Buffer.from(`${row.created_at}:${row.id}`).toString('base64url');
+}
+
+function decodeFeedCursor(cursor) {
+  const decoded = Buffer.from(String(cursor), 'base64url').toString('utf8');
+  const separator = decoded.indexOf(':');
+  const createdAt = Number(decoded.slice(0, separator));
+  const id = decoded.slice(separator + 1);
+  if (separator < 1 || !Number.isFinite(createdAt) || !id) {
+    return null;
+  }
+  return { createdAt, id };
+}
+
+async function buildState(viewerId) {
+  const contest = await ensureActiveContest(viewerId);
+  const visibility = { $viewerId: viewerId };
+  const [
+    userRows,
+    followRows,
+    blockRows,
+    muteRows,
+    postRows,
+    likeRows,
+    commentRows,
+    commentLikeRows,
+    albumRows,
+    inboxRows,
+    inboxActorRows,
+    notificationPreferences,
+    assignmentRows,
+    captureRows,
+    faceReferences,
+    badgesByUser,
+  ] = await Promise.all([
+    db.all('SELECT * FROM users WHERE suspended_at IS NULL'),
+    db.all('SELECT * FROM follows'),
+    db.all('SELECT * FROM blocks WHERE blocker_id = $viewerId OR blocked_id = $viewerId', visibility),
+    db.all('SELECT muted_id FROM mutes WHERE muter_id = ?', viewerId),
+    db.all(`SELECT * FROM posts WHERE id IN (${VISIBLE_POSTS_SQL})`, visibility),
+    db.all(`SELECT * FROM likes WHERE post_id IN (${VISIBLE_POSTS_SQL})`, visibility),
+    db.all(
+      `SELECT * FROM comments WHERE post_id IN (${VISIBLE_POSTS_SQL}) AND author_id NOT IN (${SUSPENDED_USERS_SQL})`,
+      visibility
+    ),
+    db.all(
+      `SELECT cl.* FROM comment_likes cl JOIN comments c ON c.id = cl.comment_id
+       WHERE c.post_id IN (${VISIBLE_POSTS_SQL})`,
+      visibility
+    ),
+    db.all(`${ALBUM_MEDIA_SQL} WHERE pm.post_id IN (${VISIBLE_POSTS_SQL})`, visibility),
+    db.all('SELECT * FROM inbox_messages WHERE recipient_id = ?', viewerId),
+    db.all(
+      `SELECT a.message_id, a.actor_id FROM inbox_message_actors a
+       JOIN inbox_messages m ON m.id = a.message_id
+       WHERE m.recipient_id = ? ORDER BY a.created_at DESC`,
+      viewerId
+    ),
+    notifications.getNotificationPreferences(db, viewerId),
+    db.all('SELECT * FROM contest_assignments WHERE contest_id = ?', contest?.id || ''),
+    db.all('SELECT * FROM contest_captures WHERE contest_id = ?', contest?.id || ''),
+    faces.listFaceReferences(db, viewerId),
+    contests.listUserBadges(db),
+  ]);
+
+  const followersMap = new Map();
+  const followingMap = new Map();
+  followRows.forEach((row) => {
+    if (!followersMap.has(row.following_id)) followersMap.set(row.following_id, []);
+    if (!followingMap.has(row.follower_id)) followingMap.set(row.follower_id, []);
+    followersMap.get(row.following_id).push(row.follower_id);
+    followingMap.get(row.follower_id).push(row.following_id);
+  });
+
+  const blockedIds = new Set(blockRows.filter((row) => row.blocker_id === viewerId).map((row) => row.blocked_id));
+  const blockedByIds = new Set(blockRows.filter((row) => row.blocked_id === viewerId).map((row) => row.blocker_id));
+  const mutedIds = new Set(muteRows.map((row) => row.muted_id));
+
+  const users = userRows
+    .map((row) => {
+      const user = row.id === viewerId ? mapUserRow(row) : mapPublicUserRow(row);
+      user.followers = followersMap.get(user.id) || [];
+      user.following = followingMap.get(user.id) || [];
+      user.badges = badgesByUser.get(user.id) || [];
+      if (user.id !== viewerId) {
+        user.blocked = blockedIds.has(user.id);
+        user.muted = mutedIds.has(user.id);
+        user.interactionBlocked = user.blocked || blockedByIds.has(user.id);
+        if (user.interactionBlocked) user.location = null;
+      } else {
+        user.notificationPreferences = notificationPreferences;
+        user.faceReferences = faceReferences;
+      }
+      return user;
+    })
+    .sort((a, b) => a.displayName.localeCompare(b.displayName));
+
+  const posts = mapPostRows(postRows, likeRows, commentRows, postRows, commentLikeRows, albumRows);
+  const postsById = new Map(posts.map((post) => [post.id, post]));
+
+  const actorsByMessage = new Map();
+  inboxActorRows.forEach((row) => {
+    if (!actorsByMessage.has(row.message_id)) actorsByMessage.set(row.message_id, []);
+    actorsByMessage.get(row.message_id).push(row.actor_id);
+  });
+  const inbox = {
+    [viewerId]: inboxRows.map((row) => mapInboxRow(row, actorsByMessage.get(row.id) || [row.sender_id])),
+  };
+
+  inbox[viewerId].sort((a, b) => b.createdAt - a.createdAt);
+
+  const assignmentsByUser = new Map();
+  assignmentRows.forEach((row) => {
+    assignmentsByUser.set(row.user_id, {
+      contestId: row.contest_id,
+      role: row.role,
+      captures: row.captures,
+      survivalFlag: Boolean(row.survival_flag),
+      campingViolation: Boolean(row.camping_violation),
+      lastMoveAt: row.last_move_at,
+    });
+  });
+
+  users.forEach((user) => {
+    const assignment = assignmentsByUser.get(user.id);
+    user.contestRole = assignment ? assignment.role : null;
+    user.contestStats = assignment
+      ? {
+          captures: assignment.captures,
+          survivor: assignment.survivalFlag,
+          campingViolation: assignment.campingViolation,
+        }
+      : null;
+  });
 
   let contestState = null;
   if (contest) {
@@ -459,19 +1340,14 @@ async function buildState() {
 
     contestState = {
       id: contest.id,
+      name: contest.name,
+      city: contest.config.city,
       challenge: contest.challenge,
       startsAt: contest.starts_at,
       endsAt: contest.ends_at,
       hunterLeaderboard,
       survivingGhosts,
-      captures: captureRows.map((row) => ({
-        id: row.id,
-        hunterId: row.hunter_id,
-        ghostId: row.ghost_id,
-        postId: row.post_id,
-        createdAt: row.created_at,
-        challenge: row.challenge,
-      })),
+      captures: captureRows.filter((row) => postsById.has(row.post_id)).map(mapContestCapture),
     };
   }
 
@@ -488,10 +1364,17 @@ app.post('/api/auth/signup', async (req, res) => {
     if (!email || !password || !displayName) {
       return res.status(400).json({ error: 'Email, password, and display name are required.' });
     }
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters.' });
+    const profile = readProfileFields({ displayName, bio, homeCity });
+    if (profile.error) {
+      return res.status(400).json({ error: profile.error });
+    }
+    if (password.length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters.` });
     }
     const normalizedEmail = String(email).trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      return res.status(400).json({ error: 'Enter a valid email address.' });
+    }
     const existing = await db.get('SELECT id FROM users WHERE email = ?', normalizedEmail);
     if (existing) {
       return res.status(409).json({ error: 'Email already in use.' });
@@ -500,18 +1383,37 @@ app.post('/api/auth/signup', async (req, res) => {
     const id = createId();
     const hash = await bcrypt.hash(password, 12);
     const now = Date.now();
+    const { display_name: name, bio: bioText, home_city: city } = profile.updates;
     await db.run(
       `INSERT INTO users (
         id, email, password_hash, display_name, bio, home_city, avatar,
         location_lat, location_lng, location_updated_at, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, NULL, NULL, NULL, ?)`
+      ) VALUES (?, ?, ?, ?, ?, ?, NULL, NULL, NULL, NULL, ?)`
         ,
-      [id, normalizedEmail, hash, displayName.trim(), bio.trim(), homeCity.trim(), avatar, now]
+      [id, normalizedEmail, hash, name, bioText, city, now]
     );
 
-    const token = createToken({ userId: id });
-    const state = await buildState();
-    res.status(201).json({ token, userId: id, state });
+    if (avatar) {
+      try {
+        const media = await storeMedia(db, MEDIA_DIR, { buffer: decodeDataUrl(avatar), ownerId: id, createdAt: now });
+        await db.run('UPDATE users SET avatar_media_id = ? WHERE id = ?', media.id, id);
+      } catch (avatarError) {
+        await db.run('DELETE FROM users WHERE id = ?', id);
+        if (avatarError.statusCode) {
+          return res.status(avatarError.statusCode).json({ error: avatarError.message });
+        }
+        throw avatarError;
+      }
+    }
+
+    // The account stays locked until the emailed link is opened; a failed send
+    // can be retried from the "Verify your email" screen.
+    try {
+      await sendVerificationEmail({ id, email: normalizedEmail, display_name: name });
+    } catch (mailError) {
+      console.error('Failed to send verification email', mailError);
+    }
+    res.status(201).json({ userId: id, email: normalizedEmail, verificationRequired: true });
   } catch (error) {
     console.error('Signup failed', error);
     res.status(500).json({ error: 'Failed to create account.' });
@@ -533,18 +1435,230 @@ app.post('/api/auth/login', async (req, res) => {
     if (!valid) {
       return res.status(401).json({ error: 'Invalid credentials.' });
     }
-    const token = createToken({ userId: row.id });
-    const state = await buildState();
-    res.json({ token, userId: row.id, state });
+    if (row.suspended_at) {
+      return res.status(403).json({ error: 'This account has been suspended.', code: 'ACCOUNT_SUSPENDED' });
+    }
+    if (!row.email_verified_at) {
+      return res
+        .status(403)
+        .json({ error: 'Verify your email before logging in.', code: 'EMAIL_UNVERIFIED', email: row.email });
+    }
+    // Logging back in during the grace period keeps the account.
+    const deletionCancelled = Boolean(row.deletion_scheduled_for);
+    if (deletionCancelled) {
+      await accounts.cancelAccountDeletion(db, row.id);
+    }
+    const tokens = await issueTokens(req, row.id);
+    const state = await buildState(row.id);
+    res.json({ ...tokens, userId: row.id, state, deletionCancelled });
   } catch (error) {
     console.error('Login failed', error);
     res.status(500).json({ error: 'Failed to log in.' });
   }
 });
 
-app.get('/api/state', requireAuth, async (_req, res) => {
+app.post('/api/auth/verify', async (req, res) => {
+  try {
+    const tokenRow = await consumeAuthToken(db, { token: req.body.token, purpose: 'verify_email' });
+    if (!tokenRow) {
+      return res.status(400).json({ error: 'This verification link is invalid or has expired.' });
+    }
+    await db.run(
+      'UPDATE users SET email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?',
+      Date.now(),
+      tokenRow.user_id
+    );
+    await promoteConfiguredAdmins();
+    const suspended = await db.get('SELECT id FROM users WHERE id = ? AND suspended_at IS NOT NULL', tokenRow.user_id);
+    if (suspended) {
+      return res.status(403).json({ error: 'This account has been suspended.', code: 'ACCOUNT_SUSPENDED' });
+    }
+    const tokens = await issueTokens(req, tokenRow.user_id);
+    const state = await buildState(tokenRow.user_id);
+    res.json({ ...tokens, userId: tokenRow.user_id, state });
+  } catch (error) {
+    console.error('Email verification failed', error);
+    res.status(500).json({ error: 'Failed to verify email.' });
+  }
+});
+
+// The resend and forgot endpoints answer 202 whether or not the address has an
+// account, so they cannot be used to probe for registered emails.
+app.post('/api/auth/verify/resend', async (req, res) => {
+  try {
+    const normalizedEmail = String(req.body.email || '').trim().toLowerCase();
+    const row = normalizedEmail ? await db.get('SELECT * FROM users WHERE email = ?', normalizedEmail) : null;
+    if (row && !row.email_verified_at) {
+      await sendVerificationEmail(row);
+    }
+    res.status(202).json({ status: 'sent' });
+  } catch (error) {
+    console.error('Failed to resend verification email', error);
+    res.status(500).json({ error: 'Failed to send verification email.' });
+  }
+});
+
+app.post('/api/auth/forgot', async (req, res) => {
+  try {
+    const normalizedEmail = String(req.body.email || '').trim().toLowerCase();
+    if (!normalizedEmail) {
+      return res.status(400).json({ error: 'Email is required.' });
+    }
+    const row = await db.get('SELECT * FROM users WHERE email = ?', normalizedEmail);
+    if (row) {
+      await sendPasswordResetEmail(row);
+    }
+    res.status(202).json({ status: 'sent' });
+  } catch (error) {
+    console.error('Failed to start password reset', error);
+    res.status(500).json({ error: 'Failed to send reset email.' });
+  }
+});
+
+app.post('/api/auth/reset', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!password || String(password).length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters.` });
+    }
+    const tokenRow = await consumeAuthToken(db, { token, purpose: 'reset_password' });
+    if (!tokenRow) {
+      return res.status(400).json({ error: 'This reset link is invalid or has expired.' });
+    }
+    const hash = await bcrypt.hash(String(password), 12);
+    // Opening the emailed link also proves the address, and every existing
+    // session is signed out in case the old password was compromised.
+    await db.run(
+      'UPDATE users SET password_hash = ?, email_verified_at = COALESCE(email_verified_at, ?) WHERE id = ?',
+      [hash, Date.now(), tokenRow.user_id]
+    );
+    await promoteConfiguredAdmins();
+    const revoked = await sessions.revokeUserSessions(db, tokenRow.user_id);
+    realtime.disconnectSessions(tokenRow.user_id, revoked);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Password reset failed', error);
+    res.status(500).json({ error: 'Failed to reset password.' });
+  }
+});
+
+// Unauthenticated like /verify: the link may be opened on a device that is not signed in.
+app.post('/api/auth/confirm-email', async (req, res) => {
+  try {
+    const tokenRow = await consumeAuthToken(db, { token: req.body.token, purpose: 'change_email' });
+    const row = tokenRow ? await db.get('SELECT * FROM users WHERE id = ?', tokenRow.user_id) : null;
+    if (!row?.pending_email) {
+      return res.status(400).json({ error: 'This confirmation link is invalid or has expired.' });
+    }
+    const taken = await db.get('SELECT id FROM users WHERE email = ? AND id != ?', row.pending_email, row.id);
+    if (taken) {
+      await db.run('UPDATE users SET pending_email = NULL WHERE id = ?', row.id);
+      return res.status(409).json({ error: 'That email is already in use by another account.' });
+    }
+    await db.run(
+      'UPDATE users SET email = ?, pending_email = NULL, email_verified_at = ? WHERE id = ?',
+      [row.pending_email, Date.now(), row.id]
+    );
+    await promoteConfiguredAdmins();
+    await sendAccountChangeNotice(
+      row.email,
+      row.display_name,
+      `The email on your Kandid account was changed to ${row.pending_email}.`
+    );
+    res.json({ email: row.pending_email });
+  } catch (error) {
+    console.error('Email change confirmation failed', error);
+    res.status(500).json({ error: 'Failed to confirm email change.' });
+  }
+});
+
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const rotated = await sessions.rotateRefreshToken(db, req.body.refreshToken);
+    if (!rotated) {
+      return res.status(401).json({ error: 'Session expired. Please log in again.' });
+    }
+    const { session, refreshToken } = rotated;
+    const token = createToken({ userId: session.user_id, sessionId: session.id });
+    res.json({ token, refreshToken, userId: session.user_id });
+  } catch (error) {
+    console.error('Token refresh failed', error);
+    res.status(500).json({ error: 'Failed to refresh session.' });
+  }
+});
+
+// Logout works with an expired access token too: the refresh token alone identifies the session.
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    const parsed = sessions.parseRefreshToken(req.body.refreshToken);
+    const auth = parsed ? null : await verifyAccessToken(getBearerToken(req));
+    const session = await sessions.getActiveSession(db, parsed?.sessionId || auth?.sessionId);
+    if (session) {
+      await sessions.revokeSession(db, session.id);
+      realtime.disconnectSessions(session.user_id, [session.id]);
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Logout failed', error);
+    res.status(500).json({ error: 'Failed to log out.' });
+  }
+});
+
+app.post('/api/auth/logout-all', requireAuth, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeUserSessions(db, req.userId);
+    realtime.disconnectSessions(req.userId, revoked);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Failed to sign out everywhere', error);
+    res.status(500).json({ error: 'Failed to sign out everywhere.' });
+  }
+});
+
+app.get('/api/auth/sessions', requireAuth, async (req, res) => {
+  try {
+    const list = await sessions.listSessions(db, req.userId);
+    res.json({
+      sessions: list.map((session) => ({ ...session, current: session.id === req.sessionId })),
+    });
+  } catch (error) {
+    console.error('Failed to list sessions', error);
+    res.status(500).json({ error: 'Failed to load signed-in devices.' });
+  }
+});
+
+app.delete('/api/auth/sessions/:sessionId', requireAuth, async (req, res) => {
+  try {
+    const session = await sessions.getActiveSession(db, req.params.sessionId);
+    if (!session || session.user_id !== req.userId) {
+      return res.status(404).json({ error: 'Session not found.' });
+    }
+    await sessions.revokeSession(db, session.id);
+    realtime.disconnectSessions(req.userId, [session.id]);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Failed to revoke session', error);
+    res.status(500).json({ error: 'Failed to sign out that device.' });
+  }
+});
+
+// EventSource cannot set an Authorization header, so the stream takes the token as a query parameter.
+app.get('/api/events', async (req, res) => {
+  try {
+    const auth = await verifyAccessToken(String(req.query.token || ''));
+    if (!auth) {
+      return res.status(401).json({ error: 'Invalid or expired token.' });
+    }
+    realtime.subscribe(req, res, auth);
+  } catch (error) {
+    console.error('Failed to open event stream', error);
+    res.status(500).json({ error: 'Failed to open event stream.' });
+  }
+});
+
+app.get('/api/state', requireAuth, async (req, res) => {
   try {
-    const state = await buildState();
+    const state = await buildState(req.userId);
     res.json(state);
   } catch (error) {
     console.error('Failed to load state', error);
@@ -552,6 +1666,53 @@ app.get('/api/state', requireAuth, async (_req, res) => {
   }
 });
 
+app.get('/api/feed', requireAuth, async (req, res) => {
+  try {
+    const filter = ['mine', 'following'].includes(req.query.filter) ? req.query.filter : 'all';
+    const requestedLimit = Number.parseInt(req.query.limit, 10) || FEED_PAGE_SIZE;
+    const limit = Math.min(Math.max(requestedLimit, 1), FEED_MAX_PAGE_SIZE);
+
+    // The feed shows public posts plus the viewer's own private drops, newest
+    // first. Drops still waiting on the subject's consent stay out of it.
+    // Authors the viewer blocked or muted are left out as well.
+    const clauses = [
+      "(visibility = 'public' OR (author_id = $viewerId AND visibility = 'private'))",
+      'hidden_at IS NULL',
+      `author_id NOT IN (${SUSPENDED_USERS_SQL})`,
+      'author_id NOT IN (SELECT blocked_id FROM blocks WHERE blocker_id = $viewerId)',
+      'author_id NOT IN (SELECT muted_id FROM mutes WHERE muter_id = $viewerId)',
+    ];
+    const params = { $viewerId: req.userId, $limit: limit + 1 };
+    if (filter === 'mine') {
+      clauses.push('author_id = $viewerId');
+    } else if (filter === 'following') {
+      clauses.push('author_id IN (SELECT following_id FROM follows WHERE follower_id = $viewerId)');
+    }
+    if (req.query.cursor) {
+      const cursor = decodeFeedCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid feed cursor.' });
+      }
+      clauses.push('(created_at < $cursorAt OR (created_at = $cursorAt AND id < $cursorId))');
+      params.$cursorAt = cursor.createdAt;
+      params.$cursorId = cursor.id;
+    }
+
+    const rows = await db.all(
+      `SELECT * FROM posts WHERE ${clauses.join(' AND ')}
+       ORDER BY created_at DESC, id DESC LIMIT $limit`,
+      params
+    );
+    const pageRows = rows.slice(0, limit);
+    const posts = await loadPostDetails(pageRows);
+    const nextCursor = rows.length > limit ? encodeFeedCursor(pageRows[pageRows.length - 1]) : null;
+    res.json({ posts, nextCursor });
+  } catch (error) {
+    console.error('Failed to load feed', error);
+    res.status(500).json({ error: 'Failed to load feed.' });
+  }
+});
+
 app.post('/api/follows/:userId/toggle', requireAuth, async (req, res) => {
   try {
     const currentId = req.userId;
@@ -567,18 +1728,22 @@ app.post('/api/follows/:userId/toggle', requireAuth, async (req, res) => {
     if (existing) {
       await db.run('DELETE FROM follows WHERE follower_id = ? AND following_id = ?', [currentId, targetId]);
     } else {
+      if (await isBlockedBetween(currentId, targetId)) {
+        return res.status(403).json({ error: 'You cannot follow this user.' });
+      }
       const now = Date.now();
       await db.run(
         'INSERT INTO follows (follower_id, following_id, created_at) VALUES (?, ?, ?)',
         [currentId, targetId, now]
       );
-      await db.run(
-        `INSERT INTO inbox_messages (id, recipient_id, post_id, sender_id, created_at, read, type, message)
-         VALUES (?, ?, NULL, ?, ?, 0, 'follow', NULL)`,
-        [createId(), targetId, currentId, now]
-      );
+      await createInboxEntry({ recipientId: targetId, senderId: currentId, type: 'follow', createdAt: now });
     }
-    const state = await buildState();
+    realtime.broadcast(
+      'follow',
+      { followerId: currentId, followingId: targetId, following: !existing },
+      { except: currentId }
+    );
+    const state = await buildState(req.userId);
     res.json(state);
   } catch (error) {
     console.error('Failed to toggle follow', error);
@@ -586,39 +1751,178 @@ app.post('/api/follows/:userId/toggle', requireAuth, async (req, res) => {
   }
 });
 
+// Blocking also drops any follow between the two users, in both directions.
+app.post('/api/blocks/:userId/toggle', requireAuth, async (req, res) => {
+  try {
+    const currentId = req.userId;
+    const targetId = req.params.userId;
+    if (currentId === targetId) {
+      return res.status(400).json({ error: 'Cannot block yourself.' });
+    }
+    const target = await db.get('SELECT id FROM users WHERE id = ?', targetId);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    const existing = await db.get(
+      'SELECT blocker_id FROM blocks WHERE blocker_id = ? AND blocked_id = ?',
+      currentId,
+      targetId
+    );
+    if (existing) {
+      await db.run('DELETE FROM blocks WHERE blocker_id = ? AND blocked_id = ?', [currentId, targetId]);
+    } else {
+      await db.run('INSERT INTO blocks (blocker_id, blocked_id, created_at) VALUES (?, ?, ?)', [
+        currentId,
+        targetId,
+        Date.now(),
+      ]);
+      const follows = await db.all(
+        `SELECT follower_id, following_id FROM follows
+         WHERE (follower_id = $currentId AND following_id = $targetId)
+            OR (follower_id = $targetId AND following_id = $currentId)`,
+        { $currentId: currentId, $targetId: targetId }
+      );
+      for (const follow of follows) {
+        await db.run('DELETE FROM follows WHERE follower_id = ? AND following_id = ?', [
+          follow.follower_id,
+          follow.following_id,
+        ]);
+        realtime.broadcast(
+          'follow',
+          { followerId: follow.follower_id, followingId: follow.following_id, following: false },
+          { except: currentId }
+        );
+      }
+    }
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to toggle block', error);
+    res.status(500).json({ error: 'Failed to update block state.' });
+  }
+});
+
+app.post('/api/mutes/:userId/toggle', requireAuth, async (req, res) => {
+  try {
+    const currentId = req.userId;
+    const targetId = req.params.userId;
+    if (currentId === targetId) {
+      return res.status(400).json({ error: 'Cannot mute yourself.' });
+    }
+    const target = await db.get('SELECT id FROM users WHERE id = ?', targetId);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    const existing = await db.get('SELECT muter_id FROM mutes WHERE muter_id = ? AND muted_id = ?', currentId, targetId);
+    if (existing) {
+      await db.run('DELETE FROM mutes WHERE muter_id = ? AND muted_id = ?', [currentId, targetId]);
+    } else {
+      await db.run('INSERT INTO mutes (muter_id, muted_id, created_at) VALUES (?, ?, ?)', [currentId, targetId, Date.now()]);
+    }
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to toggle mute', error);
+    res.status(500).json({ error: 'Failed to update mute state.' });
+  }
+});
+
 app.post('/api/posts', requireAuth, async (req, res) => {
   try {
-    const { recipientId, image, caption = '', visibility = 'public', contestCapture = false } = req.body;
-    if (!recipientId || !image) {
+    const { recipientId, mediaId, image, caption = '', visibility = 'public', contestCapture = false, queued = false } =
+      req.body;
+    const mediaIds = Array.isArray(req.body.mediaIds) ? [...new Set(req.body.mediaIds)] : mediaId ? [mediaId] : [];
+    if (!recipientId || (!mediaIds.length && !image)) {
       return res.status(400).json({ error: 'Recipient and image are required.' });
     }
+    if (mediaIds.length > MAX_DROP_PHOTOS) {
+      return res.status(400).json({ error: `A drop can have at most ${MAX_DROP_PHOTOS} photos.` });
+    }
+    const recipientRow = await db.get(
+      'SELECT id, bekandid_enabled, auto_approve_drops FROM users WHERE id = ? AND suspended_at IS NULL',
+      recipientId
+    );
+    if (!recipientRow) {
+      return res.status(404).json({ error: 'Recipient not found.' });
+    }
+    if (recipientId !== req.userId && (await isBlockedBetween(req.userId, recipientId))) {
+      return res.status(403).json({ error: 'You cannot send drops to this user.' });
+    }
+    // Clients upload through /api/media first; an inline data URL is still accepted and stored the same way.
+    const album = [];
+    if (mediaIds.length) {
+      for (const id of mediaIds) {
+        const media = await db.get('SELECT id FROM media WHERE id = ? AND owner_id = ?', String(id), req.userId);
+        if (!media) {
+          return res.status(400).json({ error: 'Upload the images before posting.' });
+        }
+        album.push(media.id);
+      }
+    } else {
+      const media = await storeMedia(db, MEDIA_DIR, { buffer: decodeDataUrl(image), ownerId: req.userId });
+      album.push(media.id);
+    }
+    // Contest checks run before the post is stored so a rejected capture does
+    // not leave a half-made drop, and the photos uploaded for it are removed.
+    let contest = null;
+    let matchScore = null;
+    if (contestCapture) {
+      try {
+        if (queued) {
+          const err = new Error('Contest captures cannot wait in the outbox. Send them while you are online.');
+          err.statusCode = 400;
+          throw err;
+        }
+        contest = await verifyContestCapture({
+          hunterId: req.userId,
+          ghostId: recipientId,
+          challenge: req.body.contestChallenge || '',
+          mediaIds: album,
+        });
+        matchScore = contest ? await faces.scoreFaceMatch(db, recipientId, req.body.faceEmbeddings) : null;
+      } catch (error) {
+        for (const id of album) {
+          await deleteMediaIfUnused(db, MEDIA_DIR, id);
+        }
+        throw error;
+      }
+    }
+    // A public photo of someone else waits for their approval unless they are a
+    // BeKandid user who pre-approved drops.
+    const needsConsent =
+      visibility !== 'private' &&
+      recipientId !== req.userId &&
+      !(recipientRow.bekandid_enabled && recipientRow.auto_approve_drops);
+    const postVisibility = visibility === 'private' ? 'private' : needsConsent ? 'pending_consent' : 'public';
     const now = Date.now();
     const postId = createId();
     await db.run(
-      `INSERT INTO posts (id, author_id, recipient_id, image, caption, created_at, visibility, original_post_id)
-       VALUES (?, ?, ?, ?, ?, ?, ?, NULL)`,
-      [postId, req.userId, recipientId, image, caption, now, visibility]
+      `INSERT INTO posts (id, author_id, recipient_id, image, media_id, caption, created_at, visibility, original_post_id)
+       VALUES (?, ?, ?, NULL, ?, ?, ?, ?, NULL)`,
+      [postId, req.userId, recipientId, album[0], caption, now, postVisibility]
     );
+    await insertPostAlbum(postId, album);
 
-    const recipientRow = await db.get('SELECT bekandid_enabled FROM users WHERE id = ?', recipientId);
     await createInboxEntry({
       recipientId,
       senderId: req.userId,
       postId,
-      type: recipientRow?.bekandid_enabled ? 'bekandid_drop' : 'drop',
+      type: needsConsent ? 'consent_request' : recipientRow.bekandid_enabled ? 'bekandid_drop' : 'drop',
       createdAt: now,
     });
 
-    if (contestCapture) {
-      await handleContestCapture({
+    if (contest) {
+      await recordContestCapture({
+        contest,
         hunterId: req.userId,
         ghostId: recipientId,
         postId,
         challenge: req.body.contestChallenge || '',
+        matchScore,
       });
     }
 
-    const state = await buildState();
+    const state = await buildState(req.userId);
     res.status(201).json(state);
   } catch (error) {
     console.error('Failed to create post', error);
@@ -630,56 +1934,476 @@ app.post('/api/posts', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/api/posts/:postId/like', requireAuth, async (req, res) => {
+app.post('/api/posts/:postId/consent', requireAuth, async (req, res) => {
   try {
-    const { postId } = req.params;
-    const existing = await db.get(
-      'SELECT post_id FROM likes WHERE post_id = ? AND user_id = ?',
-      [postId, req.userId]
-    );
-    if (existing) {
-      await db.run('DELETE FROM likes WHERE post_id = ? AND user_id = ?', [postId, req.userId]);
+    const decision = CONSENT_DECISIONS[req.body.decision];
+    if (!decision) {
+      return res.status(400).json({ error: 'Decision must be approve, private, or delete.' });
+    }
+    const post = await db.get('SELECT * FROM posts WHERE id = ?', req.params.postId);
+    if (!post || post.recipient_id !== req.userId) {
+      return res.status(404).json({ error: 'Post not found.' });
+    }
+    if (post.visibility !== 'pending_consent') {
+      return res.status(409).json({ error: 'This drop has already been reviewed.' });
+    }
+
+    if (decision.visibility) {
+      await db.run('UPDATE posts SET visibility = ? WHERE id = ?', decision.visibility, post.id);
+      await db.run(
+        `UPDATE inbox_messages SET read = 1 WHERE post_id = ? AND recipient_id = ? AND type = 'consent_request'`,
+        post.id,
+        req.userId
+      );
     } else {
-      await db.run('INSERT INTO likes (post_id, user_id, created_at) VALUES (?, ?, ?)', [
-        postId,
-        req.userId,
-        Date.now(),
-      ]);
+      await assertNotOpenCaptureOf(post, req.userId);
+      await deletePost(post, req.userId);
     }
-    const state = await buildState();
+    await createInboxEntry({
+      recipientId: post.author_id,
+      senderId: req.userId,
+      postId: decision.visibility ? post.id : null,
+      type: 'consent_result',
+      message: decision.message,
+    });
+
+    const state = await buildState(req.userId);
     res.json(state);
   } catch (error) {
-    console.error('Failed to toggle like', error);
-    res.status(500).json({ error: 'Failed to toggle like.' });
+    console.error('Failed to record consent decision', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to review drop.' });
+    }
   }
 });
 
-app.post('/api/posts/:postId/comments', requireAuth, async (req, res) => {
+// The photographer can edit the caption; they and the subject of a drop can
+// change who sees it. Making someone else's drop public again goes back
+// through their consent unless they pre-approved drops.
+app.patch('/api/posts/:postId', requireAuth, async (req, res) => {
   try {
-    const { postId } = req.params;
-    const { text } = req.body;
-    if (!text || !text.trim()) {
-      return res.status(400).json({ error: 'Comment text is required.' });
+    const post = await getVisiblePost(req.params.postId, req.userId);
+    const isAuthor = post?.author_id === req.userId;
+    const isSubject = Boolean(post) && !post.original_post_id && post.recipient_id === req.userId;
+    if (!post || (!isAuthor && !isSubject)) {
+      return res.status(404).json({ error: 'Post not found.' });
+    }
+    if (post.original_post_id) {
+      return res.status(400).json({ error: 'Reposts cannot be edited. Remove the repost instead.' });
+    }
+    const { caption, visibility } = req.body;
+    if (caption === undefined && visibility === undefined) {
+      return res.status(400).json({ error: 'Nothing to update.' });
     }
-    const commentId = createId();
     const now = Date.now();
-    await db.run(
-      `INSERT INTO comments (id, post_id, author_id, text, created_at)
-       VALUES (?, ?, ?, ?, ?)`,
-      [commentId, postId, req.userId, text.trim(), now]
-    );
-    const state = await buildState();
-    res.status(201).json(state);
-  } catch (error) {
-    console.error('Failed to add comment', error);
-    res.status(500).json({ error: 'Failed to add comment.' });
-  }
-});
-
+    const updates = {};
+    if (caption !== undefined) {
+      if (!isAuthor) {
+        return res.status(403).json({ error: 'Only the photographer can edit the caption.' });
+      }
+      if (typeof caption !== 'string') {
+        return res.status(400).json({ error: 'Caption must be text.' });
+      }
+      if (caption.trim() !== (post.caption || '')) {
+        updates.caption = caption.trim();
+        updates.edited_at = now;
+      }
+    }
+    let needsConsent = false;
+    if (visibility !== undefined) {
+      if (!POST_VISIBILITIES.includes(visibility)) {
+        return res.status(400).json({ error: 'Visibility must be public or private.' });
+      }
+      if (post.visibility === 'pending_consent' && !isAuthor) {
+        return res.status(409).json({ error: 'Review this drop from your inbox first.' });
+      }
+      let nextVisibility = visibility;
+      const othersDrop = post.recipient_id && post.recipient_id !== req.userId;
+      if (visibility === 'public' && post.visibility !== 'public' && othersDrop) {
+        const recipient = await db.get(
+          'SELECT bekandid_enabled, auto_approve_drops FROM users WHERE id = ?',
+          post.recipient_id
+        );
+        if (recipient && !(recipient.bekandid_enabled && recipient.auto_approve_drops)) {
+          nextVisibility = 'pending_consent';
+          needsConsent = post.visibility !== 'pending_consent';
+        }
+      }
+      if (nextVisibility !== post.visibility) {
+        updates.visibility = nextVisibility;
+      }
+    }
+    const columns = Object.keys(updates);
+    if (columns.length) {
+      await db.run(
+        `UPDATE posts SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(updates), post.id]
+      );
+    }
+
+    // Reposts only exist for public posts: they follow caption edits and go
+    // away when the original stops being public.
+    if (updates.visibility && updates.visibility !== 'public') {
+      const reposts = await db.all('SELECT id FROM posts WHERE original_post_id = ?', post.id);
+      if (reposts.length) {
+        await db.run('DELETE FROM posts WHERE original_post_id = ?', post.id);
+        realtime.broadcast('post_removed', { postIds: reposts.map((row) => row.id) });
+      }
+    } else if (updates.caption !== undefined) {
+      await db.run('UPDATE posts SET caption = ? WHERE original_post_id = ?', repostCaption(updates.caption), post.id);
+    }
+    if (post.visibility === 'pending_consent' && updates.visibility === 'private') {
+      await db.run(`UPDATE inbox_messages SET read = 1 WHERE post_id = ? AND type = 'consent_request'`, post.id);
+    }
+    if (needsConsent) {
+      await createInboxEntry({
+        recipientId: post.recipient_id,
+        senderId: req.userId,
+        postId: post.id,
+        type: 'consent_request',
+      });
+    }
+    if (columns.length) {
+      await publishPostUpdate(await db.get('SELECT * FROM posts WHERE id = ?', post.id), req.userId);
+    }
+
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to update post', error);
+    res.status(500).json({ error: 'Failed to update post.' });
+  }
+});
+
+app.delete('/api/posts/:postId', requireAuth, async (req, res) => {
+  try {
+    const post = await getVisiblePost(req.params.postId, req.userId);
+    const isAuthor = post?.author_id === req.userId;
+    const isSubject = Boolean(post) && !post.original_post_id && post.recipient_id === req.userId;
+    if (!post || (!isAuthor && !isSubject)) {
+      return res.status(404).json({ error: 'Post not found.' });
+    }
+    await assertNotOpenCaptureOf(post, req.userId);
+    await deletePost(post, req.userId);
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to delete post', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to delete post.' });
+    }
+  }
+});
+
+app.post('/api/media', requireAuth, acceptUpload, async (req, res) => {
+  try {
+    let buffer = req.files?.file?.[0]?.buffer;
+    if (!buffer && req.body.dataUrl) {
+      buffer = decodeDataUrl(req.body.dataUrl);
+    }
+    if (!buffer) {
+      return res.status(400).json({ error: 'Attach an image file or data URL.' });
+    }
+    // Clips also need a poster frame, sent as a `poster` file or data URL.
+    let poster = req.files?.poster?.[0]?.buffer;
+    if (!poster && req.body.poster) {
+      poster = decodeDataUrl(req.body.poster);
+    }
+    const live = req.body.live === true || req.body.live === 'true';
+    // Shots from the app's own camera say how long ago the shutter was pressed,
+    // so the device's clock does not matter. The age is taken on trust from the
+    // client; the shot can never count as newer than the upload, and
+    // verifyContestCapture also checks when the upload arrived.
+    const shotAgeMs = Number.parseInt(req.body.shotAgeMs, 10);
+    const now = Date.now();
+    const media = await storeMedia(db, MEDIA_DIR, {
+      buffer,
+      poster,
+      live,
+      ownerId: req.userId,
+      capturedAt: Number.isNaN(shotAgeMs) ? null : now - Math.max(shotAgeMs, 0),
+    });
+    res.status(201).json(mapMediaRow(media));
+  } catch (error) {
+    console.error('Failed to upload media', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to upload media.' });
+    }
+  }
+});
+
+// Whether a viewer may load a media file. Avatars and the photos of drops
+// everyone can see are public (`viewerId` null). Anything else is only for its
+// uploader, people who can see a drop it is in, and admins reviewing reports.
+async function canViewMedia(mediaId, viewerId) {
+  const shown = await db.get(
+    `SELECT 1 FROM users WHERE avatar_media_id = $mediaId
+     UNION ALL
+     SELECT 1 FROM posts
+     WHERE id IN (${VISIBLE_POSTS_SQL})
+       AND (media_id = $mediaId OR id IN (SELECT post_id FROM post_media WHERE media_id = $mediaId))
+     LIMIT 1`,
+    { $mediaId: mediaId, $viewerId: viewerId }
+  );
+  if (shown || !viewerId) return Boolean(shown);
+  const owned = await db.get('SELECT 1 FROM media WHERE id = ? AND owner_id = ?', mediaId, viewerId);
+  if (owned) return true;
+  const viewer = await db.get('SELECT role FROM users WHERE id = ?', viewerId);
+  return viewer?.role === 'admin';
+}
+
+// Public media is served without auth. The rest needs the viewer's token,
+// which plain <img> and <video> tags can only pass as a `token` query
+// parameter, and is never cached. Media someone
+// may not see answers 404 as if it did not exist. sendFile answers Range
+// requests, which is how browsers stream and seek clips.
+app.get('/api/media/:mediaId/:variant?', async (req, res) => {
+  try {
+    const variant = req.params.variant || 'full';
+    if (variant !== 'full' && variant !== POSTER_VARIANT && !RENDITION_SIZES[variant]) {
+      return res.status(404).json({ error: 'Unknown media size.' });
+    }
+    const media = variant === 'full'
+      ? await db.get('SELECT * FROM media WHERE id = ?', req.params.mediaId)
+      : await db.get(
+          'SELECT * FROM media_renditions WHERE media_id = ? AND variant = ?',
+          req.params.mediaId,
+          variant
+        );
+    if (!media) {
+      return res.status(404).json({ error: 'Media not found.' });
+    }
+    const isPublic = await canViewMedia(req.params.mediaId, null);
+    if (!isPublic) {
+      const token = getBearerToken(req) || String(req.query.token || '');
+      const auth = token ? await verifyAccessToken(token) : null;
+      if (!auth || !(await canViewMedia(req.params.mediaId, auth.userId))) {
+        return res.status(404).json({ error: 'Media not found.' });
+      }
+    }
+    // A public file can turn private or be deleted later, so even public
+    // copies are revalidated (cheaply, by ETag) before each use.
+    const caching = {
+      cacheControl: false,
+      headers: { 'Content-Type': media.mime, 'Cache-Control': isPublic ? 'private, no-cache' : 'private, no-store' },
+    };
+    res.sendFile(mediaPathFor(MEDIA_DIR, media.hash, media.mime), caching, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ error: 'Media file missing.' });
+      }
+    });
+  } catch (error) {
+    console.error('Failed to serve media', error);
+    res.status(500).json({ error: 'Failed to load media.' });
+  }
+});
+
+app.post('/api/posts/:postId/like', requireAuth, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const post = await getVisiblePost(postId, req.userId);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found.' });
+    }
+    const existing = await db.get(
+      'SELECT post_id FROM likes WHERE post_id = ? AND user_id = ?',
+      [postId, req.userId]
+    );
+    if (existing) {
+      await db.run('DELETE FROM likes WHERE post_id = ? AND user_id = ?', [postId, req.userId]);
+    } else {
+      await db.run('INSERT INTO likes (post_id, user_id, created_at) VALUES (?, ?, ?)', [
+        postId,
+        req.userId,
+        Date.now(),
+      ]);
+    }
+    publishPostEvent(post, 'like', { postId, userId: req.userId, liked: !existing }, req.userId);
+    if (existing) {
+      await retractPostActivity(post, req.userId, 'like');
+    } else {
+      await notifyPostActivity(post, req.userId, 'like');
+    }
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to toggle like', error);
+    res.status(500).json({ error: 'Failed to toggle like.' });
+  }
+});
+
+app.post('/api/posts/:postId/comments', requireAuth, async (req, res) => {
+  try {
+    const { postId } = req.params;
+    const { text, parentCommentId } = req.body;
+    if (!text || !text.trim()) {
+      return res.status(400).json({ error: 'Comment text is required.' });
+    }
+    const post = await getVisiblePost(postId, req.userId);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found.' });
+    }
+    // The photographer and the person in the drop both get its comments.
+    for (const participantId of [post.author_id, post.recipient_id]) {
+      if (participantId && participantId !== req.userId && (await isBlockedBetween(req.userId, participantId))) {
+        return res.status(403).json({ error: 'You cannot comment on this post.' });
+      }
+    }
+    // Threads are one level deep: replying to a reply joins its parent's thread.
+    let threadId = null;
+    if (parentCommentId) {
+      const parent = await db.get('SELECT * FROM comments WHERE id = ? AND post_id = ?', parentCommentId, postId);
+      if (!parent) {
+        return res.status(404).json({ error: 'Comment not found.' });
+      }
+      if (parent.author_id !== req.userId && (await isBlockedBetween(req.userId, parent.author_id))) {
+        return res.status(403).json({ error: 'You cannot reply to this comment.' });
+      }
+      threadId = parent.parent_comment_id || parent.id;
+    }
+    const commentId = createId();
+    const now = Date.now();
+    const trimmed = text.trim();
+    await db.run(
+      `INSERT INTO comments (id, post_id, author_id, text, created_at, parent_comment_id)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [commentId, postId, req.userId, trimmed, now, threadId]
+    );
+    publishPostEvent(
+      post,
+      'comment',
+      {
+        postId,
+        comment: {
+          id: commentId,
+          authorId: req.userId,
+          parentCommentId: threadId,
+          text: trimmed,
+          createdAt: now,
+          editedAt: null,
+          likes: [],
+        },
+      },
+      req.userId
+    );
+    await notifyPostActivity(post, req.userId, 'comment', now);
+    await notifyMentions(post, commentId, req.userId, trimmed);
+    const state = await buildState(req.userId);
+    res.status(201).json(state);
+  } catch (error) {
+    console.error('Failed to add comment', error);
+    res.status(500).json({ error: 'Failed to add comment.' });
+  }
+});
+
+app.patch('/api/posts/:postId/comments/:commentId', requireAuth, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
+    if (!text) {
+      return res.status(400).json({ error: 'Comment text is required.' });
+    }
+    const post = await getVisiblePost(postId, req.userId);
+    const comment = post
+      ? await db.get('SELECT * FROM comments WHERE id = ? AND post_id = ?', commentId, postId)
+      : null;
+    if (!comment || comment.author_id !== req.userId) {
+      return res.status(404).json({ error: 'Comment not found.' });
+    }
+    const now = Date.now();
+    await db.run('UPDATE comments SET text = ?, edited_at = ? WHERE id = ?', [text, now, commentId]);
+    publishPostEvent(
+      post,
+      'comment_updated',
+      {
+        postId,
+        comment: {
+          id: commentId,
+          authorId: comment.author_id,
+          parentCommentId: comment.parent_comment_id || null,
+          text,
+          createdAt: comment.created_at,
+          editedAt: now,
+        },
+      },
+      req.userId
+    );
+    await notifyMentions(post, commentId, req.userId, text);
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to edit comment', error);
+    res.status(500).json({ error: 'Failed to edit comment.' });
+  }
+});
+
+// Commenters can remove their own comments; the people in and behind a photo
+// can clear comments off it too.
+app.delete('/api/posts/:postId/comments/:commentId', requireAuth, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const post = await getVisiblePost(postId, req.userId);
+    const comment = post
+      ? await db.get('SELECT * FROM comments WHERE id = ? AND post_id = ?', commentId, postId)
+      : null;
+    if (!comment || ![comment.author_id, post.author_id, post.recipient_id].includes(req.userId)) {
+      return res.status(404).json({ error: 'Comment not found.' });
+    }
+    await db.run('DELETE FROM comments WHERE id = ?', commentId);
+    publishPostEvent(post, 'comment_removed', { postId, commentId }, req.userId);
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to delete comment', error);
+    res.status(500).json({ error: 'Failed to delete comment.' });
+  }
+});
+
+app.post('/api/posts/:postId/comments/:commentId/like', requireAuth, async (req, res) => {
+  try {
+    const { postId, commentId } = req.params;
+    const post = await getVisiblePost(postId, req.userId);
+    const comment = post
+      ? await db.get('SELECT * FROM comments WHERE id = ? AND post_id = ?', commentId, postId)
+      : null;
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found.' });
+    }
+    if (comment.author_id !== req.userId && (await isBlockedBetween(req.userId, comment.author_id))) {
+      return res.status(403).json({ error: 'You cannot like this comment.' });
+    }
+    const existing = await db.get(
+      'SELECT comment_id FROM comment_likes WHERE comment_id = ? AND user_id = ?',
+      [commentId, req.userId]
+    );
+    if (existing) {
+      await db.run('DELETE FROM comment_likes WHERE comment_id = ? AND user_id = ?', [commentId, req.userId]);
+    } else {
+      await db.run('INSERT INTO comment_likes (comment_id, user_id, created_at) VALUES (?, ?, ?)', [
+        commentId,
+        req.userId,
+        Date.now(),
+      ]);
+    }
+    publishPostEvent(post, 'comment_like', { postId, commentId, userId: req.userId, liked: !existing }, req.userId);
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to toggle comment like', error);
+    res.status(500).json({ error: 'Failed to toggle comment like.' });
+  }
+});
+
 app.post('/api/posts/:postId/repost', requireAuth, async (req, res) => {
   try {
     const { postId } = req.params;
-    const original = await db.get('SELECT * FROM posts WHERE id = ?', postId);
+    const original = await getVisiblePost(postId, req.userId);
     if (!original) {
       return res.status(404).json({ error: 'Post not found.' });
     }
@@ -692,7 +2416,9 @@ app.post('/api/posts/:postId/repost', requireAuth, async (req, res) => {
 
     if (existing) {
       await db.run('DELETE FROM posts WHERE id = ?', [existing.id]);
-      const state = await buildState();
+      const canonical = await db.get('SELECT * FROM posts WHERE id = ?', canonicalId);
+      if (canonical) await retractPostActivity(canonical, req.userId, 'repost');
+      const state = await buildState(req.userId);
       return res.json(state);
     }
 
@@ -700,25 +2426,34 @@ app.post('/api/posts/:postId/repost', requireAuth, async (req, res) => {
     if (!canonical) {
       return res.status(404).json({ error: 'Original post not found.' });
     }
+    if (canonical.visibility !== 'public') {
+      return res.status(400).json({ error: 'Only public posts can be reposted.' });
+    }
 
-    const newCaption = canonical.caption
-      ? `Repost · ${canonical.caption}`
-      : 'Reposted a candid moment';
+    const newCaption = repostCaption(canonical.caption);
+    const repostId = createId();
     await db.run(
-      `INSERT INTO posts (id, author_id, recipient_id, image, caption, created_at, visibility, original_post_id)
-       VALUES (?, ?, ?, ?, ?, ?, 'public', ?)`,
+      `INSERT INTO posts (id, author_id, recipient_id, image, media_id, caption, created_at, visibility, original_post_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, 'public', ?)`,
       [
-        createId(),
+        repostId,
         req.userId,
         canonical.recipient_id,
         canonical.image,
+        canonical.media_id,
         newCaption,
         Date.now(),
         canonical.id,
       ]
     );
+    const canonicalAlbum = await db.all(
+      'SELECT media_id FROM post_media WHERE post_id = ? ORDER BY position',
+      canonical.id
+    );
+    await insertPostAlbum(repostId, canonicalAlbum.map((row) => row.media_id));
+    await notifyPostActivity(canonical, req.userId, 'repost');
 
-    const state = await buildState();
+    const state = await buildState(req.userId);
     res.status(201).json(state);
   } catch (error) {
     console.error('Failed to toggle repost', error);
@@ -737,7 +2472,7 @@ app.post('/api/inbox/mark-read', requireAuth, async (req, res) => {
       `UPDATE inbox_messages SET read = 1 WHERE id IN (${placeholders}) AND recipient_id = ?`,
       [...messageIds, req.userId]
     );
-    const state = await buildState();
+    const state = await buildState(req.userId);
     res.json(state);
   } catch (error) {
     console.error('Failed to mark inbox as read', error);
@@ -756,7 +2491,7 @@ app.post('/api/users/me/location', requireAuth, async (req, res) => {
       [lat, lng, Date.now(), req.userId]
     );
     await handleContestLocationUpdate(req.userId, lat, lng);
-    const state = await buildState();
+    const state = await buildState(req.userId);
     res.json(state);
   } catch (error) {
     console.error('Failed to update location', error);
@@ -769,8 +2504,8 @@ app.post('/api/users/me/bekandid', requireAuth, async (req, res) => {
   try {
     const enabled = Boolean(req.body.enabled);
     await db.run('UPDATE users SET bekandid_enabled = ? WHERE id = ?', enabled ? 1 : 0, req.userId);
-    await ensureActiveContest();
-    const state = await buildState();
+    await ensureActiveContests();
+    const state = await buildState(req.userId);
     res.json(state);
   } catch (error) {
     console.error('Failed to toggle BeKandid mode', error);
@@ -778,6 +2513,522 @@ app.post('/api/users/me/bekandid', requireAuth, async (req, res) => {
   }
 });
 
+app.get('/api/contests', requireAuth, async (req, res) => {
+  try {
+    const requestedLimit = Number.parseInt(req.query.limit, 10) || CONTEST_HISTORY_PAGE_SIZE;
+    const limit = Math.min(Math.max(requestedLimit, 1), CONTEST_HISTORY_MAX_PAGE_SIZE);
+    const clauses = ['ends_at <= $now'];
+    const params = { $now: Date.now(), $limit: limit + 1 };
+    if (req.query.cursor) {
+      const cursor = decodeFeedCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: 'Invalid contest cursor.' });
+      }
+      clauses.push('(starts_at < $cursorAt OR (starts_at = $cursorAt AND id < $cursorId))');
+      params.$cursorAt = cursor.createdAt;
+      params.$cursorId = cursor.id;
+    }
+    const rows = await db.all(
+      `SELECT * FROM contest_weeks WHERE ${clauses.join(' AND ')}
+       ORDER BY starts_at DESC, id DESC LIMIT $limit`,
+      params
+    );
+    const pageRows = rows.slice(0, limit);
+    const last = pageRows[pageRows.length - 1];
+    res.json({
+      contests: await contests.summarizeContests(db, pageRows),
+      nextCursor: rows.length > limit ? encodeFeedCursor({ created_at: last.starts_at, id: last.id }) : null,
+    });
+  } catch (error) {
+    console.error('Failed to load contest history', error);
+    res.status(500).json({ error: 'Failed to load contest history.' });
+  }
+});
+
+app.get('/api/contests/leaderboard', requireAuth, async (req, res) => {
+  try {
+    const scope = req.query.scope || 'season';
+    if (!CONTEST_LEADERBOARD_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: 'Leaderboard scope must be season or all-time.' });
+    }
+    const season = scope === 'season' ? contests.seasonFor() : null;
+    const records = await contests.buildLeaderboard(db, { since: season ? season.startsAt : 0 });
+    res.json({ scope, season, records });
+  } catch (error) {
+    console.error('Failed to load contest leaderboard', error);
+    res.status(500).json({ error: 'Failed to load contest leaderboard.' });
+  }
+});
+
+app.get('/api/contests/:contestId', requireAuth, async (req, res) => {
+  try {
+    const contest = await contests.getContestDetail(db, req.params.contestId);
+    // Like the state, only list captures whose drop the viewer may see.
+    const captureRows = await db.all(
+      `SELECT * FROM contest_captures
+       WHERE contest_id = $contestId AND post_id IN (${VISIBLE_POSTS_SQL})
+       ORDER BY created_at`,
+      { $contestId: contest.id, $viewerId: req.userId }
+    );
+    res.json({ contest: { ...contest, captures: captureRows.map(mapContestCapture) } });
+  } catch (error) {
+    console.error('Failed to load contest', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to load contest.' });
+    }
+  }
+});
+
+app.post('/api/contest/captures/:captureId/accept', requireAuth, async (req, res) => {
+  try {
+    const capture = await db.get(
+      'SELECT * FROM contest_captures WHERE id = ? AND ghost_id = ?',
+      req.params.captureId,
+      req.userId
+    );
+    if (!capture) {
+      return res.status(404).json({ error: 'Capture not found.' });
+    }
+    if (capture.status !== 'pending') {
+      return res.status(409).json({ error: 'This capture has already been settled.' });
+    }
+    await confirmContestCapture(capture);
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to accept capture', error);
+    res.status(500).json({ error: 'Failed to accept capture.' });
+  }
+});
+
+// Disputing holds the capture in review: the ghost stays in the game until a
+// moderator either voids it or lets it stand.
+app.post('/api/contest/captures/:captureId/dispute', requireAuth, async (req, res) => {
+  try {
+    const capture = await db.get(
+      'SELECT * FROM contest_captures WHERE id = ? AND ghost_id = ?',
+      req.params.captureId,
+      req.userId
+    );
+    if (!capture) {
+      return res.status(404).json({ error: 'Capture not found.' });
+    }
+    if (capture.status !== 'pending') {
+      return res.status(409).json({ error: 'This capture can no longer be disputed.' });
+    }
+    await moderation.createCaptureDispute(db, {
+      ghostId: req.userId,
+      captureId: capture.id,
+      reason: req.body.reason,
+    });
+    await db.run(`UPDATE contest_captures SET status = 'disputed' WHERE id = ?`, capture.id);
+    await createInboxEntry({
+      recipientId: capture.hunter_id,
+      senderId: req.userId,
+      postId: capture.post_id,
+      type: 'contest_disputed',
+      message: 'They disputed your capture. A moderator will review it before it counts.',
+    });
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to dispute capture', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to dispute capture.' });
+    }
+  }
+});
+
+app.patch('/api/users/me', requireAuth, async (req, res) => {
+  try {
+    const { updates, error } = readProfileFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const { avatarMediaId } = req.body;
+    if (avatarMediaId !== undefined) {
+      const media = avatarMediaId
+        ? await db.get(
+            `SELECT id FROM media WHERE id = ? AND owner_id = ? AND mime LIKE 'image/%'`,
+            String(avatarMediaId),
+            req.userId
+          )
+        : null;
+      if (avatarMediaId && !media) {
+        return res.status(400).json({ error: 'Upload the avatar image before saving it.' });
+      }
+      updates.avatar_media_id = media?.id || null;
+      updates.avatar = null;
+    }
+    if (req.body.autoApproveDrops !== undefined) {
+      updates.auto_approve_drops = req.body.autoApproveDrops ? 1 : 0;
+    }
+    const columns = Object.keys(updates);
+    if (!columns.length) {
+      return res.status(400).json({ error: 'Nothing to update.' });
+    }
+    await db.run(
+      `UPDATE users SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id = ?`,
+      [...Object.values(updates), req.userId]
+    );
+    const row = await db.get('SELECT * FROM users WHERE id = ?', req.userId);
+    // Location is left out so a profile edit cannot leak it past a block.
+    const user = mapPublicUserRow(row);
+    delete user.location;
+    realtime.broadcast('user', { user });
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to update profile', error);
+    res.status(500).json({ error: 'Failed to update profile.' });
+  }
+});
+
+app.get('/api/push/public-key', (req, res) => {
+  res.json({ publicKey: pushSender.publicKey });
+});
+
+app.post('/api/push/subscribe', requireAuth, async (req, res) => {
+  try {
+    await push.saveSubscription(db, req.userId, req.body.subscription, { allowStandIn: PUSH_STAND_IN });
+    res.status(201).json({ subscribed: true });
+  } catch (error) {
+    console.error('Failed to save push subscription', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to subscribe to push notifications.' });
+    }
+  }
+});
+
+app.post('/api/push/unsubscribe', requireAuth, async (req, res) => {
+  try {
+    await push.removeSubscription(db, req.userId, req.body.endpoint);
+    res.status(204).end();
+  } catch (error) {
+    console.error('Failed to remove push subscription', error);
+    res.status(500).json({ error: 'Failed to unsubscribe from push notifications.' });
+  }
+});
+
+// PUSH_STAND_IN=true mounts a fake push service for local testing. Point a
+// subscription's endpoint at /api/push/stand-in/<any id> and read back what the
+// server delivered there with a GET on the same URL.
+if (PUSH_STAND_IN) {
+  const standInDeliveries = new Map();
+  const expiredStandIns = new Set();
+  // The body is read by hand: it is encrypted (Content-Encoding: aes128gcm),
+  // which express.raw() would refuse as an unknown compression.
+  app.post('/api/push/stand-in/:id', (req, res) => {
+    // Like a real push service, a subscription that was deleted answers 410 Gone.
+    if (expiredStandIns.has(req.params.id)) {
+      return res.status(410).end();
+    }
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const deliveries = standInDeliveries.get(req.params.id) || [];
+      deliveries.push({
+        receivedAt: Date.now(),
+        ttl: Number(req.get('TTL')),
+        encoding: req.get('Content-Encoding') || null,
+        vapid: /^vapid t=/.test(req.get('Authorization') || ''),
+        bytes: body.length,
+        body: body.length ? body.toString('base64') : null,
+      });
+      standInDeliveries.set(req.params.id, deliveries.slice(-50));
+      res.status(201).end();
+    });
+  });
+  app.get('/api/push/stand-in/:id', (req, res) => {
+    res.json({ deliveries: standInDeliveries.get(req.params.id) || [] });
+  });
+  app.delete('/api/push/stand-in/:id', (req, res) => {
+    standInDeliveries.delete(req.params.id);
+    expiredStandIns.add(req.params.id);
+    res.status(204).end();
+  });
+}
+
+app.patch('/api/users/me/notifications', requireAuth, async (req, res) => {
+  try {
+    await notifications.updateNotificationPreferences(db, req.userId, req.body);
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to update notification preferences', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to update notification preferences.' });
+    }
+  }
+});
+
+app.post('/api/users/me/faces', requireAuth, async (req, res) => {
+  try {
+    await faces.enrollFaceReference(db, req.userId, req.body.embedding);
+    const state = await buildState(req.userId);
+    res.status(201).json(state);
+  } catch (error) {
+    console.error('Failed to enroll reference selfie', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to save reference selfie.' });
+    }
+  }
+});
+
+app.delete('/api/users/me/faces/:id', requireAuth, async (req, res) => {
+  try {
+    await faces.deleteFaceReference(db, req.userId, req.params.id);
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to remove reference selfie', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to remove reference selfie.' });
+    }
+  }
+});
+
+app.post('/api/faces/match', requireAuth, async (req, res) => {
+  try {
+    const contest = await ensureActiveContest(req.userId);
+    const matches = await faces.suggestFaceMatches(db, req.userId, req.body.embeddings, contest?.id || null);
+    res.json({ matches });
+  } catch (error) {
+    console.error('Failed to match faces', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to match faces.' });
+    }
+  }
+});
+
+// Wrong current passwords answer 403 rather than 401 so the client does not
+// mistake them for an expired session.
+app.post('/api/users/me/email', requireAuth, async (req, res) => {
+  try {
+    const { email, currentPassword } = req.body;
+    const row = await db.get('SELECT * FROM users WHERE id = ?', req.userId);
+    if (!currentPassword || !(await bcrypt.compare(String(currentPassword), row.password_hash))) {
+      return res.status(403).json({ error: 'Current password is incorrect.' });
+    }
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      return res.status(400).json({ error: 'Enter a valid email address.' });
+    }
+    if (normalizedEmail === row.email) {
+      return res.status(400).json({ error: 'That is already your email.' });
+    }
+    const existing = await db.get('SELECT id FROM users WHERE email = ?', normalizedEmail);
+    if (existing) {
+      return res.status(409).json({ error: 'Email already in use.' });
+    }
+    await db.run('UPDATE users SET pending_email = ? WHERE id = ?', normalizedEmail, req.userId);
+    await sendEmailChangeConfirmation(row, normalizedEmail);
+    const state = await buildState(req.userId);
+    res.json(state);
+  } catch (error) {
+    console.error('Failed to start email change', error);
+    res.status(500).json({ error: 'Failed to change email.' });
+  }
+});
+
+app.post('/api/users/me/password', requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const row = await db.get('SELECT * FROM users WHERE id = ?', req.userId);
+    if (!currentPassword || !(await bcrypt.compare(String(currentPassword), row.password_hash))) {
+      return res.status(403).json({ error: 'Current password is incorrect.' });
+    }
+    if (!newPassword || String(newPassword).length < PASSWORD_MIN_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters.` });
+    }
+    const hash = await bcrypt.hash(String(newPassword), 12);
+    await db.run('UPDATE users SET password_hash = ? WHERE id = ?', hash, req.userId);
+    // Keep this device signed in but end every other session.
+    const revoked = await sessions.revokeUserSessions(db, req.userId, { except: req.sessionId });
+    realtime.disconnectSessions(req.userId, revoked);
+    await sendAccountChangeNotice(row.email, row.display_name, 'The password on your Kandid account was changed.');
+    res.status(204).end();
+  } catch (error) {
+    console.error('Failed to change password', error);
+    res.status(500).json({ error: 'Failed to change password.' });
+  }
+});
+
+app.delete('/api/users/me', requireAuth, async (req, res) => {
+  try {
+    const row = await db.get('SELECT * FROM users WHERE id = ?', req.userId);
+    if (!req.body.password || !(await bcrypt.compare(String(req.body.password), row.password_hash))) {
+      return res.status(403).json({ error: 'Password is incorrect.' });
+    }
+    const deletionScheduledFor = await accounts.scheduleAccountDeletion(db, req.userId);
+    const revoked = await sessions.revokeUserSessions(db, req.userId);
+    realtime.disconnectSessions(req.userId, revoked);
+    await sendAccountChangeNotice(
+      row.email,
+      row.display_name,
+      `Your Kandid account will be permanently deleted on ${new Date(deletionScheduledFor).toUTCString()}. Log in before then to keep it.`
+    );
+    res.status(202).json({ deletionScheduledFor });
+  } catch (error) {
+    console.error('Failed to schedule account deletion', error);
+    res.status(500).json({ error: 'Failed to delete account.' });
+  }
+});
+
+app.get('/api/users/me/export', requireAuth, async (req, res) => {
+  try {
+    const exported = await accounts.buildAccountExport(db, MEDIA_DIR, req.userId);
+    const date = new Date(exported.bundle.exportedAt).toISOString().slice(0, 10);
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', `attachment; filename="kandid-export-${date}.zip"`);
+    await accounts.writeExportArchive(exported, res);
+  } catch (error) {
+    console.error('Failed to export account data', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Failed to export your data.' });
+    }
+  }
+});
+
+app.post('/api/reports', requireAuth, async (req, res) => {
+  try {
+    const { targetType, targetId, reason } = req.body;
+    // Only content the reporter can actually see may be reported.
+    let target = null;
+    if (targetType === 'post') {
+      target = await getVisiblePost(targetId, req.userId);
+    } else if (targetType === 'comment') {
+      target = await db.get(
+        `SELECT id FROM comments WHERE id = $commentId AND post_id IN (${VISIBLE_POSTS_SQL})`,
+        { $commentId: targetId, $viewerId: req.userId }
+      );
+    } else if (targetType === 'user') {
+      target = await db.get('SELECT id FROM users WHERE id = ? AND suspended_at IS NULL', targetId);
+    } else {
+      return res.status(400).json({ error: 'Reports must target a post, comment, or user.' });
+    }
+    if (!target) {
+      return res.status(404).json({ error: 'Nothing to report here.' });
+    }
+    const reportId = await moderation.createReport(db, { reporterId: req.userId, targetType, targetId, reason });
+    res.status(201).json({ reportId });
+  } catch (error) {
+    console.error('Failed to file report', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to file report.' });
+    }
+  }
+});
+
+app.get('/api/admin/reports', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const reports = await moderation.listReports(db, { status: req.query.status || 'open' });
+    res.json({ reports });
+  } catch (error) {
+    console.error('Failed to list reports', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to load reports.' });
+    }
+  }
+});
+
+app.post('/api/admin/reports/:reportId/resolve', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await moderation.resolveReport(db, {
+      reportId: req.params.reportId,
+      action: req.body.action,
+      moderatorId: req.userId,
+    });
+    if (result.hiddenPostIds.length) {
+      realtime.broadcast('post_removed', { postIds: result.hiddenPostIds });
+    }
+    if (result.deletedComment) {
+      realtime.broadcast('comment_removed', {
+        postId: result.deletedComment.postId,
+        commentId: result.deletedComment.id,
+      });
+    }
+    if (result.suspendedUserId) {
+      const revoked = await sessions.revokeUserSessions(db, result.suspendedUserId);
+      realtime.disconnectSessions(result.suspendedUserId, revoked);
+      realtime.broadcast('user_removed', { userId: result.suspendedUserId });
+    }
+    if (result.capture) {
+      await settleDisputedCapture(result.capture.row, result.capture.voided);
+    }
+    const reports = await moderation.listReports(db, { status: 'open' });
+    res.json({ reports });
+  } catch (error) {
+    console.error('Failed to resolve report', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to resolve report.' });
+    }
+  }
+});
+
+app.get('/api/admin/contest-configs', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const configs = await contestConfig.listContestConfigs(db);
+    res.json({ configs });
+  } catch (error) {
+    console.error('Failed to list contest configs', error);
+    res.status(500).json({ error: 'Failed to load contest configs.' });
+  }
+});
+
+app.post('/api/admin/contest-configs', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const config = await contestConfig.createContestConfig(db, req.body);
+    await ensureActiveContests();
+    res.status(201).json({ config });
+  } catch (error) {
+    console.error('Failed to create contest config', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to create contest config.' });
+    }
+  }
+});
+
+app.patch('/api/admin/contest-configs/:configId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const config = await contestConfig.updateContestConfig(db, req.params.configId, req.body);
+    await ensureActiveContests();
+    res.json({ config });
+  } catch (error) {
+    console.error('Failed to update contest config', error);
+    if (error.statusCode) {
+      res.status(error.statusCode).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to update contest config.' });
+    }
+  }
+});
+
 app.get('*', (req, res) => {
   if (req.path.startsWith('/api/')) {
     return res.status(404).json({ error: 'Not found' });
@@ -785,9 +3036,74 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(staticRoot, 'index.html'));
 });
 
+// Only accounts that proved they own a configured address are promoted, so
+// registering with an admin's email is not enough. Runs on startup and again
+// whenever an address is verified.
+async function promoteConfiguredAdmins() {
+  if (!ADMIN_EMAILS.length) return;
+  await db.run(
+    `UPDATE users SET role = 'admin'
+     WHERE email IN (${ADMIN_EMAILS.map(() => '?').join(',')}) AND email_verified_at IS NOT NULL`,
+    ADMIN_EMAILS
+  );
+}
+
+async function purgeDeletedAccounts() {
+  try {
+    const count = await accounts.purgeDueAccounts(db, MEDIA_DIR);
+    if (count) {
+      console.log(`Deleted ${count} account(s) past their grace period`);
+    }
+  } catch (error) {
+    console.error('Failed to purge deleted accounts', error);
+  }
+}
+
+// Scores contest weeks once they are over. A week waits until none of its
+// captures are pending, so catches made just before the end still count.
+async function settleEndedContests() {
+  try {
+    const now = Date.now();
+    await confirmDueContestCaptures(now);
+    const ended = await db.all(
+      `SELECT * FROM contest_weeks w
+       WHERE w.ends_at <= $now AND w.settled_at IS NULL
+         AND (
+           w.ends_at + $grace <= $now
+           OR NOT EXISTS (SELECT 1 FROM contest_captures c WHERE c.contest_id = w.id AND c.status IN ('pending', 'disputed'))
+         )
+       ORDER BY w.ends_at`,
+      { $now: now, $grace: CONTEST_SETTLE_GRACE_MS }
+    );
+    for (const contest of ended) {
+      const results = await runInTransaction((connection) => contests.settleContest(connection, contest, now));
+      if (now - contest.ends_at > CONTEST_RESULT_NOTICE_MS) continue;
+      for (const result of results) {
+        await createInboxEntry({
+          recipientId: result.userId,
+          senderId: result.userId,
+          type: 'contest_result',
+          message: contests.describeResult(result, contest),
+          createdAt: now,
+        });
+      }
+    }
+  } catch (error) {
+    console.error('Failed to settle contests', error);
+  }
+}
+
 initializeDatabase()
   .then((database) => {
     db = database;
+    return promoteConfiguredAdmins();
+  })
+  .then(() => contestConfig.ensureDefaultContestConfig(db))
+  .then(() => {
+    purgeDeletedAccounts();
+    setInterval(purgeDeletedAccounts, ACCOUNT_PURGE_INTERVAL_MS).unref();
+    settleEndedContests();
+    setInterval(settleEndedContests, CONTEST_SETTLE_INTERVAL_MS).unref();
     app.listen(PORT, () => {
       console.log(`Kandid API listening on port ${PORT}`);
     });
@@ -0,0 +1,58 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const DEFAULT_FROM = 'Kandid <no-reply@kandid.local>';
+
+function formatMessage({ from, to, subject, text, date }) {
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${subject}`,
+    `Date: ${date.toUTCString()}`,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    text,
+    '',
+  ].join('\r\n');
+}
+
+// Each transport takes a fully addressed message. Add a new one (SMTP, an
+// HTTP provider, ...) here and select it with MAIL_TRANSPORT.
+const transports = {
+  outbox({ outboxDir }) {
+    return {
+      async send(message) {
+        await fs.promises.mkdir(outboxDir, { recursive: true });
+        const fileName = `${message.date.getTime()}-${crypto.randomUUID()}.eml`;
+        const target = path.join(outboxDir, fileName);
+        await fs.promises.writeFile(target, formatMessage(message));
+        console.info(`Mail to ${message.to} written to ${target}`);
+      },
+    };
+  },
+  console() {
+    return {
+      async send(message) {
+        console.info(`--- mail ---\n${formatMessage(message)}--- end mail ---`);
+      },
+    };
+  },
+};
+
+function createMailer({ transport = 'outbox', from = DEFAULT_FROM, ...options } = {}) {
+  const createTransport = transports[transport];
+  if (!createTransport) {
+    throw new Error(`Unknown mail transport "${transport}". Use one of: ${Object.keys(transports).join(', ')}.`);
+  }
+  const instance = createTransport(options);
+  return {
+    send({ to, subject, text }) {
+      return instance.send({ from, to, subject, text, date: new Date() });
+    },
+  };
+}
+
+module.exports = {
+  createMailer,
+};
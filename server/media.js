@@ -0,0 +1,607 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const MAX_MEDIA_BYTES = 8 * 1024 * 1024;
+const MAX_VIDEO_BYTES = 16 * 1024 * 1024;
+const MAX_VIDEO_DURATION_MS = 10 * 1000;
+// Clips are stored as uploaded; their poster frame goes through the normal image
+// pipeline and is kept as the small/medium renditions plus this full-size one.
+const POSTER_VARIANT = 'poster';
+// HEIC/AVIF photos share the MP4 container; they are not clips.
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1', 'avif', 'avis'];
+const FULL_MAX_DIMENSION = 2048;
+const RENDITION_SIZES = {
+  small: 320,
+  medium: 1080,
+};
+const RENDITION_MIME = 'image/webp';
+const RENDITION_QUALITY = 82;
+const MEDIA_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/webm': 'webm',
+  'video/mp4': 'mp4',
+};
+
+function mediaError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function decodeDataUrl(dataUrl) {
+  const match = /^data:([\w/+.-]+)?(;base64)?,(.*)$/s.exec(String(dataUrl || ''));
+  if (!match) {
+    throw mediaError('Image must be a data URL.');
+  }
+  const [, , isBase64, payload] = match;
+  if (isBase64) return Buffer.from(payload, 'base64');
+  try {
+    return Buffer.from(decodeURIComponent(payload), 'utf8');
+  } catch (error) {
+    throw mediaError('Image data URL is not encoded correctly.');
+  }
+}
+
+function readJpegSize(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    const length = buffer.readUInt16BE(offset + 2);
+    // SOF0-SOF15 carry the frame size; C4, C8 and CC are other segment types.
+    const isFrameHeader = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isFrameHeader) {
+      return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function readWebpSize(buffer) {
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// Identify the image from its magic bytes rather than trusting the declared type.
+function inspectImage(buffer) {
+  if (buffer.length >= 24 && buffer.toString('ascii', 1, 4) === 'PNG') {
+    return { mime: 'image/png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return { mime: 'image/jpeg', ...(readJpegSize(buffer) || { width: null, height: null }) };
+  }
+  if (buffer.length >= 10 && buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { mime: 'image/gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (buffer.length >= 30 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return { mime: 'image/webp', ...(readWebpSize(buffer) || { width: null, height: null }) };
+  }
+  return null;
+}
+
+// EBML variable-length integers: the count of leading zero bits in the first
+// byte gives the length. IDs keep their marker bit, sizes drop it.
+function readVint(buffer, offset, keepMarker) {
+  const first = buffer[offset];
+  if (!first) return null;
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+  let value = keepMarker ? first : first & (0xff >> length);
+  let unknown = value === (0xff >> length);
+  for (let i = 1; i < length; i += 1) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) unknown = false;
+  }
+  return { value, length, unknown: !keepMarker && unknown };
+}
+
+const WEBM_IDS = {
+  segment: 0x18538067,
+  info: 0x1549a966,
+  timecodeScale: 0x2ad7b1,
+  duration: 0x4489,
+  cluster: 0x1f43b675,
+  clusterTimecode: 0xe7,
+  blockGroup: 0xa0,
+  block: 0xa1,
+  simpleBlock: 0xa3,
+};
+const WEBM_CONTAINERS = new Set([WEBM_IDS.segment, WEBM_IDS.info, WEBM_IDS.cluster, WEBM_IDS.blockGroup]);
+
+// Browsers write WebM while recording, so the Duration field is often missing;
+// the last block's timestamp is used instead.
+function readWebmDuration(buffer) {
+  let scale = 1000000;
+  let declared = null;
+  let clusterTime = 0;
+  let lastBlock = 0;
+  let offset = 0;
+  while (offset < buffer.length) {
+    const id = readVint(buffer, offset, true);
+    const size = id && readVint(buffer, offset + id.length, false);
+    if (!size) break;
+    const start = offset + id.length + size.length;
+    const end = size.unknown ? buffer.length : Math.min(start + size.value, buffer.length);
+    if (WEBM_CONTAINERS.has(id.value)) {
+      offset = start;
+      continue;
+    }
+    if (end <= start) {
+      offset = end;
+      continue;
+    }
+    if (id.value === WEBM_IDS.timecodeScale) {
+      scale = buffer.readUIntBE(start, Math.min(end - start, 6));
+    } else if (id.value === WEBM_IDS.duration) {
+      declared = end - start === 8 ? buffer.readDoubleBE(start) : buffer.readFloatBE(start);
+    } else if (id.value === WEBM_IDS.clusterTimecode) {
+      clusterTime = buffer.readUIntBE(start, Math.min(end - start, 6));
+    } else if ((id.value === WEBM_IDS.simpleBlock || id.value === WEBM_IDS.block) && end - start > 4) {
+      const track = readVint(buffer, start, false);
+      if (track) lastBlock = Math.max(lastBlock, clusterTime + buffer.readInt16BE(start + track.length));
+    }
+    offset = end;
+  }
+  const ticks = declared || lastBlock;
+  return ticks ? Math.round((ticks * scale) / 1000000) : null;
+}
+
+function mp4Boxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    let header = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) break;
+    boxes.push({ type: buffer.toString('ascii', offset + 4, offset + 8), offset, start: offset + header, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+}
+
+function childBox(buffer, box, type) {
+  return box && mp4Boxes(buffer, box.start, box.end).find((child) => child.type === type);
+}
+
+function readFullBoxTime(buffer, box, timeOffset) {
+  const version = buffer[box.start];
+  return version === 1
+    ? Number(buffer.readBigUInt64BE(box.start + timeOffset + 8))
+    : buffer.readUInt32BE(box.start + timeOffset);
+}
+
+// The movie header has the length for ordinary files. Fragmented files (what
+// Safari records) leave it at zero, so the first track's sample durations are
+// added up from the fragments instead.
+function readMp4Duration(buffer) {
+  const top = mp4Boxes(buffer);
+  const moov = top.find((box) => box.type === 'moov');
+  const mvhd = childBox(buffer, moov, 'mvhd');
+  if (!mvhd) return null;
+  const version = buffer[mvhd.start];
+  const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+  const duration = readFullBoxTime(buffer, mvhd, version === 1 ? 24 : 16);
+  if (duration && timescale) return Math.round((duration * 1000) / timescale);
+
+  const mehd = childBox(buffer, childBox(buffer, moov, 'mvex'), 'mehd');
+  if (mehd && timescale) {
+    const fragmentDuration = readFullBoxTime(buffer, mehd, 4);
+    if (fragmentDuration) return Math.round((fragmentDuration * 1000) / timescale);
+  }
+
+  const trak = childBox(buffer, moov, 'trak');
+  const mdhd = childBox(buffer, childBox(buffer, trak, 'mdia'), 'mdhd');
+  const tkhd = childBox(buffer, trak, 'tkhd');
+  if (!mdhd || !tkhd) return null;
+  const trackId = buffer.readUInt32BE(tkhd.start + (buffer[tkhd.start] === 1 ? 20 : 12));
+  const trackScale = buffer.readUInt32BE(mdhd.start + (buffer[mdhd.start] === 1 ? 20 : 12));
+  let total = 0;
+  top
+    .filter((box) => box.type === 'moof')
+    .forEach((moof) => {
+      mp4Boxes(buffer, moof.start, moof.end)
+        .filter((box) => box.type === 'traf')
+        .forEach((traf) => {
+          const tfhd = childBox(buffer, traf, 'tfhd');
+          if (!tfhd || buffer.readUInt32BE(tfhd.start + 4) !== trackId) return;
+          const tfhdFlags = buffer.readUIntBE(tfhd.start + 1, 3);
+          let defaultDuration = 0;
+          if (tfhdFlags & 0x08) {
+            let field = tfhd.start + 8;
+            if (tfhdFlags & 0x01) field += 8;
+            if (tfhdFlags & 0x02) field += 4;
+            defaultDuration = buffer.readUInt32BE(field);
+          }
+          mp4Boxes(buffer, traf.start, traf.end)
+            .filter((box) => box.type === 'trun')
+            .forEach((trun) => {
+              const flags = buffer.readUIntBE(trun.start + 1, 3);
+              const count = buffer.readUInt32BE(trun.start + 4);
+              if (!(flags & 0x100)) {
+                total += count * defaultDuration;
+                return;
+              }
+              let field = trun.start + 8 + (flags & 0x01 ? 4 : 0) + (flags & 0x04 ? 4 : 0);
+              const sampleSize = [0x100, 0x200, 0x400, 0x800].filter((flag) => flags & flag).length * 4;
+              for (let i = 0; i < count && field + 4 <= trun.end; i += 1, field += sampleSize) {
+                total += buffer.readUInt32BE(field);
+              }
+            });
+        });
+    });
+  return total && trackScale ? Math.round((total * 1000) / trackScale) : null;
+}
+
+// Phones write capture location into udta/meta boxes. Renaming them to `free`
+// keeps every offset in the file valid while players skip their contents.
+function stripMp4Metadata(buffer) {
+  const clean = Buffer.from(buffer);
+  const visit = (start, end) => {
+    mp4Boxes(clean, start, end).forEach((box) => {
+      if (box.type === 'udta' || box.type === 'meta') {
+        clean.write('free', box.offset + 4, 'ascii');
+      } else if (box.type === 'moov' || box.type === 'trak') {
+        visit(box.start, box.end);
+      }
+    });
+  };
+  visit(0, clean.length);
+  return clean;
+}
+
+// Like inspectImage, goes by magic bytes. A truncated or malformed container
+// comes back without a duration and is turned away by storeVideo.
+function inspectVideo(buffer) {
+  const readDuration = (read) => {
+    try {
+      return read(buffer);
+    } catch (error) {
+      return null;
+    }
+  };
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1a45dfa3) {
+    return { mime: 'video/webm', durationMs: readDuration(readWebmDuration) };
+  }
+  const isIsoMedia = buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp';
+  if (isIsoMedia && !HEIF_BRANDS.includes(buffer.toString('ascii', 8, 12))) {
+    return { mime: 'video/mp4', durationMs: readDuration(readMp4Duration) };
+  }
+  return null;
+}
+
+function isVideoMime(mime) {
+  return Boolean(mime && mime.startsWith('video/'));
+}
+
+function mediaPathFor(mediaDir, hash, mime) {
+  return path.join(mediaDir, hash.slice(0, 2), hash.slice(2, 4), `${hash}.${MEDIA_EXTENSIONS[mime]}`);
+}
+
+async function writeMediaFile(mediaDir, hash, mime, buffer) {
+  const target = mediaPathFor(mediaDir, hash, mime);
+  if (fs.existsSync(target)) return target;
+  await fs.promises.mkdir(path.dirname(target), { recursive: true });
+  const temp = `${target}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(temp, buffer);
+  await fs.promises.rename(temp, target);
+  return target;
+}
+
+function hashBuffer(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// sharp drops EXIF/XMP metadata (GPS tags included) unless asked to keep it;
+// rotate() with no angle bakes the EXIF orientation into the pixels first.
+async function encodeRendition(buffer, maxDimension) {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: RENDITION_QUALITY })
+    .toBuffer({ resolveWithObject: true });
+  return { buffer: data, mime: RENDITION_MIME, width: info.width, height: info.height };
+}
+
+async function writeRenditions(mediaDir, buffer) {
+  let full;
+  const encoded = {};
+  try {
+    full = await encodeRendition(buffer, FULL_MAX_DIMENSION);
+    for (const [variant, maxDimension] of Object.entries(RENDITION_SIZES)) {
+      encoded[variant] = await encodeRendition(full.buffer, maxDimension);
+    }
+  } catch (error) {
+    throw mediaError('Could not process this image.', 422);
+  }
+
+  const stored = {};
+  for (const [variant, rendition] of Object.entries({ full, ...encoded })) {
+    const hash = hashBuffer(rendition.buffer);
+    await writeMediaFile(mediaDir, hash, rendition.mime, rendition.buffer);
+    stored[variant] = {
+      hash,
+      mime: rendition.mime,
+      size: rendition.buffer.length,
+      width: rendition.width,
+      height: rendition.height,
+    };
+  }
+  return stored;
+}
+
+async function insertRenditionRows(db, mediaId, stored, variants = Object.keys(RENDITION_SIZES)) {
+  for (const variant of variants) {
+    const rendition = stored[variant];
+    await db.run(
+      `INSERT OR REPLACE INTO media_renditions (media_id, variant, hash, mime, size, width, height)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [mediaId, variant, rendition.hash, rendition.mime, rendition.size, rendition.width, rendition.height]
+    );
+  }
+}
+
+async function storeVideo(db, mediaDir, { buffer, video, poster, live, ownerId, createdAt, capturedAt }) {
+  if (buffer.length > MAX_VIDEO_BYTES) {
+    throw mediaError('Clip is too large.', 413);
+  }
+  if (!video.durationMs) {
+    throw mediaError('Could not read the length of this clip.', 422);
+  }
+  if (video.durationMs > MAX_VIDEO_DURATION_MS) {
+    throw mediaError(`Clips can be at most ${MAX_VIDEO_DURATION_MS / 1000} seconds long.`, 413);
+  }
+  if (!poster || !poster.length) {
+    throw mediaError('Send a poster frame with the clip.');
+  }
+  if (poster.length > MAX_MEDIA_BYTES || !inspectImage(poster)) {
+    throw mediaError('The poster frame must be a PNG, JPEG, GIF, or WebP image.', 415);
+  }
+
+  const sourceHash = hashBuffer(buffer);
+  const existing = await db.get('SELECT * FROM media WHERE source_hash = ? AND owner_id = ?', sourceHash, ownerId);
+  if (existing) return existing;
+
+  const clip = video.mime === 'video/mp4' ? stripMp4Metadata(buffer) : buffer;
+  const hash = hashBuffer(clip);
+  await writeMediaFile(mediaDir, hash, video.mime, clip);
+  const stored = await writeRenditions(mediaDir, poster);
+  const row = {
+    id: crypto.randomUUID(),
+    hash,
+    source_hash: sourceHash,
+    owner_id: ownerId,
+    mime: video.mime,
+    size: clip.length,
+    width: stored.full.width,
+    height: stored.full.height,
+    duration_ms: video.durationMs,
+    live: live ? 1 : 0,
+    created_at: createdAt,
+    camera_captured_at: capturedAt,
+  };
+  await db.run(
+    `INSERT INTO media
+       (id, hash, source_hash, owner_id, mime, size, width, height, duration_ms, live, created_at, camera_captured_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.id,
+      row.hash,
+      row.source_hash,
+      row.owner_id,
+      row.mime,
+      row.size,
+      row.width,
+      row.height,
+      row.duration_ms,
+      row.live,
+      row.created_at,
+      row.camera_captured_at,
+    ]
+  );
+  await insertRenditionRows(db, row.id, { ...stored, [POSTER_VARIANT]: stored.full }, [
+    ...Object.keys(RENDITION_SIZES),
+    POSTER_VARIANT,
+  ]);
+  return row;
+}
+
+// `poster` and `live` only apply to clips: a clip needs a still frame to show
+// before it plays, and a live photo is a clip shown as a still until pressed.
+// `capturedAt` is set for shots taken in the app's camera rather than picked
+// from the device, which is what contest captures require.
+async function storeMedia(
+  db,
+  mediaDir,
+  { buffer, poster, live = false, ownerId, createdAt = Date.now(), capturedAt = null }
+) {
+  if (!buffer || !buffer.length) {
+    throw mediaError('Image is empty.');
+  }
+  const video = inspectVideo(buffer);
+  if (video) {
+    return storeVideo(db, mediaDir, { buffer, video, poster, live, ownerId, createdAt, capturedAt });
+  }
+  if (buffer.length > MAX_MEDIA_BYTES) {
+    throw mediaError('Image is too large.', 413);
+  }
+  if (!inspectImage(buffer)) {
+    throw mediaError('Unsupported image format. Use PNG, JPEG, GIF, or WebP.', 415);
+  }
+
+  const sourceHash = hashBuffer(buffer);
+  const existing = await db.get('SELECT * FROM media WHERE source_hash = ? AND owner_id = ?', sourceHash, ownerId);
+  if (existing) return existing;
+
+  const stored = await writeRenditions(mediaDir, buffer);
+  const row = {
+    id: crypto.randomUUID(),
+    hash: stored.full.hash,
+    source_hash: sourceHash,
+    owner_id: ownerId,
+    mime: stored.full.mime,
+    size: stored.full.size,
+    width: stored.full.width,
+    height: stored.full.height,
+    created_at: createdAt,
+    camera_captured_at: capturedAt,
+  };
+  await db.run(
+    `INSERT INTO media (id, hash, source_hash, owner_id, mime, size, width, height, created_at, camera_captured_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      row.id,
+      row.hash,
+      row.source_hash,
+      row.owner_id,
+      row.mime,
+      row.size,
+      row.width,
+      row.height,
+      row.created_at,
+      row.camera_captured_at,
+    ]
+  );
+  await insertRenditionRows(db, row.id, stored);
+  return row;
+}
+
+// Normalizes a media row that was stored as the raw upload, then deletes the
+// raw file (it may still carry location metadata) once nothing points at it.
+async function reprocessMedia(db, mediaDir, row) {
+  const sourcePath = mediaPathFor(mediaDir, row.hash, row.mime);
+  const buffer = await fs.promises.readFile(sourcePath);
+  const stored = await writeRenditions(mediaDir, buffer);
+  await db.run(
+    `UPDATE media SET hash = ?, source_hash = ?, mime = ?, size = ?, width = ?, height = ?
+     WHERE id = ?`,
+    [stored.full.hash, row.hash, stored.full.mime, stored.full.size, stored.full.width, stored.full.height, row.id]
+  );
+  await insertRenditionRows(db, row.id, stored);
+  const stillReferenced = await db.get('SELECT id FROM media WHERE hash = ?', row.hash);
+  if (!stillReferenced) {
+    await fs.promises.rm(sourcePath, { force: true });
+  }
+}
+
+// Deletes files (full size or rendition) that no media row points at anymore.
+async function removeUnreferencedFiles(db, mediaDir, files) {
+  for (const { hash, mime } of files) {
+    const referenced = await db.get(
+      'SELECT 1 FROM media WHERE hash = ? UNION ALL SELECT 1 FROM media_renditions WHERE hash = ? LIMIT 1',
+      hash,
+      hash
+    );
+    if (!referenced) {
+      await fs.promises.rm(mediaPathFor(mediaDir, hash, mime), { force: true });
+    }
+  }
+}
+
+// Drops the media row and its files once no post, album or avatar points at it any more.
+async function deleteMediaIfUnused(db, mediaDir, mediaId) {
+  if (!mediaId) return false;
+  const inUse = await db.get(
+    `SELECT 1 FROM posts WHERE media_id = $mediaId
+     UNION ALL SELECT 1 FROM post_media WHERE media_id = $mediaId
+     UNION ALL SELECT 1 FROM users WHERE avatar_media_id = $mediaId LIMIT 1`,
+    { $mediaId: mediaId }
+  );
+  if (inUse) return false;
+  const files = await db.all(
+    `SELECT hash, mime FROM media WHERE id = $mediaId
+     UNION
+     SELECT hash, mime FROM media_renditions WHERE media_id = $mediaId`,
+    { $mediaId: mediaId }
+  );
+  await db.run('DELETE FROM media WHERE id = ?', mediaId);
+  await removeUnreferencedFiles(db, mediaDir, files);
+  return true;
+}
+
+function mediaUrl(mediaId, variant = 'full') {
+  if (!mediaId) return null;
+  return variant === 'full' ? `/api/media/${mediaId}` : `/api/media/${mediaId}/${variant}`;
+}
+
+// For clips the plain URL is the video, so `full` points at the poster frame
+// and anything that only shows images keeps working.
+function mediaUrls(mediaId, mime) {
+  return {
+    small: mediaUrl(mediaId, 'small'),
+    medium: mediaUrl(mediaId, 'medium'),
+    full: isVideoMime(mime) ? mediaUrl(mediaId, POSTER_VARIANT) : mediaUrl(mediaId),
+  };
+}
+
+function mapMediaRow(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    url: mediaUrl(row.id),
+    urls: mediaUrls(row.id, row.mime),
+    mime: row.mime,
+    size: row.size,
+    width: row.width,
+    height: row.height,
+    durationMs: row.duration_ms || null,
+    live: Boolean(row.live),
+    camera: Boolean(row.camera_captured_at),
+    createdAt: row.created_at,
+  };
+}
+
+// One entry of a post's album as clients see it. `row` is a media row.
+function mapAlbumItem(row) {
+  if (!isVideoMime(row.mime)) {
+    return { id: row.id, type: 'image', images: mediaUrls(row.id) };
+  }
+  return {
+    id: row.id,
+    type: row.live ? 'live' : 'video',
+    images: mediaUrls(row.id, row.mime),
+    video: mediaUrl(row.id),
+    durationMs: row.duration_ms,
+  };
+}
+
+module.exports = {
+  MAX_MEDIA_BYTES,
+  MAX_VIDEO_BYTES,
+  RENDITION_SIZES,
+  POSTER_VARIANT,
+  decodeDataUrl,
+  inspectImage,
+  inspectVideo,
+  isVideoMime,
+  mediaPathFor,
+  storeMedia,
+  reprocessMedia,
+  removeUnreferencedFiles,
+  deleteMediaIfUnused,
+  mediaUrl,
+  mediaUrls,
+  mapMediaRow,
+  mapAlbumItem,
+};
@@ -0,0 +1,219 @@
+const { createId } = require('./database');
+const { mediaUrl } = require('./media');
+
+const REPORT_TARGET_TYPES = ['post', 'comment', 'user'];
+const REPORT_STATUSES = ['open', 'resolved', 'dismissed'];
+const REPORT_REASON_MAX_LENGTH = 300;
+
+// Each action applies to one kind of report target; dismiss closes any report.
+// Contest captures only reach the queue when their ghost disputes them, and
+// dismissing that dispute lets the capture stand.
+const MODERATION_ACTIONS = {
+  hide_post: 'post',
+  delete_comment: 'comment',
+  suspend_user: 'user',
+  void_capture: 'capture',
+  dismiss: null,
+};
+
+function moderationError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+async function findReportTarget(db, targetType, targetId) {
+  if (targetType === 'post') {
+    return db.get('SELECT * FROM posts WHERE id = ?', targetId);
+  }
+  if (targetType === 'comment') {
+    return db.get('SELECT * FROM comments WHERE id = ?', targetId);
+  }
+  if (targetType === 'capture') {
+    return db.get(
+      `SELECT c.*, p.media_id FROM contest_captures c
+       LEFT JOIN posts p ON p.id = c.post_id
+       WHERE c.id = ?`,
+      targetId
+    );
+  }
+  return db.get('SELECT * FROM users WHERE id = ?', targetId);
+}
+
+function normalizeReason(reason) {
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  if (!trimmedReason) {
+    throw moderationError('Tell us what is wrong with it.');
+  }
+  if (trimmedReason.length > REPORT_REASON_MAX_LENGTH) {
+    throw moderationError(`Keep the reason under ${REPORT_REASON_MAX_LENGTH} characters.`);
+  }
+  return trimmedReason;
+}
+
+// A reporter filing the same target twice while it is still open gets their
+// earlier report back instead of a duplicate.
+async function createReport(db, { reporterId, targetType, targetId, reason, now = Date.now() }) {
+  if (!REPORT_TARGET_TYPES.includes(targetType)) {
+    throw moderationError(`Report a ${REPORT_TARGET_TYPES.join(', a ')}.`);
+  }
+  const trimmedReason = normalizeReason(reason);
+  if (targetType === 'user' && targetId === reporterId) {
+    throw moderationError('You cannot report yourself.');
+  }
+  const existing = await db.get(
+    `SELECT id FROM reports
+     WHERE reporter_id = ? AND target_type = ? AND target_id = ? AND status = 'open'`,
+    reporterId,
+    targetType,
+    targetId
+  );
+  if (existing) return existing.id;
+
+  const id = createId();
+  await db.run(
+    `INSERT INTO reports (id, reporter_id, target_type, target_id, reason, status, created_at)
+     VALUES (?, ?, ?, ?, ?, 'open', ?)`,
+    [id, reporterId, targetType, targetId, trimmedReason, now]
+  );
+  return id;
+}
+
+// Opens a review of a contest capture on behalf of the ghost in it. Unlike
+// other reports this is not something anyone can file through /api/reports.
+async function createCaptureDispute(db, { ghostId, captureId, reason, now = Date.now() }) {
+  const id = createId();
+  await db.run(
+    `INSERT INTO reports (id, reporter_id, target_type, target_id, reason, status, created_at)
+     VALUES (?, ?, 'capture', ?, ?, 'open', ?)`,
+    [id, ghostId, captureId, normalizeReason(reason), now]
+  );
+  return id;
+}
+
+function summarizeTarget(targetType, row) {
+  if (!row) return null;
+  if (targetType === 'post') {
+    return {
+      authorId: row.author_id,
+      recipientId: row.recipient_id,
+      caption: row.caption,
+      image: row.media_id ? mediaUrl(row.media_id, 'small') : row.image,
+      createdAt: row.created_at,
+      hiddenAt: row.hidden_at || null,
+    };
+  }
+  if (targetType === 'comment') {
+    return { authorId: row.author_id, postId: row.post_id, text: row.text, createdAt: row.created_at };
+  }
+  if (targetType === 'capture') {
+    return {
+      hunterId: row.hunter_id,
+      ghostId: row.ghost_id,
+      postId: row.post_id,
+      challenge: row.challenge,
+      image: row.media_id ? mediaUrl(row.media_id, 'small') : null,
+      matchScore: row.match_score ?? null,
+      status: row.status,
+      createdAt: row.created_at,
+    };
+  }
+  return { displayName: row.display_name, email: row.email, suspendedAt: row.suspended_at || null };
+}
+
+async function listReports(db, { status = 'open' } = {}) {
+  if (!REPORT_STATUSES.includes(status)) {
+    throw moderationError(`Status must be one of: ${REPORT_STATUSES.join(', ')}.`);
+  }
+  const rows = await db.all(
+    `SELECT r.*, u.display_name AS reporter_name FROM reports r
+     JOIN users u ON u.id = r.reporter_id
+     WHERE r.status = ? ORDER BY r.created_at ${status === 'open' ? 'ASC' : 'DESC'}`,
+    status
+  );
+  const reports = [];
+  for (const row of rows) {
+    const target = await findReportTarget(db, row.target_type, row.target_id);
+    reports.push({
+      id: row.id,
+      reporterId: row.reporter_id,
+      reporterName: row.reporter_name,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      target: summarizeTarget(row.target_type, target),
+      reason: row.reason,
+      status: row.status,
+      action: row.action,
+      createdAt: row.created_at,
+      resolvedAt: row.resolved_at,
+      resolvedBy: row.resolved_by,
+    });
+  }
+  return reports;
+}
+
+// Applies the action to the reported content and closes every open report on
+// the same target. Returns what changed so the caller can notify clients.
+async function resolveReport(db, { reportId, action, moderatorId, now = Date.now() }) {
+  if (!Object.prototype.hasOwnProperty.call(MODERATION_ACTIONS, action)) {
+    throw moderationError(`Action must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}.`);
+  }
+  const report = await db.get('SELECT * FROM reports WHERE id = ?', reportId);
+  if (!report) {
+    throw moderationError('Report not found.', 404);
+  }
+  if (report.status !== 'open') {
+    throw moderationError('This report has already been handled.', 409);
+  }
+  const appliesTo = MODERATION_ACTIONS[action];
+  if (appliesTo && appliesTo !== report.target_type) {
+    throw moderationError(`"${action}" cannot be used on a ${report.target_type} report.`);
+  }
+
+  const result = { action, hiddenPostIds: [], deletedComment: null, suspendedUserId: null, capture: null };
+  const target = await findReportTarget(db, report.target_type, report.target_id);
+  if (action === 'hide_post' && target) {
+    // Reposts carry the same photo, so they are hidden along with it.
+    const posts = await db.all(
+      'SELECT id FROM posts WHERE (id = $postId OR original_post_id = $postId) AND hidden_at IS NULL',
+      { $postId: target.id }
+    );
+    await db.run(
+      'UPDATE posts SET hidden_at = $now WHERE (id = $postId OR original_post_id = $postId) AND hidden_at IS NULL',
+      { $now: now, $postId: target.id }
+    );
+    result.hiddenPostIds = posts.map((row) => row.id);
+  } else if (action === 'delete_comment' && target) {
+    await db.run('DELETE FROM comments WHERE id = ?', target.id);
+    result.deletedComment = { id: target.id, postId: target.post_id };
+  } else if (action === 'suspend_user' && target) {
+    if (target.role === 'admin') {
+      throw moderationError('Admins cannot be suspended.');
+    }
+    await db.run('UPDATE users SET suspended_at = COALESCE(suspended_at, ?) WHERE id = ?', now, target.id);
+    result.suspendedUserId = target.id;
+  } else if (report.target_type === 'capture' && target) {
+    result.capture = { row: target, voided: action === 'void_capture' };
+  }
+
+  await db.run(
+    `UPDATE reports SET status = $status, action = $action, resolved_at = $now, resolved_by = $moderatorId
+     WHERE target_type = $targetType AND target_id = $targetId AND status = 'open'`,
+    {
+      $status: action === 'dismiss' ? 'dismissed' : 'resolved',
+      $action: action,
+      $now: now,
+      $moderatorId: moderatorId,
+      $targetType: report.target_type,
+      $targetId: report.target_id,
+    }
+  );
+  return result;
+}
+
+module.exports = {
+  createReport,
+  createCaptureDispute,
+  listReports,
+  resolveReport,
+};
@@ -0,0 +1,62 @@
+// Inbox types a user can switch off. Drops, consent requests and contest
+// alerts always arrive because they need a decision or affect the game.
+const NOTIFICATION_TYPES = ['like', 'comment', 'repost', 'mention', 'follow'];
+
+function notificationError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+// Only opt-outs are stored, so every type defaults to on.
+async function getNotificationPreferences(db, userId) {
+  const rows = await db.all('SELECT type, enabled FROM notification_preferences WHERE user_id = ?', userId);
+  const preferences = Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, true]));
+  rows.forEach((row) => {
+    if (NOTIFICATION_TYPES.includes(row.type)) preferences[row.type] = Boolean(row.enabled);
+  });
+  return preferences;
+}
+
+async function isNotificationEnabled(db, userId, type) {
+  if (!NOTIFICATION_TYPES.includes(type)) return true;
+  const row = await db.get(
+    'SELECT enabled FROM notification_preferences WHERE user_id = ? AND type = ?',
+    userId,
+    type
+  );
+  return !row || Boolean(row.enabled);
+}
+
+async function updateNotificationPreferences(db, userId, changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw notificationError('Send the notification types to turn on or off.');
+  }
+  const entries = Object.entries(changes);
+  if (!entries.length) {
+    throw notificationError('Nothing to update.');
+  }
+  for (const [type, enabled] of entries) {
+    if (!NOTIFICATION_TYPES.includes(type)) {
+      throw notificationError(`Notification type must be one of: ${NOTIFICATION_TYPES.join(', ')}.`);
+    }
+    if (typeof enabled !== 'boolean') {
+      throw notificationError(`"${type}" must be true or false.`);
+    }
+  }
+  for (const [type, enabled] of entries) {
+    await db.run(
+      `INSERT INTO notification_preferences (user_id, type, enabled) VALUES (?, ?, ?)
+       ON CONFLICT (user_id, type) DO UPDATE SET enabled = excluded.enabled`,
+      [userId, type, enabled ? 1 : 0]
+    );
+  }
+  return getNotificationPreferences(db, userId);
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  getNotificationPreferences,
+  isNotificationEnabled,
+  updateNotificationPreferences,
+};
@@ -0,0 +1,175 @@
+const dns = require('dns').promises;
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const webpush = require('web-push');
+const { createId } = require('./database');
+
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+const PUSH_TIMEOUT_MS = 10 * 1000;
+
+function pushError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b < 128) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b < 32) ||
+      (a === 192 && b === 168) ||
+      a >= 224
+    );
+  }
+  const lower = address.toLowerCase();
+  const mapped = lower.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    const ipv4 = mapped[1] || [mapped[2], mapped[3]]
+      .map((part) => parseInt(part, 16))
+      .flatMap((word) => [word >> 8, word & 255])
+      .join('.');
+    return isPrivateAddress(ipv4);
+  }
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower);
+}
+
+function unsafeEndpointError(message) {
+  const err = pushError(message);
+  err.unsafeEndpoint = true;
+  return err;
+}
+
+// The server itself fetches subscription endpoints, so only public https push
+// services are accepted, never loopback, link-local or private hosts. The one
+// exception is the local stand-in, and only while PUSH_STAND_IN is set.
+function checkEndpoint(endpoint, { allowStandIn = false } = {}) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    throw unsafeEndpointError('Subscription endpoint must be an https URL.');
+  }
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  const loopback = host === 'localhost' || host === '127.0.0.1' || host === '::1';
+  if (allowStandIn && loopback && url.pathname.startsWith('/api/push/stand-in/')) {
+    return { url, host, standIn: true };
+  }
+  if (url.protocol !== 'https:') {
+    throw unsafeEndpointError('Subscription endpoint must be an https URL.');
+  }
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isPrivateAddress(host))) {
+    throw unsafeEndpointError('Subscription endpoint must be a public push service.');
+  }
+  return { url, host, standIn: false };
+}
+
+// Checked again right before sending, after DNS, so a public name that points
+// at a private address is refused too.
+async function checkEndpointAddress(endpoint, options) {
+  const { host, standIn } = checkEndpoint(endpoint, options);
+  if (standIn || net.isIP(host)) return;
+  const addresses = await dns.lookup(host, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw unsafeEndpointError('Subscription endpoint must be a public push service.');
+  }
+}
+
+// Keys come from VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY when set. Otherwise a pair
+// is generated once and kept next to the database so existing browser
+// subscriptions stay valid across restarts.
+function loadVapidKeys({ publicKey, privateKey, keysPath }) {
+  if (publicKey && privateKey) {
+    return { publicKey, privateKey };
+  }
+  if (fs.existsSync(keysPath)) {
+    return JSON.parse(fs.readFileSync(keysPath, 'utf8'));
+  }
+  const keys = webpush.generateVAPIDKeys();
+  fs.mkdirSync(path.dirname(keysPath), { recursive: true });
+  fs.writeFileSync(keysPath, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  console.info(`Generated VAPID keys at ${keysPath}`);
+  return keys;
+}
+
+function createPushSender({ publicKey, privateKey, subject, keysPath, allowStandIn = false }) {
+  const keys = loadVapidKeys({ publicKey, privateKey, keysPath });
+  const vapidDetails = { subject, publicKey: keys.publicKey, privateKey: keys.privateKey };
+  return {
+    publicKey: keys.publicKey,
+    // web-push handles the payload encryption and VAPID headers; the request is
+    // sent with fetch so plain-http endpoints (the local stand-in) work too.
+    async send(subscription, payload) {
+      await checkEndpointAddress(subscription.endpoint, { allowStandIn });
+      const request = webpush.generateRequestDetails(
+        { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+        JSON.stringify(payload),
+        { vapidDetails, TTL: PUSH_TTL_SECONDS }
+      );
+      const response = await fetch(request.endpoint, {
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        redirect: 'error',
+        signal: AbortSignal.timeout(PUSH_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw pushError(`Push service answered ${response.status}.`, response.status);
+      }
+    },
+  };
+}
+
+// Takes the browser's PushSubscription JSON. An endpoint belongs to one browser,
+// so subscribing it again (say after switching accounts) moves it to this user.
+async function saveSubscription(db, userId, subscription, { allowStandIn = false, now = Date.now() } = {}) {
+  const endpoint = typeof subscription?.endpoint === 'string' ? subscription.endpoint : '';
+  const { p256dh, auth } = subscription?.keys || {};
+  checkEndpoint(endpoint, { allowStandIn });
+  if (typeof p256dh !== 'string' || !p256dh || typeof auth !== 'string' || !auth) {
+    throw pushError('Subscription keys are missing.');
+  }
+  await db.run(
+    `INSERT INTO push_subscriptions (id, user_id, endpoint, p256dh, auth, created_at)
+     VALUES ($id, $userId, $endpoint, $p256dh, $auth, $now)
+     ON CONFLICT (endpoint) DO UPDATE SET user_id = $userId, p256dh = $p256dh, auth = $auth, created_at = $now`,
+    { $id: createId(), $userId: userId, $endpoint: endpoint, $p256dh: p256dh, $auth: auth, $now: now }
+  );
+}
+
+async function removeSubscription(db, userId, endpoint) {
+  await db.run('DELETE FROM push_subscriptions WHERE user_id = ? AND endpoint = ?', userId, String(endpoint || ''));
+}
+
+// Delivers to every browser the user subscribed. Push services answer 404/410
+// for subscriptions the browser dropped, so those rows are cleaned up here, as
+// are rows saved before endpoints were checked that point somewhere unsafe.
+async function sendToUser(db, sender, userId, payload) {
+  const subscriptions = await db.all('SELECT * FROM push_subscriptions WHERE user_id = ?', userId);
+  await Promise.all(
+    subscriptions.map(async (subscription) => {
+      try {
+        await sender.send(subscription, payload);
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410 || error.unsafeEndpoint) {
+          await db.run('DELETE FROM push_subscriptions WHERE id = ?', subscription.id);
+        } else {
+          console.warn(`Push to ${subscription.endpoint} failed`, error.statusCode || error.message);
+        }
+      }
+    })
+  );
+}
+
+module.exports = {
+  createPushSender,
+  saveSubscription,
+  removeSubscription,
+  sendToUser,
+};
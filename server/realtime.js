@@ -0,0 +1,64 @@
+const HEARTBEAT_MS = 25 * 1000;
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// userId -> Set of open event-stream responses (one per tab/device), each
+// tagged with the session that opened it so revocation can hang up.
+const connections = new Map();
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function subscribe(req, res, { userId, sessionId }) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+  writeEvent(res, 'ready', { userId });
+
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  res.sessionId = sessionId;
+  connections.get(userId).add(res);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const userConnections = connections.get(userId);
+    if (!userConnections) return;
+    userConnections.delete(res);
+    if (!userConnections.size) connections.delete(userId);
+  });
+}
+
+function publish(userIds, event, data) {
+  new Set(userIds).forEach((userId) => {
+    connections.get(userId)?.forEach((res) => writeEvent(res, event, data));
+  });
+}
+
+// `except` takes one user id or a list of them.
+function broadcast(event, data, { except = null } = {}) {
+  const excluded = new Set([].concat(except));
+  connections.forEach((userConnections, userId) => {
+    if (excluded.has(userId)) return;
+    userConnections.forEach((res) => writeEvent(res, event, data));
+  });
+}
+
+function disconnectSessions(userId, sessionIds) {
+  const revoked = new Set(sessionIds);
+  connections.get(userId)?.forEach((res) => {
+    if (revoked.has(res.sessionId)) res.end();
+  });
+}
+
+module.exports = {
+  subscribe,
+  publish,
+  broadcast,
+  disconnectSessions,
+};
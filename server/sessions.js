@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const USER_AGENT_MAX_LENGTH = 255;
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function createSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored.
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+}
+
+function secretMatches(secret, expectedHash) {
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  const expected = Buffer.from(expectedHash || '', 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+async function createSession(db, { userId, userAgent = '', ipAddress = null, now = Date.now() }) {
+  await db.run(
+    'DELETE FROM sessions WHERE user_id = ? AND (expires_at < ? OR revoked_at IS NOT NULL)',
+    userId,
+    now
+  );
+  const sessionId = crypto.randomUUID();
+  const secret = createSecret();
+  await db.run(
+    `INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      sessionId,
+      userId,
+      hashSecret(secret),
+      String(userAgent || '').slice(0, USER_AGENT_MAX_LENGTH),
+      ipAddress,
+      now,
+      now,
+      now + REFRESH_TOKEN_TTL_MS,
+    ]
+  );
+  return { sessionId, refreshToken: `${sessionId}.${secret}` };
+}
+
+async function getActiveSession(db, sessionId, now = Date.now()) {
+  if (!sessionId) return null;
+  return db.get(
+    'SELECT * FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?',
+    sessionId,
+    now
+  );
+}
+
+// Exchanges a refresh token for a new one. Presenting a secret that was
+// already rotated away means the token leaked, so the whole session is revoked.
+async function rotateRefreshToken(db, refreshToken, now = Date.now()) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const session = await getActiveSession(db, parsed.sessionId, now);
+  if (!session) return null;
+  if (!secretMatches(parsed.secret, session.refresh_token_hash)) {
+    await revokeSession(db, session.id, now);
+    return null;
+  }
+  const secret = createSecret();
+  await db.run(
+    'UPDATE sessions SET refresh_token_hash = ?, last_used_at = ?, expires_at = ? WHERE id = ?',
+    [hashSecret(secret), now, now + REFRESH_TOKEN_TTL_MS, session.id]
+  );
+  return { session, refreshToken: `${session.id}.${secret}` };
+}
+
+async function revokeSession(db, sessionId, now = Date.now()) {
+  await db.run('UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', now, sessionId);
+}
+
+async function revokeUserSessions(db, userId, { except = null, now = Date.now() } = {}) {
+  const rows = await db.all(
+    'SELECT id FROM sessions WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?',
+    userId,
+    except
+  );
+  await db.run(
+    'UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?',
+    now,
+    userId,
+    except
+  );
+  return rows.map((row) => row.id);
+}
+
+async function listSessions(db, userId, now = Date.now()) {
+  const rows = await db.all(
+    `SELECT id, user_agent, ip_address, created_at, last_used_at FROM sessions
+     WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+     ORDER BY last_used_at DESC`,
+    userId,
+    now
+  );
+  return rows.map((row) => ({
+    id: row.id,
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+  }));
+}
+
+module.exports = {
+  parseRefreshToken,
+  createSession,
+  getActiveSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+};
@@ -0,0 +1,132 @@
+// Kandid service worker: keeps the app shell and the last state/feed responses
+// cached so the app opens without a connection, shows Web Push notifications
+// for new inbox items, and brings the app forward when one is clicked.
+
+const SHELL_CACHE = 'kandid-shell-v1';
+const API_CACHE = 'kandid-api';
+const MEDIA_CACHE = 'kandid-media-v2';
+const MEDIA_CACHE_LIMIT = 150;
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/app.js',
+  '/styles.css',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+];
+// Signed-in responses worth keeping for offline use. The page clears this
+// cache on sign-out so the next person on the device never sees them.
+const CACHED_API_PATHS = ['/api/state', '/api/feed'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, API_CACHE, MEDIA_CACHE];
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) => Promise.all(names.filter((name) => !current.includes(name)).map((name) => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first so a deploy shows up on the next load; the cached copy is only
+// used when the request cannot reach the server.
+async function networkFirst(request, cacheName, fallbackUrl) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = (await caches.match(request)) || (fallbackUrl && (await caches.match(fallbackUrl)));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+// Media is fetched from the network whenever possible, since a photo can be
+// made private or deleted after it was cached; the copy only stands in while
+// offline. Only the most recent files are kept.
+async function mediaNetworkFirst(request) {
+  const cache = await caches.open(MEDIA_CACHE);
+  let response;
+  try {
+    response = await fetch(request);
+  } catch (error) {
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    throw error;
+  }
+  // Media that is not public comes back marked no-store and stays out of the cache.
+  if (response.ok && !(response.headers.get('Cache-Control') || '').includes('no-store')) {
+    await cache.put(request, response.clone());
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - MEDIA_CACHE_LIMIT)).map((key) => cache.delete(key)));
+  } else {
+    await cache.delete(request);
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  if (url.pathname.startsWith('/api/media/')) {
+    // Clips stream in ranges, and partial responses cannot be cached.
+    if (request.headers.has('range')) return;
+    event.respondWith(mediaNetworkFirst(request));
+  } else if (CACHED_API_PATHS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, API_CACHE));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+  } else if (!url.pathname.startsWith('/api/')) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
+
+self.addEventListener('push', (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (error) {
+    data = { body: event.data?.text() };
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'Kandid', {
+      body: data.body || '',
+      tag: data.tag,
+      renotify: Boolean(data.tag),
+      icon: '/icons/icon-192.png',
+      data: { view: data.view || null },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const view = event.notification.data?.view;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => new URL(client.url).origin === self.location.origin);
+      if (open) {
+        if (view) open.postMessage({ type: 'open-view', view });
+        return open.focus();
+      }
+      return self.clients.openWindow('/');
+    })
+  );
+});